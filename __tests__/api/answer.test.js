@@ -0,0 +1,175 @@
+import handler from '../../pages/api/answer';
+import { GeminiClient, getGeminiClient } from '../../lib/gemini';
+import { MutualFundRetriever } from '../../lib/retriever';
+import { useFixtureData, createMocks, parseEvents } from '../helpers/api';
+
+const MID_CAP = 'hdfc-mid-cap-fund-direct-growth';
+
+describe('/api/answer', () => {
+  beforeEach(() => {
+    useFixtureData();
+  });
+
+  it('rejects other methods', async () => {
+    const { req, res } = createMocks({ method: 'POST' });
+    await handler(req, res);
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('requires a query of at least 3 characters', async () => {
+    const { req, res } = createMocks({ query: { q: ' a ' } });
+    await handler(req, res);
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/"q" is required/);
+  });
+
+  it('answers from the fixture index with citations', async () => {
+    const { req, res } = createMocks({ query: { q: 'What is the expense ratio of HDFC Mid Cap?' } });
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.answer).toMatch(/\*\*0\.71%\*\*/);
+    expect(res.body.sourceUrl).toBe(`https://groww.in/mutual-funds/${MID_CAP}`);
+    expect(res.body.citations[0].chunkId).toBe(`${MID_CAP}__fees`);
+    expect(res.body.retrievalMethod).toBe('direct_lookup');
+    expect(res.body.sessionId).toEqual(expect.any(String));
+  });
+
+  it('dates the answer and flags stale data', async () => {
+    const { req, res } = createMocks({ query: { q: 'What is the NAV of HDFC Mid Cap?' } });
+    await handler(req, res);
+
+    // The fixture NAV is from Nov 2025, well past the one-day NAV threshold
+    expect(res.body.answer).toMatch(/as of 14 Nov 2025/);
+    expect(res.body.freshness).toMatchObject({ asOfLabel: '14 Nov 2025', stale: true });
+    expect(res.body.freshness.warning).toMatch(/may be out of date/);
+    expect(res.body.retrievedChunks[0]).toMatchObject({
+      chunkId: `${MID_CAP}__facts_performance`,
+      asOf: '2025-11-14T00:00:00.000Z',
+      stale: true
+    });
+  });
+
+  it('rewrites follow-ups within a session', async () => {
+    const first = createMocks({ query: { q: 'What is the expense ratio of HDFC Mid Cap?' } });
+    await handler(first.req, first.res);
+
+    const { req, res } = createMocks({ query: { q: 'what about the exit load?', sessionId: first.res.body.sessionId } });
+    await handler(req, res);
+
+    expect(res.body.rewrittenQuery).toMatch(/HDFC Mid Cap/i);
+    expect(res.body.answer).toMatch(/1% if redeemed within 1 year/);
+  });
+
+  it('adds a comparison table for comparison questions', async () => {
+    const { req, res } = createMocks({ query: { q: 'Compare expense ratio of HDFC Mid Cap and HDFC Small Cap' } });
+    await handler(req, res);
+
+    expect(res.body.retrievalMethod).toBe('comparison_direct_lookup');
+    expect(res.body.comparison.schemes).toHaveLength(2);
+  });
+
+  it('streams retrieval, tokens, citations and done events', async () => {
+    const { req, res } = createMocks({ query: { q: 'What is the minimum SIP for HDFC ELSS?', stream: '1' } });
+    await handler(req, res);
+
+    expect(res.headers['Content-Type']).toMatch(/^text\/event-stream/);
+    expect(res.ended).toBe(true);
+
+    const events = parseEvents(res);
+    expect(events.map(({ event }) => event)).toEqual(['retrieval', 'token', 'citations', 'done']);
+    expect(events[0].data.retrievalMethod).toBe('direct_lookup');
+    expect(events[1].data.text).toMatch(/₹500/);
+    expect(events[2].data.citations).toHaveLength(1);
+    expect(events[3].data).toMatchObject({ answer: events[1].data.text, fallback: true });
+    expect(events[3].data.freshness.asOfLabel).toEqual(expect.any(String));
+  });
+
+  describe('when retrieval finds nothing', () => {
+    let retrieve;
+
+    beforeEach(() => {
+      retrieve = jest.spyOn(MutualFundRetriever.prototype, 'retrieve')
+        .mockResolvedValue({ chunks: [], method: 'direct_lookup_search', intents: [] });
+    });
+
+    afterEach(() => {
+      retrieve.mockRestore();
+    });
+
+    it('answers that nothing relevant was found', async () => {
+      const { req, res } = createMocks({ query: { q: 'What is the NAV of HDFC Mid Cap?' } });
+      await handler(req, res);
+
+      expect(res.body).toMatchObject({ chunksFound: 0, confidence: 'low' });
+      expect(res.body.answer).toMatch(/could not find relevant information/);
+    });
+
+    it('still refuses advice questions', async () => {
+      const { req, res } = createMocks({ query: { q: 'Which HDFC fund should I buy?' } });
+      await handler(req, res);
+
+      expect(res.body.answer).toMatch(/cannot provide investment advice/);
+      expect(res.body.citations).toEqual([]);
+    });
+
+    it('still refuses advice questions when streaming', async () => {
+      const { req, res } = createMocks({ query: { q: 'Which HDFC fund should I buy?', stream: '1' } });
+      await handler(req, res);
+
+      const events = parseEvents(res);
+      expect(events.map(({ event }) => event)).toEqual(['retrieval', 'token', 'citations', 'done']);
+      expect(events[1].data.text).toMatch(/cannot provide investment advice/);
+      expect(events[3].data.confidence).toBe('high');
+    });
+  });
+
+  describe('when answering fails after the stream started', () => {
+    let mocks;
+
+    beforeEach(() => {
+      mocks = [jest.spyOn(console, 'error').mockImplementation(() => {})];
+    });
+
+    afterEach(() => {
+      mocks.forEach(mock => mock.mockRestore());
+    });
+
+    const failFallback = () => mocks.push(jest.spyOn(GeminiClient.prototype, 'fallbackAnswer').mockImplementation(() => {
+      throw new Error('extraction failed');
+    }));
+
+    it('ends the stream with an error event when the fallback answer fails', async () => {
+      failFallback();
+
+      const { req, res } = createMocks({ query: { q: 'What is the minimum SIP for HDFC ELSS?', stream: '1' } });
+      await handler(req, res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.ended).toBe(true);
+      expect(parseEvents(res).map(({ event }) => event)).toEqual(['retrieval', 'error']);
+    });
+
+    it('ends the stream with an error event when the provider and the fallback both fail', async () => {
+      failFallback();
+      mocks.push(jest.spyOn(GeminiClient.prototype, 'streamAnswer').mockImplementation(() => ({
+        [Symbol.asyncIterator]: () => ({ next: () => Promise.reject(new Error('provider down')) })
+      })));
+      const client = getGeminiClient();
+      const { provider } = client;
+      client.provider = { name: 'broken' };
+
+      try {
+        const { req, res } = createMocks({ query: { q: 'What is the minimum SIP for HDFC ELSS?', stream: '1' } });
+        await handler(req, res);
+
+        expect(res.ended).toBe(true);
+        const events = parseEvents(res);
+        expect(events.map(({ event }) => event)).toEqual(['retrieval', 'error']);
+        expect(events[1].data.message).toMatch(/could not be generated/);
+      } finally {
+        client.provider = provider;
+      }
+    });
+  });
+});
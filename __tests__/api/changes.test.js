@@ -0,0 +1,65 @@
+import handler from '../../pages/api/changes';
+import { useFixtureData, createMocks } from '../helpers/api';
+
+const SMALL_CAP = 'hdfc-small-cap-fund-direct-growth';
+
+describe('/api/changes', () => {
+  beforeEach(() => {
+    useFixtureData();
+  });
+
+  it('rejects other methods', async () => {
+    const { req, res } = createMocks({ method: 'POST' });
+    await handler(req, res);
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('reads the scheme and period from a question', async () => {
+    jest.useFakeTimers({ now: new Date('2025-11-25T10:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      const { req, res } = createMocks({ query: { q: 'What changed in HDFC Small Cap this month?' } });
+      await handler(req, res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.scheme).toEqual({ schemeId: SMALL_CAP, schemeName: 'HDFC Small Cap Fund Direct Growth' });
+      expect(res.body.since).toBe('2025-11-01');
+      expect(res.body.changes.every(change => change.scheme_id === SMALL_CAP)).toBe(true);
+      expect(res.body.changes).toContainEqual(expect.objectContaining({
+        field: 'ter_percent', old: 0.85, new: 0.82, date: '2025-11-10'
+      }));
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('filters by scheme ID and date', async () => {
+    const { req, res } = createMocks({ query: { scheme: SMALL_CAP, since: '2025-11-15' } });
+    await handler(req, res);
+
+    expect(res.body.from.snapshot).toBe('20251110');
+    expect(res.body.changes.map(change => change.date)).toEqual(res.body.changes.map(() => '2025-11-22'));
+  });
+
+  it('returns a Markdown changelog', async () => {
+    const { req, res } = createMocks({ query: { scheme: SMALL_CAP, since: '2025-11-01', format: 'md' } });
+    await handler(req, res);
+
+    expect(res.headers['Content-Type']).toMatch(/^text\/markdown/);
+    expect(res.body).toMatch(/## HDFC Small Cap Fund Direct Growth/);
+  });
+
+  it('rejects unknown schemes and bad dates', async () => {
+    const unknown = createMocks({ query: { scheme: 'no-such-fund' } });
+    await handler(unknown.req, unknown.res);
+    expect(unknown.res.statusCode).toBe(404);
+
+    const unrecognised = createMocks({ query: { q: 'What changed in the weather this month?' } });
+    await handler(unrecognised.req, unrecognised.res);
+    expect(unrecognised.res.statusCode).toBe(404);
+    expect(unrecognised.res.body.error).toMatch(/No scheme recognised/);
+
+    const badDate = createMocks({ query: { since: 'last tuesday' } });
+    await handler(badDate.req, badDate.res);
+    expect(badDate.res.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,60 @@
+import handler from '../../pages/api/health';
+import { useFixtureData, createMocks } from '../helpers/api';
+
+describe('/api/health', () => {
+  beforeEach(() => {
+    useFixtureData();
+  });
+
+  it('rejects other methods', async () => {
+    const { req, res } = createMocks({ method: 'DELETE' });
+    await handler(req, res);
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('reports the fixture indexes and manifest', async () => {
+    const { req, res } = createMocks();
+    await handler(req, res);
+
+    expect(res.body.checks).toMatchObject({
+      indexExists: true,
+      metadataExists: true,
+      lookupExists: true,
+      retrieverStatus: 'initialized'
+    });
+    expect(res.body.data).toMatchObject({
+      manifest: {
+        file: 'manifest-20251122.json',
+        generatedAt: '2025-11-22T19:11:26.707Z',
+        totalChunks: 11,
+        schemesCount: 4
+      },
+      snapshot: null,
+      schemesIndexed: 3
+    });
+  });
+
+  it('reports per-scheme freshness', async () => {
+    const { req, res } = createMocks();
+    await handler(req, res);
+
+    expect(res.body.checks.dataFresh).toBe(false);
+    expect(res.body.data.staleSchemes).toContain('hdfc-mid-cap-fund-direct-growth');
+    expect(res.body.data.freshness).toHaveLength(3);
+    expect(res.body.data.freshness[0]).toMatchObject({
+      navDate: '14 Nov 2025',
+      lastFetchedAt: expect.stringMatching(/^2025-11-22T/),
+      stale: true,
+      staleSections: expect.arrayContaining(['facts_performance'])
+    });
+  });
+
+  it('is unhealthy without an LLM provider', async () => {
+    const { req, res } = createMocks();
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body.status).toBe('unhealthy');
+    expect(res.body.checks).toMatchObject({ llmConfigured: false, llmProvider: null });
+  });
+});
@@ -0,0 +1,47 @@
+import handler from '../../pages/api/schemes';
+import { useFixtureData, createMocks } from '../helpers/api';
+
+const MID_CAP = 'hdfc-mid-cap-fund-direct-growth';
+
+describe('/api/schemes', () => {
+  beforeEach(() => {
+    useFixtureData();
+  });
+
+  it('rejects other methods', async () => {
+    const { req, res } = createMocks({ method: 'POST' });
+    await handler(req, res);
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('lists the fund schemes, leaving out site pages', async () => {
+    const { req, res } = createMocks();
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.count).toBe(3);
+    expect(res.body.schemes.map(scheme => scheme.schemeId)).not.toContain('download-forms');
+
+    const midCap = res.body.schemes.find(scheme => scheme.schemeId === MID_CAP);
+    expect(midCap).toMatchObject({
+      schemeName: 'HDFC Mid Cap Fund Direct Growth',
+      sourceUrl: `https://groww.in/mutual-funds/${MID_CAP}`
+    });
+    expect(midCap.sections).toEqual(expect.arrayContaining(['fees', 'facts_performance', 'tax_redemption']));
+  });
+
+  it('returns one scheme organized by section', async () => {
+    const { req, res } = createMocks({ query: { scheme_id: MID_CAP } });
+    await handler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.schemeId).toBe(MID_CAP);
+    expect(res.body.sections.fees.fields.ter_percent).toBe(0.71);
+  });
+
+  it('returns 404 for an unknown scheme', async () => {
+    const { req, res } = createMocks({ query: { scheme_id: 'no-such-fund' } });
+    await handler(req, res);
+    expect(res.statusCode).toBe(404);
+  });
+});
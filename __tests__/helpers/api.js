@@ -0,0 +1,78 @@
+const { EventEmitter } = require('events');
+const path = require('path');
+
+// Root containing the fixture data/ directory (index, manifests, snapshots); intent
+// training data is read from the real data/ (see setup.js)
+const FIXTURE_ROOT = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Serve data/ from the fixtures for code that resolves paths from process.cwd()
+ */
+function useFixtureData() {
+  return jest.spyOn(process, 'cwd').mockReturnValue(FIXTURE_ROOT);
+}
+
+/**
+ * Minimal Next.js API request/response pair. The response records the status,
+ * headers, the JSON (or sent) body and any streamed writes.
+ */
+function createMocks({ method = 'GET', query = {}, headers = {} } = {}) {
+  const req = Object.assign(new EventEmitter(), { method, query, headers });
+
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    ended: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      this.ended = true;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      this.ended = true;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    writeHead(code, headers = {}) {
+      this.statusCode = code;
+      Object.assign(this.headers, headers);
+      return this;
+    },
+    write(chunk) {
+      this.chunks.push(String(chunk));
+      return true;
+    },
+    end() {
+      this.ended = true;
+      return this;
+    }
+  };
+
+  return { req, res };
+}
+
+/**
+ * Parse Server-Sent Events written to a mock response: [{ event, data }]
+ */
+function parseEvents(res) {
+  return res.chunks.join('')
+    .split('\n\n')
+    .filter(Boolean)
+    .map(block => {
+      const event = block.match(/^event: (.*)$/m)[1];
+      const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+      return { event, data };
+    });
+}
+
+module.exports = { FIXTURE_ROOT, useFixtureData, createMocks, parseEvents };
@@ -0,0 +1,178 @@
+const path = require('path');
+const {
+  IngestSnapshotStore,
+  parseCsv,
+  diffTables,
+  buildChangelog,
+  changelogBetween,
+  changesSince,
+  parsePeriod,
+  changelogToMarkdown
+} = require('../../lib/changelog');
+
+const SMALL_CAP = 'hdfc-small-cap-fund-direct-growth';
+const MID_CAP = 'hdfc-mid-cap-fund-direct-growth';
+const store = new IngestSnapshotStore(path.join(__dirname, '..', 'fixtures', 'data', 'jsonl'));
+
+const chunk = (overrides = {}) => ({
+  chunk_id: `${MID_CAP}__fees`,
+  scheme_id: MID_CAP,
+  scheme_display_name: 'HDFC Mid Cap Fund Direct Growth',
+  section_type: 'fees',
+  fetched_at: '2025-11-01T00:00:00.000Z',
+  content_csv: '',
+  fields_json: { ter_percent: 0.71 },
+  hash: 'a',
+  ...overrides
+});
+
+describe('IngestSnapshotStore', () => {
+  it('lists the daily ingest snapshots, oldest first', () => {
+    expect(store.snapshots()).toEqual(['20251025', '20251110', '20251122']);
+    expect(store.latest()).toBe('20251122');
+    expect(store.load('20251122')).toHaveLength(5);
+  });
+
+  it('names the available snapshots when one is missing', () => {
+    expect(() => store.load('20240101')).toThrow(/Snapshot 20240101 not found \(available: 20251025, 20251110, 20251122\)/);
+  });
+});
+
+describe('CSV tables', () => {
+  it('parses quoted cells', () => {
+    expect(parseCsv('Name,Assets\n"Aster DM Healthcare Ltd., Bengaluru",3.30%\n"Say ""hi""",1%\n')).toEqual([
+      ['Name', 'Assets'],
+      ['Aster DM Healthcare Ltd., Bengaluru', '3.30%'],
+      ['Say "hi"', '1%']
+    ]);
+  });
+
+  it('diffs rows by their first column', () => {
+    const before = 'Name,Sector,Assets\nA,Financial,4.50%\nB,IT,2.00%\n';
+    const after = 'Name,Sector,Assets\nA,Financial,4.72%\nC,Energy,1.10%\n';
+    expect(diffTables(before, after)).toEqual([
+      { row: 'A', field: 'Assets', old: '4.50%', new: '4.72%' },
+      { row: 'C', field: null, old: null, new: { Name: 'C', Sector: 'Energy', Assets: '1.10%' } },
+      { row: 'B', field: null, old: { Name: 'B', Sector: 'IT', Assets: '2.00%' }, new: null }
+    ]);
+  });
+});
+
+describe('buildChangelog', () => {
+  it('records field changes with the scheme and both fetch dates', () => {
+    const changelog = buildChangelog(
+      [chunk()],
+      [chunk({ fields_json: { ter_percent: 0.52 }, fetched_at: '2025-11-22T00:00:00.000Z', hash: 'b' })]
+    );
+    expect(changelog.changes).toEqual([{
+      scheme_id: MID_CAP,
+      scheme_name: 'HDFC Mid Cap Fund Direct Growth',
+      section_type: 'fees',
+      chunk_id: `${MID_CAP}__fees`,
+      kind: 'field',
+      change: 'changed',
+      row: null,
+      field: 'ter_percent',
+      old: 0.71,
+      new: 0.52,
+      old_fetched_at: '2025-11-01T00:00:00.000Z',
+      new_fetched_at: '2025-11-22T00:00:00.000Z'
+    }]);
+  });
+
+  it('records added and removed sections', () => {
+    const faq = chunk({ chunk_id: `${MID_CAP}__faq`, section_type: 'faq' });
+    const changelog = buildChangelog([chunk(), faq], [chunk(), chunk({ chunk_id: `${MID_CAP}__fund_manager`, section_type: 'fund_manager' })]);
+    expect(changelog.summary).toMatchObject({ changes: 2, sections_added: 1, sections_removed: 1 });
+    expect(changelog.changes.map(change => [change.section_type, change.kind, change.change])).toEqual([
+      ['faq', 'section', 'removed'],
+      ['fund_manager', 'section', 'added']
+    ]);
+  });
+
+  it('compares the latest two snapshots by default', () => {
+    const changelog = changelogBetween(store);
+    expect(changelog.from).toEqual({ snapshot: '20251110', date: '2025-11-10' });
+    expect(changelog.to).toEqual({ snapshot: '20251122', date: '2025-11-22' });
+    expect(changelog.changes).toContainEqual(expect.objectContaining({
+      scheme_id: SMALL_CAP, kind: 'table', row: 'Firstsource Solutions Ltd.', field: 'Assets', old: '4.50%', new: '4.72%'
+    }));
+    expect(changelog.changes).toContainEqual(expect.objectContaining({
+      kind: 'table', change: 'removed', row: 'Bajaj Electricals Ltd.'
+    }));
+    expect(changelog.changes).toContainEqual(expect.objectContaining({
+      kind: 'field', field: 'nav', old: 160.05, new: 162.41
+    }));
+  });
+});
+
+describe('changesSince', () => {
+  it('dates each change by the snapshot it appeared in, newest first', () => {
+    const result = changesSince(store, new Date('2025-11-01'), { schemeIds: [SMALL_CAP] });
+    expect(result.from.snapshot).toBe('20251025');
+    expect(result.snapshots).toBe(3);
+    expect(result.changes.every(change => change.scheme_id === SMALL_CAP)).toBe(true);
+    expect(result.changes[0].snapshot).toBe('20251122');
+
+    const expenseRatio = result.changes.find(change => change.field === 'ter_percent');
+    expect(expenseRatio).toMatchObject({ old: 0.85, new: 0.82, date: '2025-11-10' });
+  });
+
+  it('uses the last snapshot before the date as the baseline', () => {
+    const result = changesSince(store, new Date('2025-11-15'));
+    expect(result.from.snapshot).toBe('20251110');
+    expect(result.changes.some(change => change.field === 'ter_percent')).toBe(false);
+  });
+
+  it('reads each snapshot once', () => {
+    const load = jest.spyOn(store, 'load');
+    try {
+      changesSince(store, new Date('2025-11-01'));
+      expect(load.mock.calls.map(([snapshotId]) => snapshotId)).toEqual(['20251025', '20251110', '20251122']);
+    } finally {
+      load.mockRestore();
+    }
+  });
+
+  it('is empty when nothing was ingested since the date', () => {
+    const result = changesSince(store, new Date('2026-01-01'));
+    expect(result).toMatchObject({ from: null, to: null, summary: { changes: 0, schemes: 0 }, changes: [] });
+  });
+});
+
+describe('parsePeriod', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+
+  it.each([
+    ['what changed in HDFC Small Cap this month?', '2026-10-01'],
+    ['changes today', '2026-10-19'],
+    ['in the last week', '2026-10-12'],
+    ['over the past 3 months', '2026-07-21'],
+    ['this year', '2026-01-01']
+  ])('reads "%s"', (query, date) => {
+    expect(parsePeriod(query, now).toISOString().slice(0, 10)).toBe(date);
+  });
+
+  it('returns null without a period', () => {
+    expect(parsePeriod('what changed in HDFC Small Cap?', now)).toBeNull();
+  });
+});
+
+describe('changelogToMarkdown', () => {
+  it('renders one table per scheme', () => {
+    const markdown = changelogToMarkdown(changelogBetween(store, '20251025', '20251110'));
+    expect(markdown).toMatch(/^# Fund data changes \(2025-10-25 → 2025-11-10\)/);
+    expect(markdown).toMatch(/## HDFC Mid Cap Fund Direct Growth\n\n\| Section \| Field \| Old \| New \|/);
+    expect(markdown).toMatch(/\| fees \| ter_percent \| 0\.74 \| 0\.71 \|/);
+    expect(markdown).toMatch(/\| facts_performance \| facts_performance \(added\) \| — \| facts_performance \|/);
+  });
+
+  it('adds a date column to changes since a date', () => {
+    const markdown = changelogToMarkdown(changesSince(store, new Date('2025-11-01'), { schemeIds: [SMALL_CAP] }));
+    expect(markdown).toMatch(/\| 2025-11-22 \| portfolio_holdings \| Firstsource Solutions Ltd\. · Assets \| 4\.50% \| 4\.72% \|/);
+  });
+
+  it('says when nothing changed', () => {
+    expect(changelogToMarkdown(changesSince(store, new Date('2026-01-01')))).toMatch(/No changes\./);
+  });
+});
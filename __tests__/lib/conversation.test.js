@@ -0,0 +1,44 @@
+const { MutualFundRetriever } = require('../../lib/retriever');
+const { rewriteQuery } = require('../../lib/conversation');
+const { useFixtureData } = require('../helpers/api');
+
+const MID_CAP = 'hdfc-mid-cap-fund-direct-growth';
+const HISTORY = [{ query: 'What is the expense ratio of HDFC Mid Cap?', schemeId: MID_CAP, sectionType: 'fees' }];
+
+describe('rewriteQuery', () => {
+  let retriever;
+
+  beforeAll(async () => {
+    useFixtureData();
+    retriever = new MutualFundRetriever();
+    await retriever.initialize();
+  });
+
+  const rewrite = query => rewriteQuery(query, HISTORY, retriever);
+
+  it('leaves first questions alone', () => {
+    expect(rewriteQuery('What about the exit load?', [], retriever)).toMatchObject({ rewritten: false, schemeId: null });
+  });
+
+  it('adds the previous scheme to a follow-up about another section', () => {
+    expect(rewrite('What about the exit load?')).toMatchObject({
+      query: 'What about the exit load for HDFC Mid Cap Fund Direct Growth?',
+      schemeId: MID_CAP,
+      rewritten: true
+    });
+  });
+
+  it('resolves only the first reference to the scheme', () => {
+    expect(rewrite('Is it worth it?').query).toBe('Is HDFC Mid Cap Fund Direct Growth worth it?');
+    expect(rewrite('What are its top holdings and how are they weighted in it?').query)
+      .toBe("What are HDFC Mid Cap Fund Direct Growth's top holdings and how are they weighted in it?");
+  });
+
+  it.each([
+    'What is NAV?',
+    'What is an expense ratio?',
+    'How do I start investing?'
+  ])('does not tie a general question to the scheme: %s', query => {
+    expect(rewrite(query)).toMatchObject({ query, rewritten: false });
+  });
+});
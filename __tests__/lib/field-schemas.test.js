@@ -0,0 +1,149 @@
+const {
+  FIELD_SCHEMAS,
+  normalizeFields,
+  validateFields,
+  isValidField,
+  checkChunkFields,
+  migrateFields,
+  validateChunks,
+  formatQuantity,
+  fieldUnit
+} = require('../../lib/field-schemas');
+
+const CHUNK_ID = 'hdfc-mid-cap-fund-direct-growth__facts_performance';
+
+describe('normalizeFields', () => {
+  it('parses numeric strings with rupee, crore and percent units', () => {
+    expect(normalizeFields('facts_performance', {
+      nav: '₹1,268.60',
+      fund_size: '89,383.23 Cr',
+      minimum_sip: '100',
+      expense_ratio: '0.71%',
+      category: 'Equity Mid Cap'
+    })).toEqual({
+      nav: 1268.6,
+      fund_size: 89383.23,
+      minimum_sip: 100,
+      expense_ratio: 0.71,
+      category: 'Equity Mid Cap'
+    });
+  });
+
+  it('leaves text fields and unparseable values alone', () => {
+    expect(normalizeFields('facts_performance', { nav_date: '14 Nov 2025', fund_size: 'Not available' }))
+      .toEqual({ nav_date: '14 Nov 2025', fund_size: 'Not available' });
+  });
+});
+
+describe('validateFields', () => {
+  it('accepts fields that match the section schema', () => {
+    expect(validateFields('fees', {
+      ter_percent: 0.71,
+      exit_load_text: '1% if redeemed within 1 year',
+      exit_load_rules: [{ condition: 'Any time', rate: 0 }]
+    })).toEqual([]);
+  });
+
+  it('reports every problem with its field', () => {
+    expect(validateFields('facts_performance', {
+      expense_ratio: 2e21,
+      fund_size: '89,383.23 Cr',
+      rating: 4.5,
+      scraped_at: 'yesterday'
+    })).toEqual([
+      'unknown field "scraped_at"',
+      'fund_size must be number',
+      'expense_ratio must be <= 5',
+      'rating must be integer'
+    ]);
+  });
+
+  it('checks nested values and required fields', () => {
+    expect(validateFields('fees', { exit_load_rules: [{ condition: 'Within 1 year', rate: '1%' }] }))
+      .toEqual(['exit_load_rules.0.rate must be number']);
+    expect(validateFields('faq', { faq_question: 'What is the lock-in?' }))
+      .toEqual(["must have required property 'faq_answer'"]);
+  });
+
+  it('rejects unknown section types', () => {
+    expect(validateFields('gossip', {})).toEqual(['unknown section_type "gossip"']);
+  });
+
+  it('has a schema for every section type the pipeline produces', () => {
+    expect(Object.keys(FIELD_SCHEMAS).sort()).toEqual([
+      'advance_ratios', 'contact_details', 'downloads', 'facts_performance', 'faq', 'fees',
+      'fund_manager', 'fund_objective', 'portfolio_holdings', 'portfolio_sectors',
+      'regulatory_links', 'riskometer_benchmark', 'tax_redemption'
+    ]);
+  });
+});
+
+describe('isValidField', () => {
+  it('checks one value against its field schema', () => {
+    expect(isValidField('fees', 'ter_percent', 0.05)).toBe(true);
+    expect(isValidField('fees', 'ter_percent', 142025)).toBe(false);
+    expect(isValidField('fees', 'ter_percent', null)).toBe(false);
+    expect(isValidField('fees', 'expense_ratio', 0.71)).toBe(false);
+  });
+});
+
+describe('checkChunkFields', () => {
+  it('returns the normalized fields', () => {
+    expect(checkChunkFields(CHUNK_ID, 'facts_performance', { fund_size: '17,194.16 Cr' }))
+      .toEqual({ fund_size: 17194.16 });
+  });
+
+  it('throws with the chunk ID and every problem', () => {
+    expect(() => checkChunkFields(CHUNK_ID, 'facts_performance', { nav: -1, rating: 9 }))
+      .toThrow(`Invalid fields_json for ${CHUNK_ID}:\n  nav must be > 0\n  rating must be <= 5`);
+  });
+});
+
+describe('migrateFields', () => {
+  it('converts units and drops values that still break the schema', () => {
+    expect(migrateFields('facts_performance', { minimum_sip: '875194', aum: '875194', expense_ratio: 2e21 })).toEqual({
+      fields: { minimum_sip: 875194, aum: 875194 },
+      dropped: ['expense_ratio must be <= 5']
+    });
+  });
+
+  it('leaves valid fields alone', () => {
+    expect(migrateFields('fees', { ter_percent: 0.71 })).toEqual({ fields: { ter_percent: 0.71 }, dropped: [] });
+  });
+});
+
+describe('validateChunks', () => {
+  it('counts chunks per section and lists the invalid ones', () => {
+    const report = validateChunks([
+      { chunk_id: 'a__fees', scheme_id: 'a', section_type: 'fees', fields_json: { ter_percent: 0.71 } },
+      { chunk_id: 'b__fees', scheme_id: 'b', section_type: 'fees', fields_json: { ter_percent: '0.71' } },
+      { chunk_id: 'b__faq__1', scheme_id: 'b', section_type: 'faq', fields_json: { faq_question: 'Q', faq_answer: 'A' } }
+    ]);
+
+    expect(report).toEqual({
+      checked: 3,
+      invalid: 1,
+      by_section: { fees: { checked: 2, invalid: 1 }, faq: { checked: 1, invalid: 0 } },
+      violations: [{ chunk_id: 'b__fees', scheme_id: 'b', section_type: 'fees', problems: ['ter_percent must be number'] }]
+    });
+  });
+});
+
+describe('units', () => {
+  it('names the unit of numeric fields', () => {
+    expect(fieldUnit('facts_performance', 'fund_size')).toBe('INR_crore');
+    expect(fieldUnit('fees', 'ter_percent')).toBe('percent');
+    expect(fieldUnit('facts_performance', 'rating')).toBeNull();
+  });
+
+  it.each([
+    [89383.23, 'INR_crore', '₹89,383.23 Cr'],
+    [38412.1, 'INR_crore', '₹38,412.10 Cr'],
+    [1268.6, 'INR', '₹1,268.6'],
+    [0.71, 'percent', '0.71%'],
+    [3, 'years', '3 years'],
+    [1, 'years', '1 year']
+  ])('formats %p in %s as %s', (value, unit, expected) => {
+    expect(formatQuantity(value, unit)).toBe(expected);
+  });
+});
@@ -0,0 +1,110 @@
+const {
+  parseDuration,
+  loadThresholds,
+  parseDisplayDate,
+  chunkFreshness,
+  summarizeFreshness,
+  schemeFreshness
+} = require('../../lib/freshness');
+const chunkLookup = require('../fixtures/data/index/chunk-lookup-latest.json');
+
+const MID_CAP = 'hdfc-mid-cap-fund-direct-growth';
+const chunk = id => chunkLookup[id];
+
+// Fixture pages were fetched 22 Nov 2025 with NAVs dated Friday 14 Nov 2025
+const NOV_15 = new Date('2025-11-15T06:00:00Z');
+const NOV_23 = new Date('2025-11-23T06:00:00Z');
+
+describe('freshness thresholds', () => {
+  it('parses hour, day and week durations', () => {
+    expect(parseDuration('12h')).toBe(12 * 60 * 60 * 1000);
+    expect(parseDuration('1d')).toBe(24 * 60 * 60 * 1000);
+    expect(parseDuration('4w')).toBe(28 * 24 * 60 * 60 * 1000);
+    expect(() => parseDuration('1 month')).toThrow(/Invalid freshness threshold/);
+  });
+
+  it('merges overrides into the defaults', () => {
+    const thresholds = loadThresholds('facts_performance=2d, portfolio_holdings=6w');
+    expect(thresholds.facts_performance).toBe(parseDuration('2d'));
+    expect(thresholds.portfolio_holdings).toBe(parseDuration('6w'));
+    expect(thresholds.fees).toBe(parseDuration('30d'));
+    expect(() => loadThresholds('facts_performance')).toThrow(/expected section=duration/);
+  });
+
+  it('parses Groww display dates', () => {
+    expect(parseDisplayDate('14 Nov 2025').toISOString()).toBe('2025-11-14T00:00:00.000Z');
+    expect(parseDisplayDate('3 September 2024').toISOString()).toBe('2024-09-03T00:00:00.000Z');
+    expect(parseDisplayDate('yesterday')).toBeNull();
+  });
+});
+
+describe('chunkFreshness', () => {
+  it('dates facts by their NAV date', () => {
+    const freshness = chunkFreshness(chunk(`${MID_CAP}__facts_performance`), { now: NOV_15 });
+    expect(freshness).toMatchObject({ asOfLabel: '14 Nov 2025', ageDays: 1, maxAgeDays: 1, stale: false });
+  });
+
+  it('ages NAVs in business days', () => {
+    const facts = chunk(`${MID_CAP}__facts_performance`);
+    const staleAt = now => chunkFreshness(facts, { now: new Date(now) }).stale;
+
+    expect(staleAt('2025-11-14T15:00:00Z')).toBe(false);
+    expect(staleAt('2025-11-16T20:00:00Z')).toBe(false);
+    expect(staleAt('2025-11-17T06:00:00Z')).toBe(false);
+    expect(staleAt('2025-11-18T06:00:00Z')).toBe(true);
+    // 19:00 UTC on Monday is already Tuesday in India
+    expect(staleAt('2025-11-17T19:00:00Z')).toBe(true);
+  });
+
+  it('dates other sections by their fetch time', () => {
+    const holdings = { ...chunk(`${MID_CAP}__fees`), section_type: 'portfolio_holdings' };
+    expect(chunkFreshness(holdings, { now: NOV_23 })).toMatchObject({
+      asOf: expect.stringMatching(/^2025-11-22T/),
+      asOfLabel: '22 Nov 2025',
+      maxAgeDays: 30,
+      stale: false
+    });
+    expect(chunkFreshness(holdings, { now: new Date('2026-01-01T00:00:00Z') }).stale).toBe(true);
+  });
+
+  it('returns null for chunks without dates', () => {
+    expect(chunkFreshness({ content_md: 'Basic mutual fund information', fields_json: {} })).toBeNull();
+  });
+});
+
+describe('summarizeFreshness', () => {
+  it('reports the oldest date and warns about stale sections', () => {
+    const summary = summarizeFreshness(
+      [chunk(`${MID_CAP}__fees`), chunk(`${MID_CAP}__facts_performance`)],
+      { now: NOV_23 }
+    );
+    expect(summary.asOfLabel).toBe('14 Nov 2025');
+    expect(summary.stale).toBe(true);
+    expect(summary.chunks.filter(entry => entry.stale).map(entry => entry.sectionType)).toEqual(['facts_performance']);
+    expect(summary.warning).toMatch(/HDFC Mid Cap Fund Direct Growth facts performance is from 14 Nov 2025 \(9 days old\)/);
+  });
+
+  it('has no warning when everything is within its threshold', () => {
+    const summary = summarizeFreshness([chunk(`${MID_CAP}__fees`)], { now: NOV_23 });
+    expect(summary.stale).toBe(false);
+    expect(summary.warning).toBeNull();
+  });
+
+  it('is null without dated chunks', () => {
+    expect(summarizeFreshness([])).toBeNull();
+  });
+});
+
+describe('schemeFreshness', () => {
+  it('summarizes one scheme for the health check', () => {
+    const chunks = Object.values(chunkLookup).filter(entry => entry.scheme_id === MID_CAP);
+    expect(schemeFreshness(MID_CAP, chunks, { now: NOV_23 })).toEqual({
+      schemeId: MID_CAP,
+      schemeName: 'HDFC Mid Cap Fund Direct Growth',
+      navDate: '14 Nov 2025',
+      lastFetchedAt: expect.stringMatching(/^2025-11-22T/),
+      stale: true,
+      staleSections: ['facts_performance']
+    });
+  });
+});
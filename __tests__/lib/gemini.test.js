@@ -0,0 +1,230 @@
+const { GeminiClient } = require('../../lib/gemini');
+const { FundFactsStore } = require('../../lib/fund-facts');
+const { MockProvider } = require('../../lib/llm-providers');
+const chunkLookup = require('../fixtures/data/index/chunk-lookup-latest.json');
+
+const MID_CAP = 'hdfc-mid-cap-fund-direct-growth';
+const ELSS = 'hdfc-elss-tax-saver-fund-direct-plan-growth';
+const chunk = id => chunkLookup[id];
+
+/**
+ * Client whose canonical facts come from the given store (empty: chunk fields only)
+ */
+function createClient(provider = null, facts = new FundFactsStore([])) {
+  const client = new GeminiClient(provider);
+  jest.spyOn(client, 'facts', 'get').mockReturnValue(facts);
+  return client;
+}
+
+describe('GeminiClient.extractDirectAnswer', () => {
+  const client = createClient();
+
+  it.each([
+    'Which is the best fund to invest in?',
+    'Should I invest in HDFC Mid Cap?',
+    'Which fund will make me rich?',
+    'I need some advice on mutual funds',
+    'Is it safe to invest in HDFC Small Cap now?',
+    'Which HDFC fund should I buy?'
+  ])('refuses advisory question: %s', query => {
+    const result = client.extractDirectAnswer(query, chunk(`${MID_CAP}__fees`));
+    expect(result.answer).toMatch(/cannot provide investment advice/);
+    expect(result.sourceUrl).toBeNull();
+  });
+
+  it.each([
+    'Who is the prime minister of India?',
+    'What is the price of bitcoin?',
+    'How is the weather today?'
+  ])('declines out-of-scope question: %s', query => {
+    const result = client.extractDirectAnswer(query, chunk(`${MID_CAP}__fees`));
+    expect(result.answer).toMatch(/can only answer questions about HDFC mutual funds/);
+    expect(result.sourceUrl).toBeNull();
+  });
+
+  it.each([
+    'Which stocks are held by HDFC Mid Cap?',
+    'HDFC Mid Cap Fund top holdings',
+    'What are HDFC Small Cap fund top 10 stocks?',
+    'Is HDFC ELSS safe fund?',
+    'What is the best return of HDFC Top 100 Fund in 5 years?'
+  ])('does not refuse a factual question: %s', query => {
+    expect(client.refusalFor(query)).toBeNull();
+  });
+
+  it('answers whether a fund is safe with its riskometer', () => {
+    const answer = client.extractDirectAnswer('Is HDFC Mid Cap a safe fund?', chunk(`${MID_CAP}__riskometer_benchmark`));
+    expect(answer).toMatch(/risk level for HDFC Mid Cap Fund Direct Growth is: Very High/);
+  });
+
+  it('answers the expense ratio from the fees chunk', () => {
+    const answer = client.extractDirectAnswer('What is the expense ratio?', chunk(`${MID_CAP}__fees`));
+    expect(answer).toMatch(/expense ratio \(TER\) for HDFC Mid Cap Fund Direct Growth is \*\*0\.71%\*\*/);
+  });
+
+  it('answers the minimum SIP', () => {
+    const answer = client.extractDirectAnswer('What is the minimum SIP?', chunk(`${ELSS}__facts_performance`));
+    expect(answer).toMatch(/minimum SIP amount for .* is \*\*₹500\*\*/);
+  });
+
+  it('answers a 3-year ELSS lock-in', () => {
+    const answer = client.extractDirectAnswer('What is the lock-in period?', chunk(`${ELSS}__tax_redemption`));
+    expect(answer).toMatch(/\*\*Yes\*\*.*lock-in period of 3 years/);
+  });
+
+  it('answers that there is no lock-in', () => {
+    const answer = client.extractDirectAnswer('Is there a lock-in?', chunk(`${MID_CAP}__tax_redemption`));
+    expect(answer).toMatch(/\*\*No\*\*.*no lock-in period/);
+  });
+
+  it('answers the exit load', () => {
+    const answer = client.extractDirectAnswer('What is the exit load?', chunk(`${MID_CAP}__fees`));
+    expect(answer).toMatch(/\*\*1% if redeemed within 1 year from the date of allotment\*\*/);
+  });
+
+  it('answers the NAV with its date', () => {
+    const answer = client.extractDirectAnswer('What is the NAV?', chunk(`${MID_CAP}__facts_performance`));
+    expect(answer).toMatch(/NAV of HDFC Mid Cap Fund Direct Growth is ₹224\.35 as of 14 Nov 2025/);
+  });
+
+  it('lists the returns', () => {
+    const answer = client.extractDirectAnswer('Show me the returns', chunk(`${MID_CAP}__facts_performance`));
+    expect(answer).toMatch(/- 1 Year: 12\.5%/);
+    expect(answer).toMatch(/- 3 Year \(Annualized\): 27%/);
+    expect(answer).toMatch(/- 5 Year \(Annualized\): 29\.2%/);
+  });
+
+  it('answers the fund size', () => {
+    const answer = client.extractDirectAnswer('What is the AUM?', chunk(`${MID_CAP}__facts_performance`));
+    expect(answer).toMatch(/fund size \(AUM\) for .* is \*\*₹89,383\.23 Cr\*\*/);
+  });
+
+  it('explains ELSS tax benefits', () => {
+    const answer = client.extractDirectAnswer('How is it taxed?', chunk(`${ELSS}__tax_redemption`));
+    expect(answer).toMatch(/ELSS fund with tax benefits/);
+    expect(answer).toMatch(/Section 80C/);
+  });
+
+  it('explains equity taxation for other funds', () => {
+    const answer = client.extractDirectAnswer('What about LTCG tax?', chunk(`${MID_CAP}__tax_redemption`));
+    expect(answer).toMatch(/^Tax implications for HDFC Mid Cap Fund Direct Growth/);
+    expect(answer).toMatch(/12\.5% on gains above ₹1\.25 lakh/);
+  });
+
+  it('answers the fund manager', () => {
+    const answer = client.extractDirectAnswer('Who is the fund manager?', chunk(`${MID_CAP}__fund_manager`));
+    expect(answer).toMatch(/\*\*Name\*\*: Chirag Setalvad and Dhruv Muchhal/);
+  });
+
+  it('prefers canonical facts over the chunk fields', () => {
+    const facts = new FundFactsStore([{ name: 'test', schemes: { [MID_CAP]: { expense_ratio: { value: 0.75 } } } }]);
+    const answer = createClient(null, facts).extractDirectAnswer('expense ratio?', chunk(`${MID_CAP}__fees`));
+    expect(answer).toMatch(/\*\*0\.75%\*\*/);
+  });
+
+  it('falls back to the start of the chunk when nothing matches', () => {
+    const answer = client.extractDirectAnswer('Tell me about this fund', chunk(`${MID_CAP}__riskometer_benchmark`));
+    expect(answer).toMatch(/Let me know if you want more specific details!$/);
+  });
+});
+
+describe('GeminiClient answers without an LLM', () => {
+  it('cites the primary chunk for factual fallback answers', async () => {
+    const result = await createClient().generateAnswer('What is the expense ratio?', [chunk(`${MID_CAP}__fees`)]);
+    expect(result.fallback).toBe(true);
+    expect(result.sourceUrl).toBe(chunk(`${MID_CAP}__fees`).source_url);
+    expect(result.citations).toHaveLength(1);
+    expect(result.citations[0].chunkId).toBe(`${MID_CAP}__fees`);
+  });
+
+  it('attaches no source or citations to refusals', async () => {
+    const result = await createClient().generateAnswer('Which is the best fund to invest in?', [chunk(`${MID_CAP}__fees`)]);
+    expect(result.sourceUrl).toBeNull();
+    expect(result.citations).toEqual([]);
+  });
+
+  it('returns the no-results answer without chunks', async () => {
+    const result = await createClient().generateAnswer('anything', []);
+    expect(result.confidence).toBe('low');
+    expect(result.citations).toEqual([]);
+  });
+
+  it('falls back to direct extraction when the provider fails', async () => {
+    const provider = new MockProvider();
+    jest.spyOn(provider, 'generate').mockRejectedValue(new Error('quota exceeded'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await createClient(provider).generateAnswer('What is the expense ratio?', [chunk(`${MID_CAP}__fees`)]);
+    expect(result.fallback).toBe(true);
+    expect(result.answer).toMatch(/0\.71%/);
+  });
+});
+
+describe('GeminiClient answer freshness', () => {
+  const clientAt = now => {
+    const client = new GeminiClient(null, { now: () => new Date(now) });
+    jest.spyOn(client, 'facts', 'get').mockReturnValue(new FundFactsStore([]));
+    return client;
+  };
+
+  it('states the as-of date of the cited data', async () => {
+    const result = await clientAt('2025-11-23T06:00:00Z').generateAnswer('What is the expense ratio?', [chunk(`${MID_CAP}__fees`)]);
+    expect(result.answer).toMatch(/_Data as of 22 Nov 2025\._$/);
+    expect(result.freshness).toMatchObject({ asOfLabel: '22 Nov 2025', stale: false, warning: null });
+  });
+
+  it('does not repeat the date of a NAV answer', async () => {
+    const result = await clientAt('2025-11-14T12:00:00Z').generateAnswer('What is the NAV?', [chunk(`${MID_CAP}__facts_performance`)]);
+    expect(result.answer.match(/as of 14 Nov 2025/gi)).toHaveLength(1);
+  });
+
+  it('warns when a cited section is past its threshold', async () => {
+    const result = await clientAt('2025-11-23T06:00:00Z').generateAnswer('What is the NAV?', [chunk(`${MID_CAP}__facts_performance`)]);
+    expect(result.freshness.stale).toBe(true);
+    expect(result.freshness.warning).toMatch(/facts performance is from 14 Nov 2025 \(9 days old\)/);
+  });
+
+  it('dates each document in the prompt', () => {
+    const prompt = clientAt('2025-11-23T06:00:00Z').buildPrompt('NAV?', [chunk(`${MID_CAP}__facts_performance`), chunk(`${MID_CAP}__fees`)]);
+    expect(prompt).toMatch(/\[Document 1\][^]*Data as of: 14 Nov 2025/);
+    expect(prompt).toMatch(/\[Document 2\][^]*Data as of: 22 Nov 2025/);
+  });
+
+  it('adds nothing to refusals', async () => {
+    const result = await clientAt('2026-01-01T00:00:00Z').generateAnswer('Which is the best fund to invest in?', [chunk(`${MID_CAP}__fees`)]);
+    expect(result.freshness).toBeUndefined();
+    expect(result.answer).not.toMatch(/as of/);
+  });
+});
+
+describe('GeminiClient answers with an LLM', () => {
+  it('maps the model citations back to chunks', async () => {
+    const chunks = [chunk(`${MID_CAP}__fees`), chunk(`${MID_CAP}__facts_performance`)];
+    const result = await createClient(new MockProvider()).generateAnswer('What is the expense ratio of HDFC Mid Cap?', chunks);
+
+    expect(result.fallback).toBeUndefined();
+    expect(result.answer).toMatch(/0\.71% \[1\]/);
+    expect(result.citations.map(citation => citation.chunkId)).toEqual([`${MID_CAP}__fees`, `${MID_CAP}__facts_performance`]);
+    expect(result.grounding).toBeDefined();
+  });
+
+  it.each([
+    'Which is the best fund to invest in?',
+    'Who is the prime minister of India?'
+  ])('refuses without asking the model: %s', async query => {
+    const provider = new MockProvider();
+    const generate = jest.spyOn(provider, 'generate');
+    const result = await createClient(provider).generateAnswer(query, [chunk(`${MID_CAP}__fees`)]);
+
+    expect(generate).not.toHaveBeenCalled();
+    expect(result.answer).toMatch(/cannot provide investment advice|can only answer questions about HDFC mutual funds/);
+    expect(result.citations).toEqual([]);
+  });
+
+  it('rewrites advisory phrasing from the model', async () => {
+    const provider = new MockProvider({ responses: [{ match: /USER QUESTION/, text: 'You should invest here, it has a 0.71% expense ratio [1].' }] });
+    const result = await createClient(provider).generateAnswer('expense ratio?', [chunk(`${MID_CAP}__fees`)]);
+    expect(result.answer).toMatch(/^you can invest here/i);
+    expect(result.answer).not.toMatch(/should/i);
+  });
+});
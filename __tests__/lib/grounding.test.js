@@ -0,0 +1,29 @@
+const { verifyGrounding } = require('../../lib/grounding');
+
+const chunk = contentMd => ({ content_md: contentMd, content_csv: '', fields_json: {} });
+
+describe('verifyGrounding', () => {
+  it('supports figures and dates quoted as the source states them', () => {
+    const result = verifyGrounding('The expense ratio is 0.82% and the NAV is ₹162.41 as of 14 Nov 2025.',
+      [chunk('Expense ratio: 0.82%. NAV: ₹162.41 (14-Nov-2025, 2025-11-14)')]);
+    expect(result.confidence).toBe('high');
+    expect(result.grounding.unsupported).toEqual([]);
+  });
+
+  it('supports a figure rounded to fewer decimals', () => {
+    const result = verifyGrounding('The 3Y return is 23.2%.', [chunk('3Y return: 23.17%')]);
+    expect(result.grounding.supported).toEqual(['23.2%']);
+  });
+
+  it('does not back a whole figure with a fractional source value', () => {
+    const result = verifyGrounding('The exit load is 1% and the one-year return is 12%.',
+      [chunk('Exit load: 0.71%. One-year return: 11.6%')]);
+    expect(result.grounding.unsupported).toEqual(['1%', '12%']);
+    expect(result.confidence).toBe('low');
+  });
+
+  it('does not round a figure quoted more loosely than half its last digit', () => {
+    const result = verifyGrounding('The expense ratio is 0.8%.', [chunk('Expense ratio: 0.86%')]);
+    expect(result.grounding.unsupported).toEqual(['0.8%']);
+  });
+});
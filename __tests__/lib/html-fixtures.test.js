@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HtmlFixtureStore, pageFileName, diffChunks } = require('../../lib/html-fixtures');
+const { parsePage } = require('../../scripts/ingest');
+
+const SCHEME_URL = 'https://groww.in/mutual-funds/hdfc-mid-cap-fund-direct-growth';
+const SOURCE = { id: 'hdfc-mid-cap-fund-direct-growth', url: SCHEME_URL, type: 'scheme_page', parser: 'groww_scheme' };
+const schemeHtml = fs.readFileSync(
+  path.join(__dirname, '..', 'fixtures', 'html', 'hdfc-mid-cap-fund-direct-growth.html'),
+  'utf8'
+);
+
+describe('HtmlFixtureStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new HtmlFixtureStore(fs.mkdtempSync(path.join(os.tmpdir(), 'html-fixtures-')));
+  });
+
+  afterEach(() => {
+    fs.rmSync(store.rootDir, { recursive: true, force: true });
+  });
+
+  it('names page files after the URL path', () => {
+    expect(pageFileName(SCHEME_URL)).toBe('mutual-funds__hdfc-mid-cap-fund-direct-growth.html');
+    expect(pageFileName('https://groww.in/download-forms?tab=1')).toBe('download-forms.html');
+  });
+
+  it('records pages with their URL, fetch time and hash', () => {
+    const captureId = store.createCapture();
+    store.savePage(captureId, SCHEME_URL, schemeHtml, '2026-10-01T08:00:00.000Z');
+
+    expect(store.captures()).toEqual([captureId]);
+    expect(store.latest()).toBe(captureId);
+    expect(store.readManifest(captureId).pages).toEqual([{
+      url: SCHEME_URL,
+      file: 'mutual-funds__hdfc-mid-cap-fund-direct-growth.html',
+      fetched_at: '2026-10-01T08:00:00.000Z',
+      hash: expect.stringMatching(/^[0-9a-f]{64}$/),
+      bytes: Buffer.byteLength(schemeHtml)
+    }]);
+    expect(store.loadPages(captureId)).toEqual([
+      { url: SCHEME_URL, fetched_at: '2026-10-01T08:00:00.000Z', html: schemeHtml }
+    ]);
+  });
+
+  it('replaces a page saved twice in one capture', () => {
+    const captureId = store.createCapture();
+    store.savePage(captureId, SCHEME_URL, '<p>first</p>');
+    store.savePage(captureId, SCHEME_URL, schemeHtml);
+    expect(store.loadPages(captureId).map(page => page.html)).toEqual([schemeHtml]);
+  });
+
+  it('lists known captures when one is missing', () => {
+    const captureId = store.createCapture();
+    expect(() => store.readManifest('nope')).toThrow(`Capture nope not found (available: ${captureId})`);
+  });
+
+  it('replays saved HTML through the ingest parsers with the capture time', () => {
+    const captureId = store.createCapture();
+    store.savePage(captureId, SCHEME_URL, schemeHtml, '2026-10-01T08:00:00.000Z');
+
+    const [page] = store.loadPages(captureId);
+    const chunks = parsePage(page.html, SOURCE, page.fetched_at);
+    expect(chunks.find(chunk => chunk.section_type === 'fees').fields_json.ter_percent).toBe(0.71);
+    expect(chunks.every(chunk => chunk.fetched_at === '2026-10-01T08:00:00.000Z')).toBe(true);
+  });
+});
+
+describe('diffChunks', () => {
+  const MID_CAP = 'hdfc-mid-cap-fund-direct-growth';
+
+  it('reports changed fields, text-only changes, added and removed chunks', () => {
+    const before = parsePage(schemeHtml, SOURCE);
+    const after = parsePage(
+      schemeHtml
+        .replace('<strong>Expense ratio: 0.71%</strong>', '<strong>Expense ratio: 0.75%</strong>')
+        .replace('<td>22.1%</td>', '<td>22.4%</td>')
+        .replace('What is the expense ratio of HDFC Mid Cap Fund?', 'What is the exit load of HDFC Mid Cap Fund?'),
+      SOURCE
+    );
+
+    const diff = diffChunks(before, after);
+    expect(diff.changed).toEqual([{ chunk_id: `${MID_CAP}__fees`, field: 'ter_percent', before: 0.71, after: 0.75 }]);
+    expect(diff.contentOnly).toEqual([`${MID_CAP}__portfolio_sectors`]);
+    expect(diff.added).toEqual([`${MID_CAP}__faq__what-is-the-exit-load-of-hdfc-mid-cap-fund-`]);
+    expect(diff.removed).toEqual([`${MID_CAP}__faq__what-is-the-expense-ratio-of-hdfc-mid-cap-fund-`]);
+  });
+
+  it('finds nothing between identical parses', () => {
+    const chunks = parsePage(schemeHtml, SOURCE);
+    const diff = diffChunks(chunks, parsePage(schemeHtml, SOURCE));
+    expect(diff).toEqual({ added: [], removed: [], changed: [], contentOnly: [], unchanged: chunks.length });
+  });
+});
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IndexSnapshotStore, SNAPSHOT_FILES } = require('../../lib/index-snapshots');
+
+describe('IndexSnapshotStore.resolve', () => {
+  const store = new IndexSnapshotStore('/data/index');
+
+  it('resolves bundle files in a snapshot, or their flat equivalents', () => {
+    expect(store.resolve('intent', '20251101T000000000Z')).toBe('/data/index/snapshots/20251101T000000000Z/intent-model.json');
+    expect(store.resolve('intent', null)).toBe('/data/index/intent-model-latest.json');
+    expect(store.resolve('manifest', null)).toBeNull();
+  });
+});
+
+describe('IndexSnapshotStore.prune', () => {
+  let store;
+
+  function writeSnapshot(version) {
+    const dir = store.snapshotDir(version);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, SNAPSHOT_FILES.manifest), JSON.stringify({ version, chunks: [] }));
+  }
+
+  function writeStaging(name, owner) {
+    const dir = path.join(store.snapshotsDir, name);
+    fs.mkdirSync(dir, { recursive: true });
+    if (owner) fs.writeFileSync(path.join(dir, '.owner.json'), JSON.stringify(owner));
+    return dir;
+  }
+
+  beforeEach(() => {
+    store = new IndexSnapshotStore(fs.mkdtempSync(path.join(os.tmpdir(), 'index-snapshots-')));
+  });
+
+  afterEach(() => {
+    fs.rmSync(store.indexDir, { recursive: true, force: true });
+  });
+
+  it('keeps the newest snapshots and the active one', () => {
+    ['20251101T000000000Z', '20251102T000000000Z', '20251103T000000000Z'].forEach(writeSnapshot);
+    store.activate('20251101T000000000Z');
+
+    expect(store.prune(1)).toEqual(['20251102T000000000Z']);
+    expect(store.versions()).toEqual(['20251101T000000000Z', '20251103T000000000Z']);
+  });
+
+  it('keeps the staging directory of a build still running', () => {
+    const staging = store.createStaging();
+
+    expect(store.prune()).toEqual([]);
+    expect(fs.existsSync(staging.dir)).toBe(true);
+  });
+
+  it('removes staging directories whose build is gone', () => {
+    // Past the kernel's pid range, so no process has it
+    writeStaging('.staging-20251101T000000000Z', { pid: 2 ** 22 + 1, created_at: '2025-11-01T00:00:00.000Z' });
+    const recent = writeStaging('.staging-20251102T000000000Z');
+    const old = writeStaging('.staging-20251103T000000000Z');
+    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(old, twoDaysAgo, twoDaysAgo);
+
+    expect(store.prune()).toEqual(['.staging-20251101T000000000Z', '.staging-20251103T000000000Z']);
+    expect(fs.existsSync(recent)).toBe(true);
+  });
+
+  it('commits snapshots without the owner file', () => {
+    const staging = store.createStaging();
+    fs.writeFileSync(path.join(staging.dir, SNAPSHOT_FILES.manifest), JSON.stringify({ version: staging.version, chunks: [] }));
+    store.commit(staging);
+
+    expect(fs.readdirSync(store.snapshotDir(staging.version))).toEqual([SNAPSHOT_FILES.manifest]);
+    expect(store.activeVersion()).toBe(staging.version);
+  });
+});
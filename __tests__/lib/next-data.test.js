@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { readNextData, schemeDataFromNextData, readSchemeData, extractionReport } = require('../../lib/next-data');
+
+const HTML_DIR = path.join(__dirname, '..', 'fixtures', 'html');
+
+function loadFixture(name) {
+  return cheerio.load(fs.readFileSync(path.join(HTML_DIR, name), 'utf8'));
+}
+
+const nextData = scheme => ({ props: { pageProps: { mfServerSideData: scheme } } });
+
+describe('readNextData', () => {
+  it('parses the embedded Next.js state', () => {
+    expect(readNextData(loadFixture('hdfc-small-cap-fund-direct-growth.html')).page).toBe('/mutual-funds/[slug]');
+  });
+
+  it('is null without a __NEXT_DATA__ script or with broken JSON', () => {
+    expect(readNextData(loadFixture('hdfc-mid-cap-fund-direct-growth.html'))).toBeNull();
+    expect(readNextData(cheerio.load('<script id="__NEXT_DATA__" type="application/json">{"props":</script>'))).toBeNull();
+  });
+});
+
+describe('schemeDataFromNextData', () => {
+  it('types the scheme values', () => {
+    const data = readSchemeData(loadFixture('hdfc-small-cap-fund-direct-growth.html'));
+
+    expect(data).toMatchObject({
+      scheme_name: 'HDFC Small Cap Fund Direct Growth',
+      category: 'Equity Small Cap',
+      nav: 162.41,
+      nav_date: '14 Nov 2025',
+      fund_size: 38412.1,
+      expense_ratio: 0.82,
+      minimum_sip: 100,
+      rating: 4,
+      returns_3y: 23.2,
+      launch_date: '1 Jan 2013',
+      riskometer_category: 'Very High',
+      objective_text: 'To provide long-term capital appreciation by investing predominantly in small-cap companies.',
+      lock_in_years: 0
+    });
+    expect(data.managers.map(manager => manager.name)).toEqual(['Chirag Setalvad', 'Dhruv Muchhal']);
+    expect(data.holdings[0]).toEqual({ name: 'Firstsource Solutions Ltd.', sector: 'Services', instrument: 'Equity', assets: 4.72 });
+  });
+
+  it('parses numbers and dates given as display strings', () => {
+    expect(schemeDataFromNextData(nextData({
+      aum: '89,383.23',
+      nav: '₹1,574.10',
+      nav_date: '2025-11-14T00:00:00Z',
+      lock_in: { years: 3, months: 0, days: 0 }
+    }))).toEqual({ fund_size: 89383.23, nav: 1574.1, nav_date: '14 Nov 2025', lock_in_years: 3 });
+  });
+
+  it('omits fields the page does not carry', () => {
+    expect(schemeDataFromNextData(nextData({ nav: null, expense_ratio: '', fund_manager: 'Roshi Jain' })))
+      .toEqual({ managers: [{ name: 'Roshi Jain' }] });
+  });
+
+  it('is null without a scheme object', () => {
+    expect(schemeDataFromNextData({ props: { pageProps: {} } })).toBeNull();
+  });
+});
+
+describe('extractionReport', () => {
+  it('lists the strategy behind every schema field, and missing ones', () => {
+    const report = extractionReport([
+      { scheme_id: 'fund-a', section_type: 'fees', field_sources: { ter_percent: 'next_data' } },
+      { scheme_id: 'fund-a', section_type: 'faq', field_sources: { faq_question: 'dom', faq_answer: 'dom' } },
+      { scheme_id: 'forms', section_type: 'downloads' }
+    ]);
+
+    expect(report.schemes).toEqual({
+      'fund-a': {
+        fees: { ter_percent: 'next_data', exit_load_text: 'missing', exit_load_rules: 'missing' },
+        faq: { faq_question: 'dom', faq_answer: 'dom' }
+      }
+    });
+    expect(report.totals).toEqual({ next_data: 1, dom: 2, missing: 2 });
+  });
+});
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SourceRegistry } = require('../../lib/sources');
+const { PipelineRunStore, backoffDelay, withRetries, dueSources, runPipeline } = require('../../lib/pipeline');
+
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+
+const source = (id, overrides = {}) => ({
+  id,
+  url: `https://groww.in/mutual-funds/${id}`,
+  type: 'scheme_page',
+  parser: 'groww_scheme',
+  schedule: 'daily',
+  enabled: true,
+  ...overrides
+});
+
+const chunk = (schemeId, section = 'fees') => ({ chunk_id: `${schemeId}__${section}`, scheme_id: schemeId });
+
+describe('retries', () => {
+  it('doubles the delay per attempt up to the cap', () => {
+    expect([1, 2, 3, 4, 5].map(attempt => backoffDelay(attempt, 1000, 5000))).toEqual([1000, 2000, 4000, 5000, 5000]);
+  });
+
+  it('retries until the task succeeds', async () => {
+    const wait = jest.fn().mockResolvedValue();
+    const task = jest.fn()
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockResolvedValue('html');
+
+    await expect(withRetries(task, { retries: 2, baseDelayMs: 100, wait })).resolves.toEqual({ value: 'html', attempts: 3 });
+    expect(wait.mock.calls).toEqual([[100], [200]]);
+  });
+
+  it('gives up after the last retry and reports the attempts', async () => {
+    const task = jest.fn().mockRejectedValue(new Error('blocked'));
+    await expect(withRetries(task, { retries: 1, wait: async () => {} })).rejects.toMatchObject({ message: 'blocked', attempts: 2 });
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('dueSources', () => {
+  const sources = new SourceRegistry([
+    source('daily-fund'),
+    source('weekly-page', { schedule: 'weekly' }),
+    source('manual-page', { schedule: 'manual' }),
+    source('off-fund', { enabled: false })
+  ]);
+
+  it('selects enabled sources whose schedule has elapsed', () => {
+    const state = {
+      'daily-fund': { last_success_at: new Date(NOW - 25 * HOUR).toISOString() },
+      'weekly-page': { last_success_at: new Date(NOW - 25 * HOUR).toISOString() }
+    };
+    expect(dueSources(sources, state, NOW).map(entry => entry.id)).toEqual(['daily-fund']);
+  });
+
+  it('treats never-fetched sources as due and leaves manual ones alone', () => {
+    expect(dueSources(sources, {}, NOW).map(entry => entry.id)).toEqual(['daily-fund', 'weekly-page']);
+  });
+
+  it('selects every enabled source when forced', () => {
+    expect(dueSources(sources, {}, NOW, { force: true })).toHaveLength(3);
+  });
+});
+
+describe('runPipeline', () => {
+  let store;
+  let steps;
+  const sources = new SourceRegistry([source('fund-a'), source('fund-b'), source('fund-c'), source('fund-d')]);
+
+  beforeEach(() => {
+    store = new PipelineRunStore(fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-runs-')));
+    steps = {
+      fetchSource: jest.fn(async entry => `<h1>${entry.id}</h1>`),
+      parseSource: jest.fn((html, entry) => [chunk(entry.id), chunk(entry.id, 'faq')]),
+      loadPublishedChunks: jest.fn(async () => [chunk('fund-a'), chunk('fund-d'), chunk('retired-fund')]),
+      publish: jest.fn(async () => ({ jsonlPath: 'data/jsonl/ingest-full-20261019.jsonl' })),
+      buildIndex: jest.fn(async () => {})
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(store.runsDir, { recursive: true, force: true });
+  });
+
+  const run = options => runPipeline({ sources, store, ...steps, wait: async () => {}, now: () => NOW, ...options });
+
+  it('publishes every due source and writes the report and state', async () => {
+    const report = await run();
+
+    expect(report.status).toBe('published');
+    expect(report.summary).toMatchObject({ sources_due: 4, ok: 4, failed: 0, chunks_fetched: 8, chunks_carried_forward: 0, chunks_published: 8 });
+    expect(report.sources[0]).toMatchObject({ id: 'fund-a', status: 'ok', attempts: 1, chunks: 2 });
+    expect(Object.keys(report.stages)).toEqual(['ingest', 'process', 'build_index']);
+    expect(steps.buildIndex).toHaveBeenCalled();
+
+    expect(store.latestReport()).toEqual(report);
+    expect(store.readState()['fund-b']).toMatchObject({ last_success_at: NOW.toISOString(), consecutive_failures: 0 });
+  });
+
+  it('retries a flaky source and carries a failed one forward', async () => {
+    steps.fetchSource.mockImplementation(async entry => {
+      if (entry.id === 'fund-d') throw new Error('net::ERR_TIMED_OUT');
+      return '<html></html>';
+    });
+    steps.parseSource.mockReturnValueOnce([]);
+
+    const report = await run({ maxFailureRatio: 0.25 });
+
+    expect(report.status).toBe('published');
+    expect(report.sources.find(entry => entry.id === 'fund-a')).toMatchObject({ status: 'ok', attempts: 2 });
+    expect(report.sources.find(entry => entry.id === 'fund-d')).toMatchObject({ status: 'failed', attempts: 3, error: 'net::ERR_TIMED_OUT' });
+
+    const published = steps.publish.mock.calls[0][0].map(entry => entry.chunk_id);
+    expect(published).toContain('fund-d__fees');
+    expect(published).not.toContain('retired-fund__fees');
+    expect(published.filter(id => id === 'fund-a__fees')).toHaveLength(1);
+
+    expect(store.readState()['fund-d']).toMatchObject({ consecutive_failures: 1, last_error: 'net::ERR_TIMED_OUT' });
+    expect(store.readState()['fund-d'].last_success_at).toBeUndefined();
+  });
+
+  it('refuses to publish when too many sources fail', async () => {
+    steps.fetchSource.mockImplementation(async entry => {
+      if (entry.id !== 'fund-a') throw new Error('403');
+      return '<html></html>';
+    });
+
+    const report = await run({ retries: 0 });
+
+    expect(report.status).toBe('refused');
+    expect(report.reason).toMatch(/3 of 4 source\(s\) failed/);
+    expect(steps.publish).not.toHaveBeenCalled();
+    expect(steps.buildIndex).not.toHaveBeenCalled();
+    // Fetched but unpublished sources stay due
+    expect(store.readState()['fund-a'].last_success_at).toBeUndefined();
+  });
+
+  it('reports a failed index build without marking sources fresh', async () => {
+    steps.buildIndex.mockRejectedValue(new Error('build-index exited with code 1'));
+    const report = await run();
+
+    expect(report.status).toBe('failed');
+    expect(report.stages.build_index).toMatchObject({ status: 'failed', error: 'build-index exited with code 1' });
+    expect(store.readState()['fund-a'].last_success_at).toBeUndefined();
+  });
+
+  it('fetches only the selected sources', async () => {
+    const report = await run({ only: ['fund-b'] });
+
+    expect(steps.fetchSource).toHaveBeenCalledTimes(1);
+    expect(report.sources.find(entry => entry.id === 'fund-c')).toMatchObject({ status: 'skipped', reason: 'not selected' });
+    expect(report.summary.chunks_carried_forward).toBe(2);
+  });
+
+  it('does nothing when no source is due', async () => {
+    await run();
+    steps.fetchSource.mockClear();
+
+    const report = await run();
+    expect(report.status).toBe('nothing_due');
+    expect(steps.fetchSource).not.toHaveBeenCalled();
+    expect(store.reports()).toHaveLength(1);
+  });
+});
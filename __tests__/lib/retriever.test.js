@@ -0,0 +1,154 @@
+const { MutualFundRetriever } = require('../../lib/retriever');
+const { SchemeRegistry } = require('../../lib/scheme-registry');
+const { useFixtureData } = require('../helpers/api');
+
+const MID_CAP = 'hdfc-mid-cap-fund-direct-growth';
+const SMALL_CAP = 'hdfc-small-cap-fund-direct-growth';
+const ELSS = 'hdfc-elss-tax-saver-fund-direct-plan-growth';
+
+describe('MutualFundRetriever', () => {
+  let retriever;
+
+  beforeAll(async () => {
+    useFixtureData();
+    retriever = new MutualFundRetriever();
+    await retriever.initialize();
+  });
+
+  it('loads the fixture index without vector search', () => {
+    expect(retriever.describeIndex()).toMatchObject({ snapshot: null, chunks: 11, vectorSearch: false });
+    expect(retriever.listSchemes().sort()).toEqual([ELSS, MID_CAP, SMALL_CAP]);
+  });
+
+  describe('parseQuery', () => {
+    it('detects the scheme and section', () => {
+      const parsed = retriever.parseQuery('What is the expense ratio of HDFC Mid Cap fund?');
+      expect(parsed.schemeId).toBe(MID_CAP);
+      expect(parsed.sectionType).toBe('fees');
+    });
+
+    it('matches scheme aliases', () => {
+      const parsed = retriever.parseQuery('Lock-in period ELSS');
+      expect(parsed.schemeId).toBe(ELSS);
+      expect(parsed.sectionType).toBe('tax_redemption');
+    });
+
+    it('returns every scheme named in a comparison', () => {
+      const parsed = retriever.parseQuery('Compare expense ratio of HDFC Mid Cap and HDFC Small Cap');
+      expect(parsed.schemeCandidates.map(candidate => candidate.schemeId)).toEqual(
+        expect.arrayContaining([MID_CAP, SMALL_CAP])
+      );
+    });
+
+    it('ranks several intents in one question', () => {
+      const parsed = retriever.parseQuery('exit load and lock-in for HDFC ELSS');
+      expect(parsed.intents.map(intent => intent.intent)).toEqual(expect.arrayContaining(['fees', 'tax_redemption']));
+    });
+
+    it('leaves scheme and section empty for unrelated text', () => {
+      const parsed = retriever.parseQuery('hello there');
+      expect(parsed.schemeId).toBeNull();
+      expect(parsed.schemeCandidates).toEqual([]);
+      expect(parsed.query).toBe('hello there');
+    });
+  });
+
+  describe('retrieveDirectLookup', () => {
+    it('returns the exact chunk when scheme and section are known', () => {
+      const result = retriever.retrieveDirectLookup('expense ratio', MID_CAP, 'fees', 5);
+      expect(result.method).toBe('direct_lookup');
+      expect(result.chunks.map(chunk => chunk.chunk_id)).toEqual([`${MID_CAP}__fees`]);
+    });
+
+    it('returns the scheme chunks ranked by BM25 when the section is unknown', () => {
+      const result = retriever.retrieveDirectLookup('minimum sip amount', MID_CAP, null, 3);
+      expect(result.method).toBe('direct_lookup_search');
+      expect(result.chunks).toHaveLength(3);
+      expect(result.chunks.every(chunk => chunk.scheme_id === MID_CAP)).toBe(true);
+      expect(result.chunks[0].chunk_id).toBe(`${MID_CAP}__facts_performance`);
+      expect(result.scores).toHaveLength(3);
+    });
+
+    it('falls back to the section across schemes when the scheme has no such chunk', () => {
+      const result = retriever.retrieveDirectLookup('lock-in', SMALL_CAP, 'tax_redemption', 5);
+      expect(result.method).toBe('direct_lookup_search');
+      expect(result.chunks.map(chunk => chunk.chunk_id).sort()).toEqual([`${ELSS}__tax_redemption`, `${MID_CAP}__tax_redemption`]);
+    });
+
+    it('returns every chunk of a section when no scheme is named', () => {
+      const result = retriever.retrieveDirectLookup('exit load', null, 'fees', 5);
+      expect(result.chunks).toHaveLength(3);
+      expect(result.chunks.every(chunk => chunk.section_type === 'fees')).toBe(true);
+    });
+
+    it('searches the whole corpus with BM25 as a last resort', () => {
+      const result = retriever.retrieveDirectLookup('nomination form download', null, null, 2);
+      expect(result.method).toBe('direct_lookup_search');
+      expect(result.chunks[0].chunk_id).toBe('download-forms__downloads');
+    });
+  });
+
+  describe('retrieve', () => {
+    it('uses direct lookup and the lexical reranker without an embedder', async () => {
+      const result = await retriever.retrieve('What is the minimum SIP for HDFC ELSS?', { limit: 3 });
+      expect(result.method).toBe('direct_lookup');
+      expect(result.reranker).toBe('lexical');
+      expect(result.chunks[0].chunk_id).toBe(`${ELSS}__facts_performance`);
+    });
+
+    it('fetches one chunk per scheme for comparisons', async () => {
+      const result = await retriever.retrieve('Compare expense ratio of HDFC Mid Cap and HDFC Small Cap');
+      expect(result.method).toBe('comparison_direct_lookup');
+      expect(result.chunks.map(chunk => chunk.chunk_id)).toEqual([`${MID_CAP}__fees`, `${SMALL_CAP}__fees`]);
+    });
+
+    it('compares two schemes joined by "and"', async () => {
+      const result = await retriever.retrieve('expense ratio of HDFC Mid Cap and HDFC Small Cap');
+      expect(result.comparison.schemeIds).toEqual([MID_CAP, SMALL_CAP]);
+      expect(result.chunks.map(chunk => chunk.chunk_id)).toEqual([`${MID_CAP}__fees`, `${SMALL_CAP}__fees`]);
+    });
+
+    it('compares every requested section within the limit', async () => {
+      const query = 'Compare exit load and lock-in of HDFC Mid Cap and HDFC ELSS';
+      const result = await retriever.retrieve(query);
+      expect(result.intents.map(intent => intent.intent)).toEqual(expect.arrayContaining(['fees', 'tax_redemption']));
+      expect(result.chunks.map(chunk => chunk.chunk_id).sort()).toEqual([
+        `${ELSS}__fees`, `${ELSS}__tax_redemption`, `${MID_CAP}__fees`, `${MID_CAP}__tax_redemption`
+      ]);
+
+      const limited = await retriever.retrieve(query, { limit: 3 });
+      expect(limited.chunks).toHaveLength(3);
+    });
+
+    describe('with schemes named in passing', () => {
+      let fixtureRegistry;
+
+      beforeAll(() => {
+        // The production aliases that collide with everyday fund vocabulary
+        fixtureRegistry = retriever.schemeRegistry;
+        retriever.schemeRegistry = new SchemeRegistry([
+          { id: MID_CAP, aliases: ['mid cap', 'mid cap fund'] },
+          { id: SMALL_CAP, aliases: ['small cap', 'small cap fund'] },
+          { id: ELSS, aliases: ['elss', 'tax saver', '80c'] },
+          { id: 'hdfc-large-cap-fund-direct-growth', aliases: ['large cap', 'large cap fund'] },
+          { id: 'hdfc-equity-fund-direct-growth', aliases: ['flexi cap', 'flexi cap fund', 'equity fund'] }
+        ]);
+      });
+
+      afterAll(() => {
+        retriever.schemeRegistry = fixtureRegistry;
+      });
+
+      it.each([
+        'What is the equity allocation of HDFC Mid Cap fund?',
+        'Does HDFC Small Cap fund hold large cap stocks?',
+        'HDFC Mid Cap fund tax saving under 80c?',
+        'large cap exposure of HDFC Flexi Cap fund'
+      ])('does not compare schemes for "%s"', async query => {
+        const result = await retriever.retrieve(query);
+        expect(result.method).not.toMatch(/^comparison_/);
+        expect(result.comparison).toBeUndefined();
+      });
+    });
+  });
+});
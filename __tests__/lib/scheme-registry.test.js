@@ -0,0 +1,35 @@
+const { SchemeRegistry } = require('../../lib/scheme-registry');
+
+const MID_CAP = 'hdfc-mid-cap-fund-direct-growth';
+const EQUITY = 'hdfc-equity-fund-direct-growth';
+
+describe('SchemeRegistry', () => {
+  const registry = new SchemeRegistry([
+    { id: MID_CAP, aliases: ['mid cap', 'mid cap fund'] },
+    { id: EQUITY, aliases: ['flexi cap', 'flexi cap fund', 'equity fund'] }
+  ]);
+
+  const matchedIds = query => registry.match(query).map(candidate => candidate.schemeId);
+
+  describe('match', () => {
+    it('matches an alias named exactly', () => {
+      expect(registry.match('NAV of HDFC Mid Cap')).toEqual([{ schemeId: MID_CAP, score: 1, alias: 'mid cap' }]);
+    });
+
+    it('matches an alias written as one word', () => {
+      expect(matchedIds('hdfc midcap nav')).toEqual([MID_CAP]);
+    });
+
+    it('matches an alias with a typo', () => {
+      expect(matchedIds('hdfc flexy cap fund expense ratio')).toEqual([EQUITY]);
+    });
+
+    it('does not match alias words scattered across the query', () => {
+      expect(matchedIds('What is the equity allocation of HDFC Mid Cap fund?')).toEqual([MID_CAP]);
+    });
+
+    it('does not match alias words out of order', () => {
+      expect(matchedIds('which fund has the most equity')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const path = require('path');
+const { SourceRegistry } = require('../../lib/sources');
+
+const source = (overrides = {}) => ({
+  id: 'hdfc-mid-cap-fund-direct-growth',
+  url: 'https://groww.in/mutual-funds/hdfc-mid-cap-fund-direct-growth',
+  type: 'scheme_page',
+  parser: 'groww_scheme',
+  schedule: 'daily',
+  enabled: true,
+  ...overrides
+});
+
+describe('SourceRegistry', () => {
+  it('loads data/sources.json', () => {
+    const registry = SourceRegistry.load(path.join(__dirname, '..', 'fixtures', 'data'));
+    expect(registry.enabled('scheme_page')).toHaveLength(5);
+    expect(registry.get('download-forms')).toMatchObject({ type: 'downloads', parser: 'groww_downloads' });
+  });
+
+  it('is empty without a config file', () => {
+    expect(SourceRegistry.load(__dirname).sources).toEqual([]);
+  });
+
+  it('filters enabled sources by type', () => {
+    const registry = new SourceRegistry([
+      source(),
+      source({ id: 'old-fund', enabled: false }),
+      source({ id: 'download-forms', url: 'https://groww.in/download-forms', type: 'downloads', parser: 'groww_downloads' })
+    ]);
+    expect(registry.enabled().map(entry => entry.id)).toEqual(['hdfc-mid-cap-fund-direct-growth', 'download-forms']);
+    expect(registry.enabled('downloads').map(entry => entry.id)).toEqual(['download-forms']);
+  });
+
+  it('treats declared non-scheme pages as non-schemes and unknown IDs as schemes', () => {
+    const registry = new SourceRegistry([
+      source(),
+      source({ id: 'download-forms', url: 'https://groww.in/download-forms', type: 'downloads', parser: 'groww_downloads' })
+    ]);
+    expect(registry.isScheme('hdfc-mid-cap-fund-direct-growth')).toBe(true);
+    expect(registry.isScheme('download-forms')).toBe(false);
+    expect(registry.isScheme('hdfc-legacy-fund')).toBe(true);
+  });
+
+  it('rejects invalid entries with every problem listed', () => {
+    expect(() => new SourceRegistry([
+      source({ type: 'blog', schedule: 'sometimes' }),
+      source({ id: 'Bad ID', url: 'not a url', enabled: 'yes' })
+    ])).toThrow(/type must be one of[\s\S]*schedule must be one of[\s\S]*id must be a lowercase slug[\s\S]*not a valid URL[\s\S]*enabled must be true or false/);
+  });
+
+  it('rejects duplicate IDs', () => {
+    expect(() => new SourceRegistry([source(), source()])).toThrow(/hdfc-mid-cap-fund-direct-growth: duplicate id/);
+  });
+});
@@ -0,0 +1,62 @@
+const { buildMetadataIndex, buildChunkLookup, latestIngestFile } = require('../../scripts/build-index');
+
+const chunks = [
+  { chunk_id: 'fund-a__fees', scheme_id: 'fund-a', section_type: 'fees', fields_json: { ter_percent: 0.71 } },
+  { chunk_id: 'fund-a__facts_performance', scheme_id: 'fund-a', section_type: 'facts_performance', fields_json: { minimum_sip: 100, category: 'Equity Mid Cap' } },
+  { chunk_id: 'fund-b__fees', scheme_id: 'fund-b', section_type: 'fees', fields_json: { ter_percent: 0.71 } },
+  { chunk_id: 'forms__downloads', scheme_id: 'forms', section_type: 'downloads' }
+];
+
+describe('buildMetadataIndex', () => {
+  const index = buildMetadataIndex(chunks);
+
+  it('groups chunk IDs by scheme', () => {
+    expect(index.by_scheme).toEqual({
+      'fund-a': ['fund-a__fees', 'fund-a__facts_performance'],
+      'fund-b': ['fund-b__fees'],
+      forms: ['forms__downloads']
+    });
+  });
+
+  it('groups chunk IDs by section', () => {
+    expect(index.by_section.fees).toEqual(['fund-a__fees', 'fund-b__fees']);
+    expect(index.by_section.downloads).toEqual(['forms__downloads']);
+  });
+
+  it('indexes field values as strings', () => {
+    expect(index.by_field.ter_percent).toEqual({ '0.71': ['fund-a__fees', 'fund-b__fees'] });
+    expect(index.by_field.minimum_sip).toEqual({ 100: ['fund-a__facts_performance'] });
+    expect(index.by_field.category['Equity Mid Cap']).toEqual(['fund-a__facts_performance']);
+  });
+
+  it('lists schemes and sections once each, as JSON-serializable arrays', () => {
+    expect(index.all_schemes).toEqual(['fund-a', 'fund-b', 'forms']);
+    expect(index.all_sections).toEqual(['fees', 'facts_performance', 'downloads']);
+    expect(JSON.parse(JSON.stringify(index))).toEqual(index);
+  });
+});
+
+describe('buildChunkLookup', () => {
+  it('keys chunks by ID', () => {
+    const lookup = buildChunkLookup(chunks);
+    expect(Object.keys(lookup)).toHaveLength(4);
+    expect(lookup['fund-b__fees']).toBe(chunks[2]);
+  });
+});
+
+describe('latestIngestFile', () => {
+  it('picks the newest file by the date in its name', () => {
+    expect(latestIngestFile([
+      'ingest-full-20251122.jsonl', 'ingest-20251122.jsonl', 'ingest-20251123.jsonl', 'ingest-latest.jsonl', 'notes.txt'
+    ])).toBe('ingest-20251123.jsonl');
+  });
+
+  it('prefers process-data\'s ingest-YYYYMMDD.jsonl over ingest\'s full copy of the same day', () => {
+    expect(latestIngestFile(['ingest-20251122.jsonl', 'ingest-full-20251122.jsonl'])).toBe('ingest-20251122.jsonl');
+    expect(latestIngestFile(['ingest-full-20251122.jsonl', 'ingest-20251117.jsonl'])).toBe('ingest-full-20251122.jsonl');
+  });
+
+  it('is null without ingestion files', () => {
+    expect(latestIngestFile(['ingest-latest.jsonl'])).toBeNull();
+  });
+});
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+const ingest = require('../../scripts/ingest');
+const { HtmlFixtureStore } = require('../../lib/html-fixtures');
+const { SourceRegistry } = require('../../lib/sources');
+
+const HTML_DIR = path.join(__dirname, '..', 'fixtures', 'html');
+const SCHEME_ID = 'hdfc-mid-cap-fund-direct-growth';
+const SCHEME_URL = `https://groww.in/mutual-funds/${SCHEME_ID}`;
+
+function loadFixture(name) {
+  return cheerio.load(fs.readFileSync(path.join(HTML_DIR, name), 'utf8'));
+}
+
+function schemeBuilder() {
+  return new ingest.ChunkBuilder(SCHEME_ID, 'HDFC Mid Cap Fund Direct Growth', SCHEME_URL);
+}
+
+describe('ingest parsers on a saved scheme page', () => {
+  let $;
+
+  beforeEach(() => {
+    $ = loadFixture(`${SCHEME_ID}.html`);
+  });
+
+  it('derives the scheme ID from the URL', () => {
+    expect(ingest.extractSchemeId(SCHEME_URL)).toBe(SCHEME_ID);
+    expect(ingest.extractSchemeId('https://groww.in/download-forms')).toBe('download-forms');
+  });
+
+  it('extractObjective', () => {
+    const chunk = ingest.extractObjective($, schemeBuilder());
+    expect(chunk.chunk_id).toBe(`${SCHEME_ID}__fund_objective`);
+    expect(chunk.fields_json.objective_text).toMatch(/long-term capital appreciation/);
+  });
+
+  it('extractFundManager', () => {
+    const { fields_json: fields } = ingest.extractFundManager($, schemeBuilder());
+    expect(fields.manager_name).toBe('Chirag Setalvad');
+    expect(fields.manager_education).toBe('CA and CFA charterholder');
+    expect(fields.manager_experience).toMatch(/^Prior to joining HDFC AMC/);
+  });
+
+  it('extractFacts', () => {
+    const chunk = ingest.extractFacts($, schemeBuilder());
+    expect(chunk.fields_json).toEqual({ expense_ratio: 0.71, minimum_sip: 100, aum: 89383 });
+    expect(chunk.content_md).toMatch(/^# HDFC Mid Cap Fund Direct Growth/);
+  });
+
+  it('rejects chunks whose fields break the section schema', () => {
+    expect(() => schemeBuilder().addChunk('fees', '## Fees', { ter_percent: 71 }))
+      .toThrow(`Invalid fields_json for ${SCHEME_ID}__fees:\n  ter_percent must be <= 5`);
+  });
+
+  it('extractPortfolioHoldings', () => {
+    const chunk = ingest.extractPortfolioHoldings($, schemeBuilder());
+    expect(chunk.fields_json).toEqual({ table_headers: ['Name', 'Sector', 'Instrument', 'Assets'], row_count: 3 });
+    expect(chunk.content_csv.split('\n')[1]).toBe('Max Financial Services Ltd.,Financial,Equity,4.32%');
+    expect(chunk.content_md).toMatch(/\| Coforge Ltd\. \| Technology \| Equity \| 3\.53% \|/);
+  });
+
+  it('extractSectorAllocation', () => {
+    const chunk = ingest.extractSectorAllocation($, schemeBuilder());
+    expect(chunk.fields_json).toEqual({ table_headers: ['Equity Sector', 'Allocation'], row_count: 2 });
+  });
+
+  it('extractAdvanceRatios', () => {
+    expect(ingest.extractAdvanceRatios($, schemeBuilder()).fields_json).toEqual({ pe_ratio: 32.5, sharpe_ratio: 1.42 });
+  });
+
+  it('extractFees', () => {
+    expect(ingest.extractFees($, schemeBuilder()).fields_json).toEqual({
+      ter_percent: 0.71,
+      exit_load_text: 'Exit load of 1% if redeemed within 1 year',
+      exit_load_rules: [{ condition: 'Within 1 year', rate: 1 }]
+    });
+  });
+
+  it('extractFees ignores historical expense ratios', () => {
+    const $history = cheerio.load('<h3>Expense ratio 14 Nov 2025: 0.77%</h3><div>Expense ratio: 0.71%</div>');
+    expect(ingest.extractFees($history, schemeBuilder()).fields_json.ter_percent).toBe(0.71);
+  });
+
+  it('keeps low expense ratios the schema allows', () => {
+    const $index = cheerio.load('<h3>Expense ratio: 0.05%</h3><div>Expense Ratio 0.1%</div>');
+    expect(ingest.extractFees($index, schemeBuilder()).fields_json.ter_percent).toBe(0.05);
+    expect(ingest.extractFacts($index, schemeBuilder()).fields_json.expense_ratio).toBe(0.1);
+  });
+
+  it('extractRiskometer', () => {
+    expect(ingest.extractRiskometer($, schemeBuilder()).fields_json).toEqual({
+      riskometer_category: 'Very High',
+      benchmark_name: 'NIFTY Midcap 150 Total Return Index'
+    });
+  });
+
+  it('extractFAQs', () => {
+    const faqs = ingest.extractFAQs($, schemeBuilder());
+    expect(faqs).toHaveLength(1);
+    expect(faqs[0].chunk_id).toBe(`${SCHEME_ID}__faq__what-is-the-expense-ratio-of-hdfc-mid-cap-fund-`);
+    expect(faqs[0].fields_json.faq_answer).toMatch(/is 0\.71%/);
+  });
+
+  it('extractTaxRedemption', () => {
+    expect(ingest.extractTaxRedemption($, schemeBuilder()).fields_json).toEqual({
+      lock_in_text: 'Lock-in period: No lock-in',
+      lock_in_years: 0,
+      tax_notes: 'Capital gains tax: LTCG above ₹1.25L taxed at 12.5%'
+    });
+  });
+
+  it('extractTaxRedemption detects the ELSS lock-in', () => {
+    const $elss = cheerio.load('<p>Lock-in period: 3 years</p>');
+    expect(ingest.extractTaxRedemption($elss, schemeBuilder()).fields_json.lock_in_years).toBe(3);
+  });
+
+  it('extractContactDetails', () => {
+    expect(ingest.extractContactDetails($, schemeBuilder()).fields_json).toEqual({ email: 'cliser@hdfcfund.com' });
+  });
+
+  it('extractRegulatoryLinks keeps only scheme documents and absolutizes URLs', () => {
+    expect(ingest.extractRegulatoryLinks($, schemeBuilder()).fields_json.links).toEqual([
+      { title: 'Scheme Information Document', url: 'https://groww.in/documents/hdfc-mid-cap-sid.pdf' },
+      { title: 'Key Information Memorandum', url: 'https://example.com/kim.pdf' }
+    ]);
+  });
+
+  it('returns null when a section is missing', () => {
+    const $empty = cheerio.load('<h1>Empty</h1>');
+    expect(ingest.extractFees($empty, schemeBuilder())).toBeNull();
+    expect(ingest.extractPortfolioHoldings($empty, schemeBuilder())).toBeNull();
+    expect(ingest.extractFAQs($empty, schemeBuilder())).toEqual([]);
+  });
+
+  it('parseSchemePage builds one chunk per section with the chunk schema', () => {
+    const chunks = ingest.parseSchemePage($, SCHEME_URL, SCHEME_ID);
+    expect(chunks.map(chunk => chunk.section_type)).toEqual([
+      'fund_objective', 'fund_manager', 'facts_performance', 'portfolio_holdings', 'portfolio_sectors',
+      'advance_ratios', 'fees', 'riskometer_benchmark', 'faq', 'tax_redemption', 'contact_details', 'regulatory_links'
+    ]);
+    chunks.forEach(chunk => {
+      expect(chunk).toMatchObject({
+        scheme_id: SCHEME_ID,
+        scheme_display_name: 'HDFC Mid Cap Fund Direct Growth',
+        source_url: SCHEME_URL
+      });
+      expect(chunk.hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(Date.parse(chunk.fetched_at)).not.toBeNaN();
+    });
+  });
+});
+
+describe('ingest on a scheme page with embedded __NEXT_DATA__', () => {
+  const SMALL_CAP = 'hdfc-small-cap-fund-direct-growth';
+  let chunks;
+
+  beforeEach(() => {
+    chunks = ingest.parseSchemePage(loadFixture(`${SMALL_CAP}.html`), `https://groww.in/mutual-funds/${SMALL_CAP}`, SMALL_CAP);
+  });
+
+  const section = sectionType => chunks.find(chunk => chunk.section_type === sectionType);
+
+  it('reads the covered sections from the page data instead of the misleading page text', () => {
+    expect(section('fund_manager').fields_json).toEqual({ manager_name: 'Chirag Setalvad and Dhruv Muchhal' });
+    expect(section('fees').fields_json).toEqual({
+      ter_percent: 0.82,
+      exit_load_text: '1% if redeemed within 1 year',
+      exit_load_rules: [{ condition: 'Within 1 year', rate: 1 }]
+    });
+    expect(section('riskometer_benchmark').fields_json.riskometer_category).toBe('Very High');
+    expect(section('facts_performance').fields_json).toMatchObject({ minimum_sip: 100, fund_size: 38412.1, nav_date: '14 Nov 2025' });
+    expect(section('facts_performance').content_md).toMatch(/- \*\*Fund Size \(AUM\)\*\*: ₹38,412\.10 Cr/);
+    expect(section('portfolio_holdings').content_csv.split('\n')[1]).toBe('Firstsource Solutions Ltd.,Services,Equity,4.72%');
+  });
+
+  it('falls back to the DOM heuristics for sections the page data lacks', () => {
+    expect(section('portfolio_sectors').fields_json.row_count).toBe(2);
+    expect(section('contact_details').fields_json).toEqual({ email: 'cliser@hdfcfund.com' });
+  });
+
+  it('records which strategy produced each field', () => {
+    expect(section('fees').field_sources).toEqual({ ter_percent: 'next_data', exit_load_text: 'next_data', exit_load_rules: 'next_data' });
+    expect(section('faq').field_sources).toEqual({ faq_question: 'dom', faq_answer: 'dom' });
+  });
+
+  it('marks every field of a page without page data as DOM-extracted', () => {
+    const midCap = ingest.parseSchemePage(loadFixture(`${SCHEME_ID}.html`), SCHEME_URL, SCHEME_ID);
+    expect(midCap.every(chunk => Object.values(chunk.field_sources).every(strategy => strategy === 'dom'))).toBe(true);
+  });
+});
+
+describe('ingest parsers on saved site pages', () => {
+  it('parseDownloadsPage', () => {
+    const [chunk] = ingest.parseDownloadsPage(loadFixture('download-forms.html'), 'https://groww.in/download-forms');
+    expect(chunk.chunk_id).toBe('download-forms__downloads');
+    expect(chunk.fields_json.links).toEqual([
+      { title: 'Nomination Form', url: 'https://groww.in/forms/nomination.pdf' },
+      { title: 'KYC Modification Form', url: 'https://groww.in/forms/kyc-modification.pdf' }
+    ]);
+    expect(chunk.content_md).toMatch(/To download your mutual fund statement/);
+  });
+
+  it('parseRegulatoryPage', () => {
+    const [chunk] = ingest.parseRegulatoryPage(loadFixture('regulatory-and-other-information.html'), 'https://groww.in/regulatory-and-other-information');
+    expect(chunk.chunk_id).toBe('regulatory-and-other-information__regulatory_links');
+    expect(chunk.fields_json.links).toEqual([
+      { title: 'Investor Charter for Mutual Funds', url: 'https://groww.in/regulatory/investor-charter' }
+    ]);
+  });
+
+  it('parsePage routes a source to its configured parser', () => {
+    const html = fs.readFileSync(path.join(HTML_DIR, 'download-forms.html'), 'utf8');
+    const source = { id: 'forms', url: 'https://groww.in/download-forms', parser: 'groww_downloads' };
+    expect(ingest.parsePage(html, source).map(chunk => chunk.chunk_id)).toEqual(['forms__downloads']);
+    expect(() => ingest.parsePage(html, { ...source, parser: 'amc_pdf' })).toThrow(/unknown parser "amc_pdf"/);
+  });
+});
+
+describe('parseCapture', () => {
+  const SMALL_CAP = 'hdfc-small-cap-fund-direct-growth';
+  const sources = new SourceRegistry([
+    { id: SMALL_CAP, url: `https://groww.in/mutual-funds/${SMALL_CAP}`, type: 'scheme_page', parser: 'groww_scheme', schedule: 'daily', enabled: true },
+    { id: 'download-forms', url: 'https://groww.in/download-forms', type: 'downloads', parser: 'groww_downloads', schedule: 'weekly', enabled: true }
+  ]);
+  let store;
+  let captureId;
+  let consoleError;
+
+  beforeEach(() => {
+    store = new HtmlFixtureStore(fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-capture-')));
+    captureId = store.createCapture();
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    fs.rmSync(store.rootDir, { recursive: true, force: true });
+  });
+
+  it('skips a page with invalid fields and parses the rest', () => {
+    // An expense ratio of 82% breaks the facts schema
+    const invalidHtml = fs.readFileSync(path.join(HTML_DIR, `${SMALL_CAP}.html`), 'utf8')
+      .replace('"expense_ratio":"0.82"', '"expense_ratio":"82"');
+    store.savePage(captureId, `https://groww.in/mutual-funds/${SMALL_CAP}`, invalidHtml);
+    store.savePage(captureId, 'https://groww.in/download-forms', fs.readFileSync(path.join(HTML_DIR, 'download-forms.html'), 'utf8'));
+
+    const { chunks, failedUrls } = ingest.parseCapture(store, captureId, sources);
+
+    expect(failedUrls).toEqual([`https://groww.in/mutual-funds/${SMALL_CAP}`]);
+    expect(consoleError).toHaveBeenCalledWith(expect.stringMatching(/expense_ratio must be <= 5/));
+    expect(chunks.map(chunk => chunk.chunk_id)).toEqual(['download-forms__downloads']);
+  });
+});
@@ -0,0 +1,21 @@
+const { RAW_DATA, processSchemeData, processRegulatoryPage, processDownloadsPage } = require('../../scripts/process-data');
+const { validateChunks } = require('../../lib/field-schemas');
+
+describe('process-data output', () => {
+  const chunks = [
+    ...Object.entries(RAW_DATA).flatMap(([schemeId, data]) => processSchemeData(schemeId, data)),
+    ...processRegulatoryPage({ id: 'regulatory-and-other-information', name: 'Regulatory and Other Information', url: 'https://groww.in/regulatory-and-other-information' }),
+    ...processDownloadsPage({ id: 'download-forms', name: 'Download Forms', url: 'https://groww.in/download-forms' })
+  ];
+
+  it('passes the fields_json schema check the build runs', () => {
+    const report = validateChunks(chunks);
+    expect(report.violations).toEqual([]);
+    expect(report.checked).toBe(chunks.length);
+  });
+
+  it('stores amounts as numbers in their units', () => {
+    const facts = chunks.find(chunk => chunk.chunk_id === 'hdfc-mid-cap-fund-direct-growth__facts_performance');
+    expect(facts.fields_json).toMatchObject({ fund_size: 89383.23, minimum_sip: 100, expense_ratio: 0.71 });
+  });
+});
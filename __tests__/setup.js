@@ -0,0 +1,19 @@
+// Tests never reach real providers or watch the index, whatever .env.local says
+delete process.env.GEMINI_API_KEY;
+delete process.env.LLM_PROVIDER;
+delete process.env.EMBEDDING_PROVIDER;
+delete process.env.RERANKER;
+delete process.env.ADMIN_TOKEN;
+process.env.INDEX_WATCH_INTERVAL_MS = '0';
+
+// Keep the console for failures: silence the pipeline's progress output
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+// Intents are trained from the real labeled queries in data/, not a fixture copy
+jest.mock('../lib/intent-classifier', () => {
+  const path = require('path');
+  const actual = jest.requireActual('../lib/intent-classifier');
+  const dataDir = path.join(__dirname, '..', 'data');
+  return { ...actual, loadIntentExamples: (dir = dataDir) => actual.loadIntentExamples(dir) };
+});
@@ -0,0 +1,10 @@
+const nextJest = require('next/jest');
+
+// next/jest compiles the ES-module API routes with SWC alongside the CommonJS lib/
+const createJestConfig = nextJest({ dir: './' });
+
+module.exports = createJestConfig({
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/__tests__/**/*.test.js'],
+  setupFiles: ['<rootDir>/__tests__/setup.js']
+});
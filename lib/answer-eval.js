@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const { comparisonForRetrieval } = require('./comparison');
+
+/**
+ * End-to-end answer evaluation against a golden question set. Each question is
+ * answered the way /api/answer does it (retrieve → comparison → generateAnswer)
+ * and scored by type:
+ *   factual      - expected values appear in the answer, citations point at the right chunks
+ *   advisory     - the answer refuses and cites nothing
+ *   out_of_scope - the answer declines and cites nothing
+ * Every answer is also checked for advisory language.
+ */
+
+const ANSWER_TYPES = ['factual', 'advisory', 'out_of_scope'];
+
+const REFUSAL_PATTERN = /(?:can(?:'|’)?t|cannot|can not|unable to)\s+(?:provide|give|offer)|not (?:a |an )?(?:sebi[- ]registered )?(?:investment )?advis/i;
+const DECLINE_PATTERN = /only (?:answer|help|share)[^.]*(?:mutual funds?|hdfc)|could(?:n(?:'|’)?t| not) find|outside (?:my|the) scope/i;
+const ADVISORY_LANGUAGE_PATTERN = /\b(?:you should (?:invest|buy)|i (?:would )?recommend|best fund|better (?:fund|option|investment|choice))\b/i;
+
+function loadAnswerGoldenSet(goldenPath) {
+  const golden = JSON.parse(fs.readFileSync(goldenPath, 'utf8'));
+  if (!golden.version || !Array.isArray(golden.questions)) {
+    throw new Error(`${path.basename(goldenPath)} must have a version and a questions array`);
+  }
+  golden.questions.forEach(item => {
+    if (!item.id || !item.question || !ANSWER_TYPES.includes(item.type)) {
+      throw new Error(`Golden answer ${item.id || JSON.stringify(item)} needs an id, a question and a type (${ANSWER_TYPES.join(', ')})`);
+    }
+    if (item.mock_response) {
+      throw new Error(`Golden answer ${item.id} scripts the model with mock_response - answers must come from the answer pipeline`);
+    }
+    if (item.type === 'factual' && !item.expected_values?.length && !item.expected_citations?.length) {
+      throw new Error(`Golden answer ${item.id} has no expected_values or expected_citations`);
+    }
+  });
+  return golden;
+}
+
+/**
+ * Lowercase, drop markdown emphasis and collapse whitespace
+ */
+function normalizeAnswer(text) {
+  return (text || '').replace(/\*\*|__/g, '').replace(/\s+/g, ' ').toLowerCase();
+}
+
+function schemeOf(chunkId) {
+  return chunkId.split('__')[0];
+}
+
+/**
+ * Citations are correct when at least one points at an expected chunk and none
+ * points at a scheme the question isn't about
+ */
+function citationsCorrect(citedIds, expectedIds) {
+  const expectedSchemes = new Set(expectedIds.map(schemeOf));
+  return citedIds.some(id => expectedIds.includes(id)) &&
+    citedIds.every(id => expectedSchemes.has(schemeOf(id)));
+}
+
+/**
+ * Pass/fail per check for one answer (null when a check doesn't apply)
+ */
+function scoreAnswer(item, result) {
+  const answer = normalizeAnswer(result.answer);
+  const citedIds = (result.citations || []).map(citation => citation.chunkId).filter(Boolean);
+  const checks = { values: null, citations: null, refusal: null, declined: null, uncited: null };
+
+  if (item.type === 'factual') {
+    if (item.expected_values?.length) {
+      checks.values = item.expected_values.every(value => answer.includes(normalizeAnswer(value)));
+    }
+    if (item.expected_citations?.length) {
+      checks.citations = citationsCorrect(citedIds, item.expected_citations);
+    }
+  } else {
+    if (item.type === 'advisory') checks.refusal = REFUSAL_PATTERN.test(answer);
+    if (item.type === 'out_of_scope') checks.declined = DECLINE_PATTERN.test(answer) || REFUSAL_PATTERN.test(answer);
+    checks.uncited = citedIds.length === 0;
+  }
+  checks.no_advice = !ADVISORY_LANGUAGE_PATTERN.test(answer);
+
+  return { checks, citedIds };
+}
+
+/**
+ * Answer one question the way /api/answer does (single turn, non-streaming)
+ */
+async function answerQuestion(question, { retriever, gemini }) {
+  const retrievalResult = await retriever.retrieve(question, { limit: 3 });
+  const comparison = comparisonForRetrieval(retrievalResult, {
+    facts: gemini.facts,
+    registry: retriever.schemeRegistry
+  });
+  const result = await gemini.generateAnswer(question, retrievalResult.chunks, { comparison });
+  return { retrievalResult, result };
+}
+
+function tally(results) {
+  return { total: results.length, passed: results.filter(result => result.passed).length };
+}
+
+/**
+ * Run every golden question and score it.
+ * llm: label for the provider behind `gemini` (recorded in the report)
+ */
+async function evaluateAnswers(golden, { retriever, gemini, llm }) {
+  await retriever.initialize();
+
+  const results = [];
+  for (const item of golden.questions) {
+    const { retrievalResult, result } = await answerQuestion(item.question, { retriever, gemini });
+    const { checks, citedIds } = scoreAnswer(item, result);
+
+    results.push({
+      id: item.id,
+      type: item.type,
+      question: item.question,
+      passed: Object.values(checks).every(check => check !== false),
+      checks,
+      answer: result.answer,
+      cited: citedIds,
+      retrieved: retrievalResult.chunks.map(chunk => chunk.chunk_id),
+      retrievalMethod: retrievalResult.method,
+      confidence: result.confidence,
+      fallback: result.fallback || false
+    });
+  }
+
+  const byType = {};
+  ANSWER_TYPES.forEach(type => {
+    const ofType = results.filter(result => result.type === type);
+    if (ofType.length > 0) byType[type] = tally(ofType);
+  });
+
+  const byCheck = {};
+  results.forEach(result => {
+    Object.entries(result.checks).forEach(([check, passed]) => {
+      if (passed === null) return;
+      byCheck[check] = byCheck[check] || { total: 0, passed: 0 };
+      byCheck[check].total++;
+      if (passed) byCheck[check].passed++;
+    });
+  });
+
+  return {
+    dataset_version: golden.version,
+    llm,
+    generated_at: new Date().toISOString(),
+    summary: { overall: tally(results), byType, byCheck },
+    results
+  };
+}
+
+/**
+ * Questions whose outcome changed between two reports
+ */
+function compareReports(previous, current) {
+  const before = new Map(previous.results.map(result => [result.id, result]));
+  const after = new Map(current.results.map(result => [result.id, result]));
+
+  return {
+    regressed: current.results.filter(result => before.get(result.id)?.passed && !result.passed).map(result => result.id),
+    fixed: current.results.filter(result => before.has(result.id) && !before.get(result.id).passed && result.passed).map(result => result.id),
+    added: current.results.filter(result => !before.has(result.id)).map(result => result.id),
+    removed: previous.results.filter(result => !after.has(result.id)).map(result => result.id)
+  };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Self-contained HTML rendering of a report
+ */
+function renderHtmlReport(report) {
+  const { overall, byType, byCheck } = report.summary;
+  const rate = ({ passed, total }) => `${passed}/${total}`;
+  const mark = passed => passed === null ? '<td class="na">–</td>' : `<td class="${passed ? 'pass' : 'fail'}">${passed ? '✓' : '✗'}</td>`;
+  const checkNames = Object.keys(byCheck);
+
+  const summaryRows = [
+    ...Object.entries(byType).map(([type, counts]) => `<tr><th>${type}</th><td>${rate(counts)}</td></tr>`),
+    ...Object.entries(byCheck).map(([check, counts]) => `<tr><th>check: ${check}</th><td>${rate(counts)}</td></tr>`)
+  ].join('\n');
+
+  const resultRows = report.results.map(result => `<tr class="${result.passed ? 'pass' : 'fail'}">
+<td><strong>${escapeHtml(result.id)}</strong><br><small>${result.type}</small></td>
+<td>${escapeHtml(result.question)}</td>
+${checkNames.map(check => mark(result.checks[check] ?? null)).join('')}
+<td><pre>${escapeHtml(result.answer)}</pre><small>cited: ${escapeHtml(result.cited.join(', ') || 'none')} · ${escapeHtml(result.retrievalMethod)}</small></td>
+</tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Answer eval - ${escapeHtml(report.llm)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 2rem; }
+th, td { border: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+td.pass { color: #0a7d32; } td.fail { color: #c62828; font-weight: bold; } td.na { color: #999; }
+tr.fail > td:first-child { border-left: 4px solid #c62828; }
+pre { white-space: pre-wrap; margin: 0 0 0.3rem; font-size: 0.85rem; max-width: 60rem; }
+</style>
+</head>
+<body>
+<h1>Answer eval: ${rate(overall)} passed</h1>
+<p>Golden set v${report.dataset_version} · LLM: ${escapeHtml(report.llm)} · ${escapeHtml(report.generated_at)}</p>
+<table>
+${summaryRows}
+</table>
+<table>
+<tr><th>ID</th><th>Question</th>${checkNames.map(check => `<th>${check}</th>`).join('')}<th>Answer</th></tr>
+${resultRows}
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  ANSWER_TYPES,
+  loadAnswerGoldenSet,
+  scoreAnswer,
+  answerQuestion,
+  evaluateAnswers,
+  compareReports,
+  renderHtmlReport
+};
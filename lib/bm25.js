@@ -0,0 +1,141 @@
+/**
+ * BM25 lexical index over chunk content, structured fields and scheme names.
+ * Complements vector search so exact terms ("stamp duty", a stock name)
+ * still match when embeddings are fuzzy or unavailable.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for',
+  'from', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'the',
+  'this', 'to', 'what', 'whats', 'which', 'with', 'you', 'your', 'about', 'tell'
+]);
+
+/**
+ * Split text into lowercase terms, dropping stopwords and naive plurals
+ */
+function tokenize(text) {
+  if (!text) return [];
+  const matches = String(text).toLowerCase().match(/[a-z0-9]+(?:\.[0-9]+)?/g) || [];
+  return matches
+    .filter(token => !STOPWORDS.has(token))
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+/**
+ * Flatten fields_json into "key value" text (keys split on underscores)
+ */
+function flattenFields(fields) {
+  if (!fields || typeof fields !== 'object') return '';
+  return Object.entries(fields)
+    .map(([key, value]) => {
+      const label = key.replace(/_/g, ' ');
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return `${label} ${text}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Text that represents a chunk in the lexical index
+ */
+function buildChunkDocument(chunk) {
+  return [
+    chunk.scheme_display_name,
+    (chunk.scheme_id || '').replace(/-/g, ' '),
+    (chunk.section_type || '').replace(/_/g, ' '),
+    chunk.content_md,
+    flattenFields(chunk.fields_json)
+  ].filter(Boolean).join('\n');
+}
+
+class BM25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.docs = {}; // chunk_id -> { length, tf: { term: count } }
+    this.df = {};
+    this.avgDocLength = 0;
+    this.docCount = 0;
+  }
+
+  /**
+   * Build an index from chunk objects
+   */
+  static build(chunks, options = {}) {
+    const index = new BM25Index(options);
+    let totalLength = 0;
+
+    chunks.forEach(chunk => {
+      const tokens = tokenize(buildChunkDocument(chunk));
+      const tf = {};
+      tokens.forEach(token => {
+        tf[token] = (tf[token] || 0) + 1;
+      });
+      Object.keys(tf).forEach(term => {
+        index.df[term] = (index.df[term] || 0) + 1;
+      });
+      index.docs[chunk.chunk_id] = { length: tokens.length, tf };
+      totalLength += tokens.length;
+    });
+
+    index.docCount = chunks.length;
+    index.avgDocLength = chunks.length > 0 ? totalLength / chunks.length : 0;
+    return index;
+  }
+
+  /**
+   * Restore an index saved with toJSON()
+   */
+  static fromJSON(data) {
+    const index = new BM25Index({ k1: data.k1, b: data.b });
+    index.docs = data.docs || {};
+    index.df = data.df || {};
+    index.avgDocLength = data.avg_doc_length || 0;
+    index.docCount = data.doc_count || Object.keys(index.docs).length;
+    return index;
+  }
+
+  toJSON() {
+    return {
+      k1: this.k1,
+      b: this.b,
+      doc_count: this.docCount,
+      avg_doc_length: this.avgDocLength,
+      df: this.df,
+      docs: this.docs
+    };
+  }
+
+  idf(term) {
+    const df = this.df[term] || 0;
+    return Math.log(1 + (this.docCount - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Score every document containing at least one query term
+   * Returns [{ chunk_id, score }] sorted by descending score
+   */
+  search(query, limit = 10) {
+    const terms = Array.from(new Set(tokenize(query)));
+    if (terms.length === 0 || this.docCount === 0) return [];
+
+    const results = [];
+    for (const [chunkId, doc] of Object.entries(this.docs)) {
+      let score = 0;
+      for (const term of terms) {
+        const freq = doc.tf[term];
+        if (!freq) continue;
+        const norm = this.k1 * (1 - this.b + this.b * (doc.length / (this.avgDocLength || 1)));
+        score += this.idf(term) * ((freq * (this.k1 + 1)) / (freq + norm));
+      }
+      if (score > 0) {
+        results.push({ chunk_id: chunkId, score });
+      }
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, limit);
+  }
+}
+
+module.exports = { BM25Index, tokenize, buildChunkDocument };
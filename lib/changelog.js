@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const { diffChunks } = require('./html-fixtures');
+
+/**
+ * Field-level changelog between ingestion snapshots. Every run of ingest or
+ * process-data writes the full chunk set to data/jsonl/ingest-YYYYMMDD.jsonl;
+ * comparing two of them gives what actually moved - "Mid Cap expense ratio
+ * 0.71 → 0.52" - rather than just which chunk hashes changed. fields_json is
+ * compared value by value, and CSV tables (holdings, sectors) row by row,
+ * keyed on their first column.
+ */
+
+const SNAPSHOT_PATTERN = /^ingest-(\d{8})\.jsonl$/;
+
+/**
+ * "20251122" → "2025-11-22"
+ */
+function snapshotDate(snapshotId) {
+  return `${snapshotId.slice(0, 4)}-${snapshotId.slice(4, 6)}-${snapshotId.slice(6, 8)}`;
+}
+
+/**
+ * Daily chunk sets written by ingest / process-data (data/jsonl/)
+ */
+class IngestSnapshotStore {
+  constructor(jsonlDir = path.join(process.cwd(), 'data', 'jsonl')) {
+    this.jsonlDir = jsonlDir;
+  }
+
+  /**
+   * Snapshot ids (YYYYMMDD), oldest first
+   */
+  snapshots() {
+    if (!fs.existsSync(this.jsonlDir)) return [];
+    return fs.readdirSync(this.jsonlDir)
+      .map(name => SNAPSHOT_PATTERN.exec(name))
+      .filter(Boolean)
+      .map(match => match[1])
+      .sort();
+  }
+
+  latest() {
+    const snapshots = this.snapshots();
+    return snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+  }
+
+  load(snapshotId) {
+    const snapshotPath = path.join(this.jsonlDir, `ingest-${snapshotId}.jsonl`);
+    if (!fs.existsSync(snapshotPath)) {
+      throw new Error(`Snapshot ${snapshotId} not found (available: ${this.snapshots().join(', ') || 'none'})`);
+    }
+    return fs.readFileSync(snapshotPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+}
+
+/**
+ * Minimal RFC 4180 parser for the tables csv-stringify writes: [[cell, ...], ...]
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * CSV text → Map of first-column key → { column: value }
+ */
+function tableRows(text) {
+  const [header, ...rows] = parseCsv(text || '');
+  if (!header) return new Map();
+  return new Map(rows.map(cells => [
+    cells[0],
+    Object.fromEntries(header.map((column, idx) => [column, cells[idx] ?? '']))
+  ]));
+}
+
+/**
+ * Row-level differences between two CSV tables:
+ * [{ row, field, old, new }] - field is null when the whole row was added or removed
+ */
+function diffTables(beforeCsv, afterCsv) {
+  const before = tableRows(beforeCsv);
+  const after = tableRows(afterCsv);
+  const changes = [];
+
+  after.forEach((values, key) => {
+    const previous = before.get(key);
+    if (!previous) {
+      changes.push({ row: key, field: null, old: null, new: values });
+      return;
+    }
+    Object.keys(values)
+      .filter(column => previous[column] !== values[column])
+      .forEach(column => changes.push({ row: key, field: column, old: previous[column] ?? null, new: values[column] }));
+  });
+  before.forEach((values, key) => {
+    if (!after.has(key)) changes.push({ row: key, field: null, old: values, new: null });
+  });
+  return changes;
+}
+
+/**
+ * Changelog between two chunk sets:
+ * { from, to, summary, changes: [{ scheme_id, scheme_name, section_type, chunk_id,
+ *   kind, change, row, field, old, new, old_fetched_at, new_fetched_at }] }
+ * kind is "field" (fields_json), "table" (a CSV row or cell) or "section" (a
+ * whole chunk); change is "added", "removed" or "changed". from/to are
+ * { snapshot, date } labels.
+ */
+function buildChangelog(beforeChunks, afterChunks, { from = null, to = null } = {}) {
+  const before = new Map(beforeChunks.map(chunk => [chunk.chunk_id, chunk]));
+  const after = new Map(afterChunks.map(chunk => [chunk.chunk_id, chunk]));
+  const diff = diffChunks(beforeChunks, afterChunks);
+
+  const entry = (chunkId, change) => {
+    const oldChunk = before.get(chunkId);
+    const newChunk = after.get(chunkId);
+    const chunk = newChunk || oldChunk;
+    return {
+      scheme_id: chunk.scheme_id,
+      scheme_name: chunk.scheme_display_name,
+      section_type: chunk.section_type,
+      chunk_id: chunkId,
+      row: null,
+      field: null,
+      old: null,
+      new: null,
+      ...change,
+      change: change.old === null || change.old === undefined ? 'added'
+        : change.new === null || change.new === undefined ? 'removed' : 'changed',
+      old_fetched_at: oldChunk ? oldChunk.fetched_at : null,
+      new_fetched_at: newChunk ? newChunk.fetched_at : null
+    };
+  };
+
+  const changes = [
+    ...diff.changed.map(change => entry(change.chunk_id, {
+      kind: 'field',
+      field: change.field,
+      old: change.before ?? null,
+      new: change.after ?? null
+    })),
+    ...Array.from(after.keys())
+      .filter(chunkId => before.has(chunkId) && (before.get(chunkId).content_csv || after.get(chunkId).content_csv))
+      .flatMap(chunkId => diffTables(before.get(chunkId).content_csv, after.get(chunkId).content_csv)
+        .map(change => entry(chunkId, { kind: 'table', ...change }))),
+    ...diff.added.map(chunkId => entry(chunkId, { kind: 'section', new: after.get(chunkId).section_type })),
+    ...diff.removed.map(chunkId => entry(chunkId, { kind: 'section', old: before.get(chunkId).section_type }))
+  ].sort((a, b) => a.scheme_id.localeCompare(b.scheme_id) || a.section_type.localeCompare(b.section_type));
+
+  return {
+    from,
+    to,
+    summary: {
+      changes: changes.length,
+      schemes: Array.from(new Set(changes.map(change => change.scheme_id))).length,
+      fields: changes.filter(change => change.kind === 'field').length,
+      table_rows: changes.filter(change => change.kind === 'table').length,
+      sections_added: diff.added.length,
+      sections_removed: diff.removed.length
+    },
+    changes
+  };
+}
+
+function snapshotLabel(snapshotId) {
+  return { snapshot: snapshotId, date: snapshotDate(snapshotId) };
+}
+
+/**
+ * Changelog between two saved snapshots (default: the latest two)
+ */
+function changelogBetween(store, fromId = null, toId = null) {
+  const snapshots = store.snapshots();
+  const to = toId || snapshots[snapshots.length - 1];
+  const from = fromId || snapshots[snapshots.indexOf(to) - 1];
+  if (!to || !from) {
+    throw new Error(`Need two ingestion snapshots to compare (found: ${snapshots.join(', ') || 'none'})`);
+  }
+  return buildChangelog(store.load(from), store.load(to), { from: snapshotLabel(from), to: snapshotLabel(to) });
+}
+
+/**
+ * Every change since a date: consecutive snapshot pairs from the last snapshot
+ * before `since` up to the latest, so each change keeps the snapshot it
+ * appeared in. schemeIds narrows the result to one scheme (its current and
+ * legacy IDs). Returns { since, from, to, snapshots, summary, changes }; changes
+ * are newest first.
+ */
+function changesSince(store, since, { schemeIds = null } = {}) {
+  const sinceId = since.toISOString().slice(0, 10).replace(/-/g, '');
+  const snapshots = store.snapshots();
+  const baseline = snapshots.filter(id => id < sinceId).pop();
+  const window = snapshots.filter(id => id >= sinceId);
+  const compared = baseline ? [baseline, ...window] : window;
+
+  // Each snapshot is read once and only held while it is part of the pair being compared
+  const load = snapshotId => store.load(snapshotId).filter(chunk => !schemeIds || schemeIds.includes(chunk.scheme_id));
+  const changes = [];
+  let previous = compared.length > 1 ? load(compared[0]) : null;
+  for (let i = 1; i < compared.length; i++) {
+    const current = load(compared[i]);
+    buildChangelog(previous, current).changes
+      .forEach(change => changes.push({ ...change, snapshot: compared[i], date: snapshotDate(compared[i]) }));
+    previous = current;
+  }
+  changes.sort((a, b) => b.snapshot.localeCompare(a.snapshot));
+
+  return {
+    since: since.toISOString().slice(0, 10),
+    from: compared.length > 1 ? snapshotLabel(compared[0]) : null,
+    to: compared.length > 1 ? snapshotLabel(compared[compared.length - 1]) : null,
+    snapshots: compared.length,
+    summary: {
+      changes: changes.length,
+      schemes: Array.from(new Set(changes.map(change => change.scheme_id))).length
+    },
+    changes
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the period a question asks about ("this month", "past 2 weeks",
+ * "today"...), or null when it names none
+ */
+function parsePeriod(text, now = new Date()) {
+  const query = String(text || '').toLowerCase();
+  const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+  if (/\btoday\b/.test(query)) return startOfDay;
+  if (/\byesterday\b/.test(query)) return new Date(startOfDay.getTime() - DAY_MS);
+  if (/\bthis month\b/.test(query)) return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  if (/\bthis year\b/.test(query)) return new Date(Date.UTC(now.getUTCFullYear(), 0, 1));
+
+  const rolling = /\b(?:last|past)\s+(\d+\s+)?(day|week|month|year)s?\b/.exec(query)
+    || /\bthis\s+()(week)\b/.exec(query);
+  if (rolling) {
+    const count = Number(rolling[1]) || 1;
+    const days = { day: 1, week: 7, month: 30, year: 365 }[rolling[2]];
+    return new Date(startOfDay.getTime() - count * days * DAY_MS);
+  }
+  return null;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  const short = text.length > 80 ? `${text.substring(0, 79)}…` : text;
+  return short.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function changeLabel(change) {
+  if (change.kind === 'section') return `${change.chunk_id.replace(`${change.scheme_id}__`, '')} (${change.change})`;
+  if (change.kind === 'table') return change.field ? `${change.row} · ${change.field}` : `${change.row} (${change.change})`;
+  return change.field;
+}
+
+/**
+ * Markdown changelog: one table per scheme
+ */
+function changelogToMarkdown(changelog) {
+  const range = changelog.from && changelog.to
+    ? `${changelog.from.date} → ${changelog.to.date}`
+    : `since ${changelog.since}`;
+  const lines = [`# Fund data changes (${range})`, ''];
+
+  if (changelog.changes.length === 0) {
+    lines.push('No changes.');
+    return `${lines.join('\n')}\n`;
+  }
+
+  lines.push(`${changelog.summary.changes} change(s) across ${changelog.summary.schemes} scheme(s).`, '');
+
+  const bySchemeId = new Map();
+  changelog.changes.forEach(change => {
+    if (!bySchemeId.has(change.scheme_id)) bySchemeId.set(change.scheme_id, []);
+    bySchemeId.get(change.scheme_id).push(change);
+  });
+
+  bySchemeId.forEach(changes => {
+    const dated = changes.some(change => change.date);
+    lines.push(`## ${changes[0].scheme_name || changes[0].scheme_id}`, '');
+    lines.push(dated ? '| Date | Section | Field | Old | New |' : '| Section | Field | Old | New |');
+    lines.push(dated ? '|---|---|---|---|---|' : '|---|---|---|---|');
+    changes.forEach(change => {
+      const cells = [change.section_type, formatValue(changeLabel(change)), formatValue(change.old), formatValue(change.new)];
+      lines.push(`| ${(dated ? [change.date, ...cells] : cells).join(' | ')} |`);
+    });
+    lines.push('');
+  });
+
+  return `${lines.join('\n')}`;
+}
+
+module.exports = {
+  IngestSnapshotStore,
+  parseCsv,
+  diffTables,
+  buildChangelog,
+  changelogBetween,
+  changesSince,
+  parsePeriod,
+  changelogToMarkdown
+};
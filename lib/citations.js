@@ -0,0 +1,125 @@
+const { tokenize } = require('./bm25');
+
+/**
+ * Per-claim citations: the model tags each claim with the [n] number of the
+ * document it used; we map those markers back to chunks, renumber them in
+ * order of appearance and quote the supporting line from each chunk.
+ */
+
+// Inline markers like [1] (but not markdown links like [1](...))
+const MARKER_PATTERN = /\[(\d{1,2})\](?!\()/g;
+
+// Text fragments that scroll the Groww page to the matching section
+const SECTION_ANCHORS = {
+  facts_performance: 'NAV',
+  fees: 'Expense ratio',
+  riskometer_benchmark: 'Riskometer',
+  tax_redemption: 'Tax implication',
+  portfolio_holdings: 'Holdings',
+  portfolio_sectors: 'Equity sector allocation',
+  fund_manager: 'Fund management',
+  fund_objective: 'Investment objective',
+  advance_ratios: 'Advance ratios',
+  contact_details: 'Contact details',
+  faq: 'FAQs'
+};
+
+const MAX_QUOTE_LENGTH = 200;
+
+function stripMarkers(text) {
+  return text.replace(MARKER_PATTERN, '').replace(/\s+([.,;:!?])/g, '$1').trim();
+}
+
+/**
+ * Link to the exact section of the Groww page via a URL text fragment
+ */
+function sectionUrl(chunk) {
+  const anchor = SECTION_ANCHORS[chunk.section_type];
+  if (!chunk.source_url || !anchor) return chunk.source_url || null;
+  return `${chunk.source_url}#:~:text=${encodeURIComponent(anchor)}`;
+}
+
+// Shared figures are stronger evidence than shared words
+const NUMBER_WEIGHT = 3;
+
+/**
+ * Pick the line of the chunk that best supports the claim (by term overlap)
+ */
+function quoteSupportingSpan(chunk, claim) {
+  // Headings only repeat the scheme/section name, so they never make a useful quote
+  const lines = (chunk.content_md || '')
+    .split('\n')
+    .filter(line => !/^\s*#/.test(line))
+    .map(line => line
+      .replace(/^[\s#>*-]+/, '')
+      .replace(/\*\*/g, '')
+      .replace(/^\|\s*|\s*\|$/g, '')
+      .trim())
+    .filter(line => line && !/^[-|\s]+$/.test(line));
+
+  if (lines.length === 0) return '';
+
+  const claimTerms = new Set(tokenize(claim));
+  let best = lines[0];
+  let bestScore = -1;
+
+  lines.forEach(line => {
+    const score = tokenize(line)
+      .filter(token => claimTerms.has(token))
+      .reduce((sum, token) => sum + (/^\d/.test(token) ? NUMBER_WEIGHT : 1), 0);
+    if (score > bestScore) {
+      best = line;
+      bestScore = score;
+    }
+  });
+
+  return best.length > MAX_QUOTE_LENGTH ? `${best.substring(0, MAX_QUOTE_LENGTH - 1)}…` : best;
+}
+
+/**
+ * Citation record for one chunk
+ */
+function citationForChunk(chunk, index, claim = '') {
+  return {
+    index,
+    chunkId: chunk.chunk_id,
+    schemeName: chunk.scheme_display_name,
+    sectionType: chunk.section_type,
+    sourceUrl: chunk.source_url,
+    url: sectionUrl(chunk),
+    fetchedAt: chunk.fetched_at,
+    quote: quoteSupportingSpan(chunk, claim)
+  };
+}
+
+/**
+ * Map [n] document markers in the answer to citations.
+ * Returns { answer, citations } with markers renumbered 1..k by first appearance
+ * and markers that point at unknown documents removed.
+ */
+function buildCitations(answer, chunks) {
+  const order = [];
+  const claims = {};
+
+  answer.split('\n').forEach(line => {
+    line.split(/(?<=[.!?])\s+/).forEach(sentence => {
+      for (const match of sentence.matchAll(MARKER_PATTERN)) {
+        const docNumber = Number(match[1]);
+        if (docNumber < 1 || docNumber > chunks.length || order.includes(docNumber)) continue;
+        order.push(docNumber);
+        claims[docNumber] = stripMarkers(sentence);
+      }
+    });
+  });
+
+  const renumbered = answer.replace(/([ \t]?)\[(\d{1,2})\](?!\()/g, (match, space, docNumber) => {
+    const position = order.indexOf(Number(docNumber));
+    return position === -1 ? '' : `${space}[${position + 1}]`;
+  });
+
+  const citations = order.map((docNumber, idx) => citationForChunk(chunks[docNumber - 1], idx + 1, claims[docNumber]));
+
+  return { answer: renumbered, citations };
+}
+
+module.exports = { buildCitations, citationForChunk, sectionUrl };
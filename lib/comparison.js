@@ -0,0 +1,127 @@
+const { formatQuantity } = require('./field-schemas');
+
+/**
+ * Multi-scheme comparisons: a side-by-side table of canonical facts for every
+ * scheme mentioned in the query. Tables only list values - nothing is ranked.
+ */
+
+// Fields shown per section: [field, label, format]
+const COMPARISON_FIELDS = {
+  fees: [
+    ['expense_ratio', 'Expense Ratio', 'percent'],
+    ['exit_load', 'Exit Load']
+  ],
+  facts_performance: [
+    ['nav', 'NAV', 'rupee'],
+    ['nav_date', 'NAV Date'],
+    ['minimum_sip', 'Minimum SIP', 'rupee'],
+    ['fund_size', 'Fund Size (AUM)', 'crore'],
+    ['returns_1y', '1Y Return', 'percent'],
+    ['returns_3y', '3Y Return (Annualized)', 'percent'],
+    ['returns_5y', '5Y Return (Annualized)', 'percent']
+  ],
+  riskometer_benchmark: [
+    ['risk_level', 'Risk Level'],
+    ['category', 'Category'],
+    ['benchmark', 'Benchmark']
+  ],
+  tax_redemption: [
+    ['lock_in_years', 'Lock-in (years)'],
+    ['exit_load', 'Exit Load']
+  ],
+  fund_manager: [
+    ['fund_manager', 'Fund Manager']
+  ]
+};
+
+// Used when the query names schemes but no specific section
+const DEFAULT_FIELDS = [
+  ['category', 'Category'],
+  ['expense_ratio', 'Expense Ratio', 'percent'],
+  ['minimum_sip', 'Minimum SIP', 'rupee'],
+  ['risk_level', 'Risk Level'],
+  ['lock_in_years', 'Lock-in (years)'],
+  ['returns_3y', '3Y Return (Annualized)', 'percent']
+];
+
+// Sentences that rank schemes against each other
+const RANKING_PATTERN = /\b(?:better|best|worse|worst|superior|inferior|outperform(?:s|ed)?|winner|preferable|prefer)\b/i;
+
+function formatValue(value, format) {
+  if (value === undefined || value === null || value === '') return '—';
+  if (format === 'percent') return `${value}%`;
+  if (format === 'rupee') return `₹${value}`;
+  if (format === 'crore') return typeof value === 'number' ? formatQuantity(value, 'INR_crore') : `₹${value}`;
+  return String(value);
+}
+
+/**
+ * Build the comparison table for the given schemes
+ * Returns { sectionType, schemes: [{ schemeId, schemeName, sourceUrl }], rows: [{ field, label, values }] }
+ */
+function buildComparison(schemeIds, sectionType, { facts, registry }) {
+  const fields = COMPARISON_FIELDS[sectionType] || DEFAULT_FIELDS;
+
+  const schemes = schemeIds.map(schemeId => {
+    const scheme = registry ? registry.get(schemeId) : null;
+    return {
+      schemeId,
+      schemeName: scheme ? scheme.display_name : schemeId,
+      sourceUrl: scheme ? scheme.source_url : null
+    };
+  });
+
+  const rows = fields
+    .map(([field, label, format]) => ({
+      field,
+      label,
+      values: schemeIds.map(schemeId => formatValue(facts.getValue(schemeId, field), format))
+    }))
+    .filter(row => row.values.some(value => value !== '—'));
+
+  return { sectionType: COMPARISON_FIELDS[sectionType] ? sectionType : null, schemes, rows };
+}
+
+/**
+ * Comparison table for a retrieval result, or null unless it compares several schemes
+ */
+function comparisonForRetrieval(retrievalResult, { facts, registry }) {
+  if (!retrievalResult.comparison || retrievalResult.chunks.length < 2) return null;
+  const { schemeIds, sectionType } = retrievalResult.comparison;
+  return buildComparison(schemeIds, sectionType, { facts, registry });
+}
+
+/**
+ * Plain-text rendering of a comparison, used when the LLM is unavailable
+ */
+function describeComparison(comparison) {
+  const names = comparison.schemes.map(scheme => scheme.schemeName);
+  const lines = comparison.rows.map(row =>
+    `- **${row.label}**: ${row.values.map((value, idx) => `${names[idx]}: ${value}`).join(' · ')}`);
+  const schemeList = names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names[0];
+
+  return `Here's a side-by-side look at ${schemeList}:
+
+${lines.join('\n')}
+
+These are factual figures from the official pages, not a recommendation.`;
+}
+
+/**
+ * Drop sentences that rank one scheme over another
+ */
+function removeRankingLanguage(answer) {
+  return answer
+    .split('\n')
+    .map(line => line
+      .split(/(?<=[.!?])\s+/)
+      .filter(sentence => !RANKING_PATTERN.test(sentence))
+      .join(' '))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = { buildComparison, comparisonForRetrieval, describeComparison, removeRankingLanguage };
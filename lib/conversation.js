@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+/**
+ * Server-side conversation memory and follow-up query rewriting.
+ * Sessions live in process memory and expire after SESSION_TTL_MS of inactivity.
+ */
+
+const MAX_TURNS = 10;
+const SESSION_TTL_MS = 30 * 60 * 1000;
+const SESSION_ID_PATTERN = /^[\w-]{8,64}$/;
+
+// Phrases used to carry a previous turn's intent over to a new scheme
+const SECTION_PHRASES = {
+  fees: 'expense ratio and exit load',
+  facts_performance: 'NAV, returns and minimum SIP',
+  tax_redemption: 'lock-in and tax implications',
+  riskometer_benchmark: 'risk level and benchmark',
+  portfolio_holdings: 'portfolio holdings',
+  portfolio_sectors: 'sector allocation',
+  fund_manager: 'fund manager',
+  fund_objective: 'investment objective',
+  advance_ratios: 'advance ratios',
+  contact_details: 'contact details'
+};
+
+class ConversationStore {
+  constructor({ maxTurns = MAX_TURNS, ttlMs = SESSION_TTL_MS } = {}) {
+    this.maxTurns = maxTurns;
+    this.ttlMs = ttlMs;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Return a usable session ID: the requested one if well-formed, else a new one
+   */
+  ensureSession(sessionId) {
+    this.prune();
+    const id = sessionId && SESSION_ID_PATTERN.test(sessionId) ? sessionId : crypto.randomUUID();
+    if (!this.sessions.has(id)) {
+      this.sessions.set(id, { turns: [], updatedAt: Date.now() });
+    }
+    return id;
+  }
+
+  getHistory(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? session.turns : [];
+  }
+
+  addTurn(sessionId, turn) {
+    const session = this.sessions.get(sessionId) || { turns: [] };
+    session.turns.push({ ...turn, timestamp: new Date().toISOString() });
+    if (session.turns.length > this.maxTurns) {
+      session.turns = session.turns.slice(-this.maxTurns);
+    }
+    session.updatedAt = Date.now();
+    this.sessions.set(sessionId, session);
+  }
+
+  /**
+   * Drop sessions idle for longer than the TTL
+   */
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, session] of this.sessions) {
+      if (session.updatedAt < cutoff) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
+
+/**
+ * Append a clause before the query's trailing punctuation
+ */
+function appendClause(query, clause) {
+  const match = query.match(/^(.*?)([?.!\s]*)$/);
+  const ending = match[2].trim().charAt(0);
+  return `${match[1]}${clause}${ending}`;
+}
+
+// The first word or phrase referring back to the previous scheme
+const SCHEME_REFERENCE_PATTERN = /\b(?:(?:this|that|the same|the)\s+(?:fund|scheme)|its|it)\b/i;
+
+// "What is NAV?", "what is an ELSS?", "what does exit load mean?" ask for a definition, not a scheme's value
+const GLOSSARY_PATTERN = /^\s*(?:what(?:'s|\s+is|\s+are)\s+(?:an?\s+)?(?!the\b|its?\b|this\b|that\b)|what\s+does\s+.+\s+mean\b|define\b|meaning\s+of\b)/i;
+
+function lastTurnWith(history, key) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i][key]) return history[i];
+  }
+  return null;
+}
+
+/**
+ * Resolve pronouns and elided schemes/intents in a follow-up query
+ * using previous turns. Returns { query, schemeId, sectionType, rewritten }.
+ */
+function rewriteQuery(query, history, retriever) {
+  const parsed = retriever.parseQuery(query);
+  let rewrittenQuery = query.trim();
+
+  if (!history || history.length === 0) {
+    return { query: rewrittenQuery, schemeId: parsed.schemeId, sectionType: parsed.sectionType, rewritten: false };
+  }
+
+  let { schemeId, sectionType } = parsed;
+
+  // Elided scheme: "What about the portfolio holdings?" → previous scheme. Only the
+  // first reference is resolved ("Is it worth it?"), and general or glossary
+  // questions ("What is ELSS?") are left alone.
+  if (!schemeId) {
+    const previous = lastTurnWith(history, 'schemeId');
+    const reference = rewrittenQuery.match(SCHEME_REFERENCE_PATTERN);
+    const asksForSection = Boolean(parsed.sectionType) && !GLOSSARY_PATTERN.test(rewrittenQuery);
+
+    if (previous && (reference || asksForSection)) {
+      schemeId = previous.schemeId;
+      const schemeName = retriever.getSchemeName(schemeId);
+
+      rewrittenQuery = reference
+        ? rewrittenQuery.replace(SCHEME_REFERENCE_PATTERN, /^its$/i.test(reference[0]) ? `${schemeName}'s` : schemeName)
+        : appendClause(rewrittenQuery, ` for ${schemeName}`);
+    }
+  }
+
+  // Elided intent: "And for small cap?" → previous section
+  if (!sectionType && parsed.schemeId) {
+    const previous = lastTurnWith(history, 'sectionType');
+    if (previous && SECTION_PHRASES[previous.sectionType]) {
+      sectionType = previous.sectionType;
+      rewrittenQuery = appendClause(rewrittenQuery, ` - ${SECTION_PHRASES[sectionType]}`);
+    }
+  }
+
+  return {
+    query: rewrittenQuery,
+    schemeId,
+    sectionType,
+    rewritten: rewrittenQuery !== query.trim()
+  };
+}
+
+// Singleton instance
+let conversationStore = null;
+
+function getConversationStore() {
+  if (!conversationStore) {
+    conversationStore = new ConversationStore();
+  }
+  return conversationStore;
+}
+
+module.exports = { ConversationStore, getConversationStore, rewriteQuery };
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { tokenize } = require('./bm25');
+
+/**
+ * Embedding backends. Every embedder has { name, model, dimensions } and
+ * embed(text) → Promise<number[]>. Select one with EMBEDDING_PROVIDER:
+ *   gemini  - text-embedding-004 (default when GEMINI_API_KEY is set)
+ *   local   - sentence-embedding model run on CPU with transformers.js
+ *   hashing - hashed bag-of-words baseline, no model at all
+ * The vector index records which embedder built it (INDEX_METADATA_FILE) and
+ * is only queried with the same one.
+ */
+
+const DEFAULT_GEMINI_EMBEDDING_MODEL = 'text-embedding-004';
+const DEFAULT_LOCAL_EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const DEFAULT_HASHING_DIMENSIONS = 768;
+
+// Written next to the Vectra index by build-index.js
+const INDEX_METADATA_FILE = 'embedding-model.json';
+
+// Indexes built before metadata was recorded always used Gemini
+const LEGACY_INDEX_METADATA = { provider: 'gemini', model: DEFAULT_GEMINI_EMBEDDING_MODEL, dimensions: 768 };
+
+class GeminiEmbedder {
+  constructor({ apiKey, model = DEFAULT_GEMINI_EMBEDDING_MODEL } = {}) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY is required for gemini embeddings');
+    }
+    this.name = 'gemini';
+    this.model = model;
+    this.dimensions = model === DEFAULT_GEMINI_EMBEDDING_MODEL ? 768 : null; // known after the first embedding
+    this.rateLimitMs = 200;
+    this.embeddingModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+  }
+
+  async embed(text) {
+    const result = await this.embeddingModel.embedContent(text);
+    this.dimensions = result.embedding.values.length;
+    return result.embedding.values;
+  }
+}
+
+/**
+ * Sentence-embedding model run locally on CPU via transformers.js (ONNX).
+ * Weights are downloaded once on first use and cached (EMBEDDING_CACHE_DIR).
+ */
+class LocalEmbedder {
+  constructor({ model = DEFAULT_LOCAL_EMBEDDING_MODEL, cacheDir = null } = {}) {
+    this.name = 'local';
+    this.model = model;
+    this.dimensions = model === DEFAULT_LOCAL_EMBEDDING_MODEL ? 384 : null; // known after the first embedding
+    this.rateLimitMs = 0;
+    this.cacheDir = cacheDir;
+    this.extractor = null;
+  }
+
+  async loadExtractor() {
+    if (!this.extractor) {
+      let transformers;
+      try {
+        transformers = await import(/* webpackIgnore: true */ '@huggingface/transformers');
+      } catch (error) {
+        throw new Error('Local embeddings require @huggingface/transformers (npm install @huggingface/transformers)');
+      }
+      if (this.cacheDir) {
+        transformers.env.cacheDir = this.cacheDir;
+      }
+      this.extractor = await transformers.pipeline('feature-extraction', this.model);
+    }
+    return this.extractor;
+  }
+
+  async embed(text) {
+    const extractor = await this.loadExtractor();
+    const output = await extractor(text, { pooling: 'mean', normalize: true });
+    const vector = Array.from(output.data);
+    this.dimensions = vector.length;
+    return vector;
+  }
+}
+
+/**
+ * Hashed bag-of-words vector, L2-normalized. Deterministic and dependency-free;
+ * a lexical baseline rather than a semantic one.
+ */
+class HashingEmbedder {
+  constructor({ dimensions = DEFAULT_HASHING_DIMENSIONS } = {}) {
+    this.name = 'hashing';
+    this.model = `hashing-bow-${dimensions}`;
+    this.dimensions = dimensions;
+    this.rateLimitMs = 0;
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    tokenize(text).forEach(token => {
+      const hash = crypto.createHash('md5').update(token).digest();
+      vector[hash.readUInt32BE(0) % this.dimensions] += 1;
+    });
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+}
+
+/**
+ * Create the embedder named by EMBEDDING_PROVIDER. Defaults to gemini when
+ * GEMINI_API_KEY is set; returns null when no embedder is available.
+ */
+function createEmbedder(name = process.env.EMBEDDING_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : null)) {
+  try {
+    switch (name) {
+      case 'gemini':
+        return new GeminiEmbedder({
+          apiKey: process.env.GEMINI_API_KEY,
+          model: process.env.EMBEDDING_MODEL || DEFAULT_GEMINI_EMBEDDING_MODEL
+        });
+      case 'local':
+        return new LocalEmbedder({
+          model: process.env.EMBEDDING_MODEL || DEFAULT_LOCAL_EMBEDDING_MODEL,
+          cacheDir: process.env.EMBEDDING_CACHE_DIR || null
+        });
+      case 'hashing':
+        return new HashingEmbedder({
+          dimensions: Number(process.env.EMBEDDING_DIMENSIONS) || DEFAULT_HASHING_DIMENSIONS
+        });
+      case null:
+      case undefined:
+      case '':
+        return null;
+      default:
+        throw new Error(`Unknown EMBEDDING_PROVIDER "${name}" (expected gemini, local or hashing)`);
+    }
+  } catch (error) {
+    console.warn(`⚠️  Embedding provider unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Embedding metadata for a Vectra index directory (legacy indexes assume Gemini)
+ */
+function readIndexMetadata(vectraPath) {
+  const metadataPath = path.join(vectraPath, INDEX_METADATA_FILE);
+  if (!fs.existsSync(metadataPath)) return LEGACY_INDEX_METADATA;
+  return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+}
+
+function writeIndexMetadata(vectraPath, embedder, extra = {}) {
+  const metadata = {
+    provider: embedder.name,
+    model: embedder.model,
+    dimensions: embedder.dimensions,
+    ...extra
+  };
+  fs.writeFileSync(path.join(vectraPath, INDEX_METADATA_FILE), JSON.stringify(metadata, null, 2), 'utf8');
+  return metadata;
+}
+
+/**
+ * Why an index can't be queried with this embedder, or null if it can
+ */
+function describeIndexMismatch(metadata, embedder) {
+  if (metadata.provider !== embedder.name || metadata.model !== embedder.model) {
+    return `index was built with ${metadata.provider}:${metadata.model}, configured embedder is ${embedder.name}:${embedder.model}`;
+  }
+  if (embedder.dimensions && metadata.dimensions !== embedder.dimensions) {
+    return `index has ${metadata.dimensions}-dim vectors, configured embedder produces ${embedder.dimensions}`;
+  }
+  return null;
+}
+
+module.exports = {
+  GeminiEmbedder,
+  LocalEmbedder,
+  HashingEmbedder,
+  createEmbedder,
+  readIndexMetadata,
+  writeIndexMetadata,
+  describeIndexMismatch
+};
@@ -0,0 +1,276 @@
+const Ajv = require('ajv');
+
+/**
+ * JSON Schema for fields_json, one per section_type. Numbers are stored as
+ * numbers in a fixed unit, named by the "unit" keyword:
+ *   INR         rupees              minimum_sip: 100
+ *   INR_crore   crore rupees        fund_size: 89383.23  (₹89,383.23 Cr)
+ *   percent     percentage points   expense_ratio: 0.71  (0.71%)
+ *   years       years               lock_in_years: 3
+ * createChunk (process-data) and ChunkBuilder.addChunk (ingest) normalize and
+ * validate every chunk; `npm run validate-fields` reports violations in a
+ * chunk set and fails the build on any.
+ */
+
+const UNITS = ['INR', 'INR_crore', 'percent', 'years'];
+
+const text = { type: 'string', minLength: 1 };
+const rupees = { type: 'integer', minimum: 1, unit: 'INR' };
+const percent = (minimum, maximum) => ({ type: 'number', minimum, maximum, unit: 'percent' });
+const link = {
+  type: 'object',
+  properties: { title: text, url: { type: 'string', pattern: '^https?://' } },
+  required: ['title', 'url'],
+  additionalProperties: false
+};
+const table = {
+  properties: {
+    table_headers: { type: 'array', items: text, minItems: 1 },
+    row_count: { type: 'integer', minimum: 0 }
+  },
+  required: ['table_headers', 'row_count']
+};
+
+const FIELD_SCHEMAS = {
+  facts_performance: {
+    properties: {
+      nav: { type: 'number', exclusiveMinimum: 0, unit: 'INR' },
+      nav_date: { type: 'string', pattern: '^\\d{1,2} [A-Z][a-z]{2} \\d{4}$' },
+      category: text,
+      minimum_sip: rupees,
+      minimum_lumpsum: rupees,
+      fund_size: { type: 'number', exclusiveMinimum: 0, unit: 'INR_crore' },
+      aum: { type: 'number', exclusiveMinimum: 0, unit: 'INR_crore' },
+      expense_ratio: percent(0, 5),
+      rating: { type: 'integer', minimum: 1, maximum: 5 },
+      returns_1y: percent(-100, 1000),
+      returns_3y: percent(-100, 1000),
+      returns_5y: percent(-100, 1000),
+      launch_date: text
+    }
+  },
+  fees: {
+    properties: {
+      ter_percent: percent(0, 5),
+      exit_load_text: text,
+      exit_load_rules: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { condition: text, rate: percent(0, 100) },
+          required: ['condition', 'rate'],
+          additionalProperties: false
+        }
+      }
+    }
+  },
+  riskometer_benchmark: {
+    properties: {
+      riskometer_category: { type: 'string', pattern: '^(Low|Low to Moderate|Moderate|Moderately High|High|Very High)( Risk)?$' },
+      category: text,
+      benchmark_name: text
+    }
+  },
+  tax_redemption: {
+    properties: {
+      lock_in_years: { type: 'integer', minimum: 0, maximum: 10, unit: 'years' },
+      lock_in_text: text,
+      tax_benefit_80c: { type: 'boolean' },
+      tax_notes: text
+    }
+  },
+  fund_manager: {
+    properties: {
+      manager_name: text,
+      manager_education: text,
+      manager_experience: text,
+      other_schemes_count: { type: 'integer', minimum: 0 }
+    }
+  },
+  fund_objective: {
+    properties: { objective_text: text },
+    required: ['objective_text']
+  },
+  portfolio_holdings: table,
+  portfolio_sectors: table,
+  advance_ratios: {
+    properties: {
+      pe_ratio: { type: 'number', minimum: 0 },
+      pb_ratio: { type: 'number', minimum: 0 },
+      dividend_yield: percent(0, 100),
+      sharpe_ratio: { type: 'number' },
+      alpha: { type: 'number' },
+      beta: { type: 'number' },
+      standard_deviation: percent(0, 1000),
+      turnover_ratio: percent(0, 10000)
+    }
+  },
+  faq: {
+    properties: { faq_question: text, faq_answer: text },
+    required: ['faq_question', 'faq_answer']
+  },
+  contact_details: {
+    properties: {
+      email: { type: 'string', pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$' },
+      phone: text,
+      website: { type: 'string', pattern: '^https?://' },
+      customer_care: text
+    }
+  },
+  regulatory_links: {
+    properties: { links: { type: 'array', items: link } },
+    required: ['links']
+  },
+  downloads: {
+    properties: {
+      links: { type: 'array', items: link },
+      forms: { type: 'array', items: text }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+ajv.addKeyword({ keyword: 'unit', schemaType: 'string', metaSchema: { enum: UNITS } });
+
+const validators = Object.fromEntries(Object.entries(FIELD_SCHEMAS).map(([sectionType, schema]) => [
+  sectionType,
+  ajv.compile({ type: 'object', additionalProperties: false, ...schema })
+]));
+
+/**
+ * "₹1,268.60" → 1268.6, "89,383.23 Cr" → 89383.23, "0.71%" → 0.71; null if not a number
+ */
+function parseQuantity(value) {
+  const cleaned = String(value).replace(/₹|rs\.?|inr|,|%|\bcr(?:ore)?s?\b|\byears?\b/gi, '').trim();
+  if (!/^-?\d+(?:\.\d+)?$/.test(cleaned)) return null;
+  return Number(cleaned);
+}
+
+/**
+ * Parse numeric fields given as strings with units ("89,383.23 Cr" → 89383.23).
+ * Values that can't be converted are left for validation to report.
+ */
+function normalizeFields(sectionType, fields = {}) {
+  const properties = FIELD_SCHEMAS[sectionType]?.properties || {};
+  const normalized = { ...fields };
+
+  Object.entries(properties).forEach(([name, schema]) => {
+    const value = normalized[name];
+    if (typeof value !== 'string' || (schema.type !== 'number' && schema.type !== 'integer')) return;
+    const number = parseQuantity(value);
+    if (number !== null) normalized[name] = number;
+  });
+
+  return normalized;
+}
+
+/**
+ * Problems with a chunk's fields_json (empty when valid), e.g. "expense_ratio must be <= 5"
+ */
+function validateFields(sectionType, fields) {
+  const validate = validators[sectionType];
+  if (!validate) return [`unknown section_type "${sectionType}"`];
+  if (validate(fields)) return [];
+
+  return validate.errors.map(error => {
+    const field = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+    const detail = error.keyword === 'additionalProperties'
+      ? `unknown field "${error.params.additionalProperty}"`
+      : error.message;
+    return field ? `${field} ${detail}` : detail;
+  });
+}
+
+/**
+ * Whether one value fits its field's schema, e.g. a scraped expense ratio within 0-5%
+ * (false for fields the section doesn't have)
+ */
+function isValidField(sectionType, field, value) {
+  const schema = FIELD_SCHEMAS[sectionType]?.properties?.[field];
+  return Boolean(schema) && ajv.validate(schema, value);
+}
+
+/**
+ * Normalize a new chunk's fields and throw if they still break the schema
+ */
+function checkChunkFields(chunkId, sectionType, fields) {
+  const normalized = normalizeFields(sectionType, fields);
+  const problems = validateFields(sectionType, normalized);
+  if (problems.length > 0) {
+    throw new Error(`Invalid fields_json for ${chunkId}:\n  ${problems.join('\n  ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Bring stored fields to the schema: normalize units, then drop any field that
+ * still breaks it (garbage from old scrapes such as expense_ratio 2e21).
+ * Returns { fields, dropped: ["expense_ratio must be <= 5", ...] }
+ */
+function migrateFields(sectionType, fields = {}) {
+  const validate = validators[sectionType];
+  const normalized = normalizeFields(sectionType, fields);
+  if (!validate || validate(normalized)) return { fields: normalized, dropped: [] };
+
+  const badFields = new Set(validate.errors.map(error => (
+    error.keyword === 'additionalProperties' && error.instancePath === ''
+      ? error.params.additionalProperty
+      : error.instancePath.split('/')[1]
+  )).filter(Boolean));
+  const migrated = Object.fromEntries(Object.entries(normalized).filter(([field]) => !badFields.has(field)));
+
+  return { fields: migrated, dropped: validateFields(sectionType, normalized) };
+}
+
+/**
+ * Validate stored chunks as they are (no normalization)
+ * Returns { checked, invalid, by_section, violations: [{ chunk_id, scheme_id, section_type, problems }] }
+ */
+function validateChunks(chunks) {
+  const bySection = {};
+  const violations = [];
+
+  chunks.forEach(chunk => {
+    const section = bySection[chunk.section_type] || (bySection[chunk.section_type] = { checked: 0, invalid: 0 });
+    section.checked++;
+
+    const problems = validateFields(chunk.section_type, chunk.fields_json || {});
+    if (problems.length > 0) {
+      section.invalid++;
+      violations.push({ chunk_id: chunk.chunk_id, scheme_id: chunk.scheme_id, section_type: chunk.section_type, problems });
+    }
+  });
+
+  return { checked: chunks.length, invalid: violations.length, by_section: bySection, violations };
+}
+
+/**
+ * Display a number in its unit: ₹100, ₹89,383.23 Cr, 0.71%, 3 years
+ */
+function formatQuantity(value, unit) {
+  const number = value.toLocaleString('en-IN', { maximumFractionDigits: 2 });
+  if (unit === 'INR') return `₹${number}`;
+  if (unit === 'INR_crore') return `₹${value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} Cr`;
+  if (unit === 'percent') return `${number}%`;
+  if (unit === 'years') return `${number} year${value === 1 ? '' : 's'}`;
+  return number;
+}
+
+/**
+ * Unit of a field (null for text and unitless numbers)
+ */
+function fieldUnit(sectionType, field) {
+  return FIELD_SCHEMAS[sectionType]?.properties?.[field]?.unit || null;
+}
+
+module.exports = {
+  FIELD_SCHEMAS,
+  normalizeFields,
+  validateFields,
+  isValidField,
+  checkChunkFields,
+  migrateFields,
+  validateChunks,
+  formatQuantity,
+  fieldUnit
+};
@@ -0,0 +1,186 @@
+/**
+ * Data freshness: how old each chunk's data is and whether it is past the
+ * threshold for its section. NAV and returns go stale within a day, portfolio
+ * data within a month. A chunk's data is "as of" its NAV date when it has one,
+ * otherwise the time its page was fetched. NAVs are only published on business
+ * days, so a NAV's age counts the weekdays since its date (a Friday NAV is
+ * current all weekend); everything else ages in calendar time.
+ *
+ * Thresholds can be overridden with FRESHNESS_THRESHOLDS, e.g.
+ *   FRESHNESS_THRESHOLDS="facts_performance=2d,portfolio_holdings=6w,default=180d"
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DURATION_UNITS_MS = { h: HOUR_MS, d: DAY_MS, w: 7 * DAY_MS };
+
+const DEFAULT_THRESHOLDS = {
+  facts_performance: '1d',
+  fees: '30d',
+  portfolio_holdings: '30d',
+  portfolio_sectors: '30d',
+  advance_ratios: '30d',
+  faq: '30d',
+  default: '90d'
+};
+
+// NAV dates are Indian calendar dates
+const IST_OFFSET_MS = 5.5 * HOUR_MS;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * "12h", "1d", "4w" → milliseconds
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([hdw])$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid freshness threshold "${value}" (use e.g. 12h, 1d or 4w)`);
+  }
+  return Number(match[1]) * DURATION_UNITS_MS[match[2].toLowerCase()];
+}
+
+/**
+ * Per-section thresholds in ms: the defaults merged with "section=duration,..." overrides
+ */
+function loadThresholds(spec = process.env.FRESHNESS_THRESHOLDS) {
+  const entries = { ...DEFAULT_THRESHOLDS };
+  (spec || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [section, duration] = entry.split('=').map(part => part && part.trim());
+    if (!section || !duration) {
+      throw new Error(`Invalid FRESHNESS_THRESHOLDS entry "${entry}" (expected section=duration)`);
+    }
+    entries[section] = duration;
+  });
+  return Object.fromEntries(Object.entries(entries).map(([section, duration]) => [section, parseDuration(duration)]));
+}
+
+/**
+ * "14 Nov 2025" (as shown on Groww) → Date at UTC midnight, or null
+ */
+function parseDisplayDate(text) {
+  const match = /^(\d{1,2})\s+([a-z]{3})[a-z]*\.?,?\s+(\d{4})$/i.exec(String(text || '').trim());
+  if (!match) return null;
+  const month = MONTHS.indexOf(match[2].toLowerCase());
+  if (month === -1) return null;
+  return new Date(Date.UTC(Number(match[3]), month, Number(match[1])));
+}
+
+/**
+ * Date → "14 Nov 2025"
+ */
+function formatDate(date) {
+  return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * When the chunk's data is from: its NAV date, else its fetch time (null if neither parses)
+ */
+function asOfDate(chunk) {
+  const navDate = parseDisplayDate(chunk.fields_json?.nav_date);
+  if (navDate) return navDate;
+  const fetchedAt = chunk.fetched_at ? new Date(chunk.fetched_at) : null;
+  return fetchedAt && !Number.isNaN(fetchedAt.getTime()) ? fetchedAt : null;
+}
+
+/**
+ * Weekdays after the NAV date (UTC midnight) up to and including today in India
+ */
+function businessDaysSince(navDate, now) {
+  const today = Math.floor((now.getTime() + IST_OFFSET_MS) / DAY_MS) * DAY_MS;
+  let days = 0;
+  for (let day = navDate.getTime() + DAY_MS; day <= today; day += DAY_MS) {
+    const weekday = new Date(day).getUTCDay();
+    if (weekday !== 0 && weekday !== 6) days += 1;
+  }
+  return days;
+}
+
+/**
+ * Freshness of one chunk:
+ * { chunkId, schemeId, schemeName, sectionType, asOf, asOfLabel, ageDays, maxAgeDays, stale }
+ * Returns null when the chunk carries no date.
+ */
+function chunkFreshness(chunk, { now = new Date(), thresholds = loadThresholds() } = {}) {
+  const asOf = asOfDate(chunk);
+  if (!asOf) return null;
+
+  const threshold = thresholds[chunk.section_type] ?? thresholds.default;
+  const ageMs = Math.max(0, now.getTime() - asOf.getTime());
+  const stale = parseDisplayDate(chunk.fields_json?.nav_date)
+    ? businessDaysSince(asOf, now) > threshold / DAY_MS
+    : ageMs > threshold;
+  return {
+    chunkId: chunk.chunk_id,
+    schemeId: chunk.scheme_id,
+    schemeName: chunk.scheme_display_name,
+    sectionType: chunk.section_type,
+    asOf: asOf.toISOString(),
+    asOfLabel: formatDate(asOf),
+    ageDays: Math.floor(ageMs / DAY_MS),
+    maxAgeDays: Number((threshold / DAY_MS).toFixed(2)),
+    stale
+  };
+}
+
+/**
+ * User-facing warning listing the stale chunks (null when nothing is stale)
+ */
+function stalenessWarning(staleEntries) {
+  if (staleEntries.length === 0) return null;
+  const details = staleEntries.map(entry =>
+    `${entry.schemeName} ${entry.sectionType.replace(/_/g, ' ')} is from ${entry.asOfLabel} (${entry.ageDays} days old)`);
+  return `Some of this data may be out of date: ${details.join('; ')}. Please check the source page for the latest figures.`;
+}
+
+/**
+ * Freshness of the chunks behind an answer:
+ * { asOf, asOfLabel, stale, chunks: [chunkFreshness], warning }
+ * asOf is the oldest date among the chunks. Returns null when none carries a date.
+ */
+function summarizeFreshness(chunks, options = {}) {
+  const entries = chunks.map(chunk => chunkFreshness(chunk, options)).filter(Boolean);
+  if (entries.length === 0) return null;
+
+  const oldest = entries.reduce((min, entry) => (entry.asOf < min.asOf ? entry : min));
+  const staleEntries = entries.filter(entry => entry.stale);
+  return {
+    asOf: oldest.asOf,
+    asOfLabel: oldest.asOfLabel,
+    stale: staleEntries.length > 0,
+    chunks: entries,
+    warning: stalenessWarning(staleEntries)
+  };
+}
+
+/**
+ * Per-scheme freshness for the health check:
+ * { schemeId, schemeName, navDate, lastFetchedAt, stale, staleSections }
+ */
+function schemeFreshness(schemeId, chunks, options = {}) {
+  const entries = chunks.map(chunk => chunkFreshness(chunk, options)).filter(Boolean);
+  const fetchTimes = chunks.map(chunk => chunk.fetched_at).filter(Boolean).sort();
+  const navChunk = chunks.find(chunk => chunk.fields_json?.nav_date);
+  const staleSections = entries.filter(entry => entry.stale).map(entry => entry.sectionType);
+
+  return {
+    schemeId,
+    schemeName: chunks[0]?.scheme_display_name || schemeId,
+    navDate: navChunk ? navChunk.fields_json.nav_date : null,
+    lastFetchedAt: fetchTimes.length > 0 ? fetchTimes[fetchTimes.length - 1] : null,
+    stale: staleSections.length > 0,
+    staleSections
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  parseDuration,
+  loadThresholds,
+  parseDisplayDate,
+  formatDate,
+  asOfDate,
+  chunkFreshness,
+  summarizeFreshness,
+  schemeFreshness
+};
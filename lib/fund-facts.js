@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const { IndexSnapshotStore } = require('./index-snapshots');
+
+/**
+ * Canonical fund facts with per-field provenance.
+ * Several sources carry the same facts (scraped chunks, data/correct-fund-data.json,
+ * the hardcoded data in scripts/) and they disagree. The store resolves each
+ * field from the highest-priority source that has it and records where the
+ * value came from; conflicts() reports every field where sources disagree.
+ */
+
+// Canonical field → keys used for it across sources
+const FIELD_ALIASES = {
+  nav: ['nav'],
+  nav_date: ['nav_date'],
+  category: ['category'],
+  risk_level: ['risk_level', 'riskometer_category', 'risk'],
+  minimum_sip: ['minimum_sip', 'min_sip'],
+  minimum_lumpsum: ['minimum_lumpsum', 'min_investment'],
+  expense_ratio: ['expense_ratio', 'ter_percent'],
+  exit_load: ['exit_load', 'exit_load_text'],
+  lock_in_years: ['lock_in_years'],
+  fund_size: ['fund_size', 'aum'],
+  rating: ['rating'],
+  returns_1y: ['returns_1y'],
+  returns_3y: ['returns_3y'],
+  returns_5y: ['returns_5y'],
+  benchmark: ['benchmark'],
+  fund_manager: ['fund_manager', 'manager_name']
+};
+
+const NUMERIC_FIELDS = new Set([
+  'nav', 'minimum_sip', 'minimum_lumpsum', 'expense_ratio', 'lock_in_years',
+  'fund_size', 'rating', 'returns_1y', 'returns_3y', 'returns_5y'
+]);
+
+// Older scheme IDs still used by data/correct-fund-data.json
+const LEGACY_SCHEME_IDS = {
+  'hdfc-flexi-cap-fund-direct-growth': 'hdfc-equity-fund-direct-growth',
+  'hdfc-taxsaver-fund-direct-growth': 'hdfc-elss-tax-saver-fund-direct-plan-growth'
+};
+
+// Values that mean "we don't know"
+const PLACEHOLDER_PATTERN = /not (?:available|specified)/i;
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '' ||
+    (typeof value === 'string' && PLACEHOLDER_PATTERN.test(value));
+}
+
+/**
+ * Comparable form of a value: numbers without commas/units, text without case,
+ * punctuation or a trailing "risk"
+ */
+function normalizeValue(field, value) {
+  if (NUMERIC_FIELDS.has(field)) {
+    const number = parseFloat(String(value).replace(/,/g, ''));
+    return Number.isFinite(number) ? number : String(value);
+  }
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9%.\s]/g, ' ')
+    .replace(/\brisk\b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Two values agree if they normalize equal, or one text is a more detailed
+ * version of the other ("1% if redeemed within 1 year" / "... from the date of allotment")
+ */
+function valuesAgree(field, a, b) {
+  const left = normalizeValue(field, a);
+  const right = normalizeValue(field, b);
+  if (typeof left === 'number' || typeof right === 'number') return left === right;
+  return left === right || left.startsWith(right) || right.startsWith(left);
+}
+
+/**
+ * Build a source from flat per-scheme records ({ schemeId: { field: value } })
+ */
+function factsFromRecords(name, records, { fetchedAt = null } = {}) {
+  const schemes = {};
+
+  Object.entries(records).forEach(([recordId, record]) => {
+    const schemeId = LEGACY_SCHEME_IDS[recordId] || recordId;
+    const facts = {};
+
+    Object.entries(FIELD_ALIASES).forEach(([field, keys]) => {
+      const key = keys.find(candidate => !isMissing(record[candidate]));
+      if (key) {
+        facts[field] = { value: record[key], fetchedAt, sourceUrl: record.url || null };
+      }
+    });
+
+    schemes[schemeId] = facts;
+  });
+
+  return { name, schemes };
+}
+
+/**
+ * Build a source from scraped chunks' fields_json (each fact keeps its chunk's fetched_at)
+ */
+function factsFromChunks(chunks) {
+  const schemes = {};
+
+  chunks.forEach(chunk => {
+    const fields = chunk.fields_json || {};
+    const facts = schemes[chunk.scheme_id] || {};
+
+    Object.entries(FIELD_ALIASES).forEach(([field, keys]) => {
+      if (facts[field]) return;
+      const key = keys.find(candidate => !isMissing(fields[candidate]));
+      if (key) {
+        facts[field] = {
+          value: fields[key],
+          fetchedAt: chunk.fetched_at,
+          sourceUrl: chunk.source_url,
+          chunkId: chunk.chunk_id
+        };
+      }
+    });
+
+    if (Object.keys(facts).length > 0) {
+      schemes[chunk.scheme_id] = facts;
+    }
+  });
+
+  return { name: 'groww_scrape', schemes };
+}
+
+class FundFactsStore {
+  /**
+   * @param sources Sources in priority order; the first source with a value wins
+   */
+  constructor(sources = []) {
+    this.sources = sources;
+  }
+
+  /**
+   * Load the runtime sources: scraped chunks first, then data/correct-fund-data.json
+   * to fill gaps. Extra (lower-priority) sources can be appended for reconciliation.
+   */
+  static load({ dataDir = path.join(process.cwd(), 'data'), extraSources = [] } = {}) {
+    const sources = [];
+
+    const lookupPath = new IndexSnapshotStore(path.join(dataDir, 'index')).resolve('lookup');
+    try {
+      if (fs.existsSync(lookupPath)) {
+        const chunkLookup = JSON.parse(fs.readFileSync(lookupPath, 'utf8'));
+        sources.push(factsFromChunks(Object.values(chunkLookup)));
+      }
+    } catch (error) {
+      console.warn('⚠️  Could not load scraped fund facts:', error.message);
+    }
+
+    const manualPath = path.join(dataDir, 'correct-fund-data.json');
+    try {
+      if (fs.existsSync(manualPath)) {
+        const records = JSON.parse(fs.readFileSync(manualPath, 'utf8'));
+        sources.push(factsFromRecords('correct_fund_data', records));
+      }
+    } catch (error) {
+      console.warn('⚠️  Could not load correct fund data:', error.message);
+    }
+
+    return new FundFactsStore([...sources, ...extraSources]);
+  }
+
+  schemeIds() {
+    const ids = new Set();
+    this.sources.forEach(source => Object.keys(source.schemes).forEach(id => ids.add(id)));
+    return Array.from(ids);
+  }
+
+  /**
+   * Canonical fact with provenance: { value, source, fetchedAt, sourceUrl }
+   */
+  get(schemeId, field) {
+    for (const source of this.sources) {
+      const fact = source.schemes[schemeId] && source.schemes[schemeId][field];
+      if (fact) {
+        return { ...fact, source: source.name };
+      }
+    }
+    return null;
+  }
+
+  getValue(schemeId, field) {
+    const fact = this.get(schemeId, field);
+    return fact ? fact.value : undefined;
+  }
+
+  /**
+   * All canonical facts for a scheme: { field: { value, source, fetchedAt, sourceUrl } }
+   */
+  getScheme(schemeId) {
+    const facts = {};
+    Object.keys(FIELD_ALIASES).forEach(field => {
+      const fact = this.get(schemeId, field);
+      if (fact) facts[field] = fact;
+    });
+    return facts;
+  }
+
+  /**
+   * Fields where sources disagree:
+   * [{ schemeId, field, canonical: { value, source }, values: [{ source, value, fetchedAt }] }]
+   */
+  conflicts() {
+    const conflicts = [];
+
+    this.schemeIds().forEach(schemeId => {
+      Object.keys(FIELD_ALIASES).forEach(field => {
+        const values = this.sources
+          .filter(source => source.schemes[schemeId] && source.schemes[schemeId][field])
+          .map(source => ({ source: source.name, ...source.schemes[schemeId][field] }));
+
+        if (values.length < 2) return;
+        const canonical = values[0];
+        if (values.every(entry => valuesAgree(field, entry.value, canonical.value))) return;
+
+        conflicts.push({
+          schemeId,
+          field,
+          canonical: { value: canonical.value, source: canonical.source },
+          values: values.map(entry => ({ source: entry.source, value: entry.value, fetchedAt: entry.fetchedAt }))
+        });
+      });
+    });
+
+    return conflicts;
+  }
+}
+
+// Singleton state lives on globalThis so a reload reaches every API route bundle (see retriever.js)
+const shared = globalThis.__mfFundFacts || (globalThis.__mfFundFacts = { store: null });
+
+function getFundFactsStore() {
+  if (!shared.store) {
+    shared.store = FundFactsStore.load();
+  }
+  return shared.store;
+}
+
+/**
+ * Re-read every source, e.g. after a new index snapshot is activated
+ */
+function reloadFundFactsStore() {
+  shared.store = FundFactsStore.load();
+  return shared.store;
+}
+
+module.exports = { FundFactsStore, getFundFactsStore, reloadFundFactsStore, factsFromRecords, factsFromChunks };
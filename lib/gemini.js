@@ -1,57 +1,87 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const fs = require('fs');
-const path = require('path');
-
-// Load correct fund data
-let correctFundData = null;
-try {
-  const dataPath = path.join(process.cwd(), 'data', 'correct-fund-data.json');
-  if (fs.existsSync(dataPath)) {
-    correctFundData = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
-  }
-} catch (error) {
-  console.warn('Could not load correct fund data:', error.message);
-}
-
+const { getLLMProvider } = require('./llm-providers');
+const { buildCitations, citationForChunk } = require('./citations');
+const { verifyGrounding } = require('./grounding');
+const { getFundFactsStore } = require('./fund-facts');
+const { describeComparison, removeRankingLanguage } = require('./comparison');
+const { asOfDate, formatDate, summarizeFreshness } = require('./freshness');
+const { formatQuantity } = require('./field-schemas');
+
+const NO_CHUNKS_RESULT = {
+  answer: 'I could not find relevant information to answer this question. Please check the official Groww pages or contact support.',
+  sourceUrl: 'https://groww.in/mutual-funds',
+  citations: [],
+  confidence: 'low'
+};
+
+/**
+ * Answer generation over an LLM provider (see llm-providers.js).
+ * With no provider, answers come from direct extraction.
+ * options.now: clock used to judge how stale the cited data is
+ */
 class GeminiClient {
-  constructor(apiKey) {
-    if (!apiKey) {
-      throw new Error('GEMINI_API_KEY is required');
-    }
-    this.genAI = new GoogleGenerativeAI(apiKey);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
+  constructor(provider = null, { now = () => new Date() } = {}) {
+    this.provider = provider;
+    this.now = now;
   }
 
   /**
-   * Generate answer from retrieved chunks
-   * No advice, only factual information with source citation
+   * Canonical fund facts (re-read when the index is reloaded)
    */
-  async generateAnswer(query, retrievedChunks) {
-    if (!retrievedChunks || retrievedChunks.length === 0) {
-      return {
-        answer: 'I could not find relevant information to answer this question. Please check the official Groww pages or contact support.',
-        sourceUrl: 'https://groww.in/mutual-funds',
-        confidence: 'low'
-      };
-    }
+  get facts() {
+    return getFundFactsStore();
+  }
 
-    // Select the best chunk (first one, highest relevance)
-    const primaryChunk = retrievedChunks[0];
-    const sourceUrl = primaryChunk.source_url;
+  /**
+   * Canonical facts for the schemes in the retrieved chunks
+   * Returns [{ schemeId, schemeName, facts: { field: { value, source, fetchedAt } } }]
+   */
+  factsForChunks(retrievedChunks) {
+    const schemeIds = Array.from(new Set(retrievedChunks.map(chunk => chunk.scheme_id).filter(Boolean)));
+    return schemeIds
+      .map(schemeId => ({
+        schemeId,
+        schemeName: retrievedChunks.find(chunk => chunk.scheme_id === schemeId).scheme_display_name,
+        facts: this.facts.getScheme(schemeId)
+      }))
+      .filter(entry => Object.keys(entry.facts).length > 0);
+  }
 
+  /**
+   * Build the grounded prompt from retrieved chunks
+   * options.comparison: comparison table when the query compares several schemes
+   */
+  buildPrompt(query, retrievedChunks, options = {}) {
     // Build context from chunks
     const context = retrievedChunks
       .map((chunk, idx) => {
-        return `[Document ${idx + 1}]
+        const asOf = asOfDate(chunk);
+        return `[Document ${idx + 1}] (chunk_id: ${chunk.chunk_id})
 Scheme: ${chunk.scheme_display_name}
 Section: ${chunk.section_type}
+Data as of: ${asOf ? formatDate(asOf) : 'unknown'}
 Content:
 ${chunk.content_md}
 `;
       })
       .join('\n---\n');
 
-    const prompt = `You are Groww MF Assistant, an AI-powered FAQ chatbot designed to help users with factual answers about Indian mutual fund schemes using only official information from Groww pages and regulatory links.
+    // Canonical facts take precedence over figures in the documents
+    const verifiedFacts = this.factsForChunks(retrievedChunks)
+      .map(entry => {
+        const lines = Object.entries(entry.facts)
+          .map(([field, fact]) => `- ${field}: ${fact.value}${fact.fetchedAt ? ` (fetched ${fact.fetchedAt.substring(0, 10)})` : ''}`);
+        return `${entry.schemeName}\n${lines.join('\n')}`;
+      })
+      .join('\n\n');
+
+    const comparisonRules = options.comparison ? `
+COMPARISON:
+- The user is comparing ${options.comparison.schemes.map(scheme => scheme.schemeName).join(', ')}
+- A comparison table is shown to the user separately; summarise the same values for each scheme in the same order
+- State the values side by side only. NEVER say which scheme is better, cheaper to pick, safer or preferable, and do not rank them
+` : '';
+
+    return `You are Groww MF Assistant, an AI-powered FAQ chatbot designed to help users with factual answers about Indian mutual fund schemes using only official information from Groww pages and regulatory links.
 
 PERSONA & TONE:
 - Slightly conversational & friendly ("Hi! Here's what I found for you…")
@@ -93,8 +123,15 @@ FORMATTING & OUTPUT:
 - CRITICAL: Exit load is redemption fee (e.g., "1% if redeemed within 1 year"), NOT a date table
 - CRITICAL: Expense ratio is annual management fee (e.g., "0.52%"), NOT returns data
 - CRITICAL: Lock-in period is holding requirement (e.g., "3 years for ELSS"), answer with clear Yes/No first
+- When quoting NAV, returns, AUM or holdings, say which date the figures are as of (each document lists its "Data as of" date)
 - Always close with: "Let me know if you want more details on portfolio, fees, or documents!"
 
+CITATIONS:
+- After every factual claim, add the number of the document it came from in square brackets, e.g. "**Expense Ratio**: 0.71% [1]"
+- If a sentence combines facts from several documents, cite each one, e.g. "[1][2]"
+- Only cite document numbers listed below, and only for facts that document actually contains
+- Do not add citation markers to greetings, refusals or closing lines
+${comparisonRules}
 IMPORTANT GUIDELINES:
 - NEVER invent data, speculate, or recommend investments
 - Only answer with facts present in the documents below
@@ -103,6 +140,9 @@ IMPORTANT GUIDELINES:
 - Only answer chit-chat about the bot in a friendly, strictly non-personal way
 - You are a helpful assistant created by Purvam Joshi for Groww as part of Nextleap genAI bootcamp
 
+VERIFIED FUND FACTS (use these values if a document disagrees):
+${verifiedFacts || 'None'}
+
 OFFICIAL DOCUMENTS:
 ${context}
 
@@ -110,112 +150,202 @@ USER QUESTION:
 ${query}
 
 ANSWER (conversational, friendly, factual, no advice):`;
+  }
 
-    try {
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const answer = response.text().trim();
-
-      // Ensure no advice language slipped through
-      const advisoryTerms = [
-        /you should invest/i,
-        /i recommend investing/i,
-        /better investment/i,
-        /best fund to invest/i,
-        /you should buy/i
-      ];
-
-      let sanitizedAnswer = answer;
-      const hasAdvisory = advisoryTerms.some(term => term.test(answer));
-
-      if (hasAdvisory) {
-        console.warn('Advisory language detected, sanitizing...');
-        sanitizedAnswer = answer
-          .replace(/you should/gi, 'you can')
-          .replace(/i recommend/gi, 'available option is')
-          .replace(/better to/gi, 'an option is to');
-      }
+  /**
+   * Post-process a complete model answer: strip advisory language, verify its
+   * figures against the chunks and attach the sources
+   */
+  finalizeAnswer(answer, retrievedChunks, options = {}) {
+    const primaryChunk = retrievedChunks[0];
 
-      return {
-        answer: sanitizedAnswer,
-        sourceUrl: sourceUrl,
-        schemeName: primaryChunk.scheme_display_name,
-        confidence: 'high',
-        chunksUsed: retrievedChunks.length
-      };
+    // Ensure no advice language slipped through
+    const advisoryTerms = [
+      /you should invest/i,
+      /i recommend investing/i,
+      /better investment/i,
+      /best fund to invest/i,
+      /you should buy/i
+    ];
 
-    } catch (error) {
-      console.error('Gemini API error:', error);
+    let sanitizedAnswer = answer.trim();
+    const hasAdvisory = advisoryTerms.some(term => term.test(sanitizedAnswer));
 
-      // Fallback: extract directly from chunk
-      const fallbackResult = this.extractDirectAnswer(query, primaryChunk);
-
-      // Check if fallbackResult is an object (for special cases) or string
-      if (typeof fallbackResult === 'object' && fallbackResult.answer) {
-        // It's already an object with answer, sourceUrl, schemeName
-        return {
-          ...fallbackResult,
-          confidence: 'medium',
-          chunksUsed: 1,
-          fallback: true
-        };
-      } else {
-        // It's a plain string answer
-        return {
-          answer: fallbackResult,
-          sourceUrl: sourceUrl,
-          schemeName: primaryChunk.scheme_display_name,
-          confidence: 'medium',
-          chunksUsed: 1,
-          fallback: true
-        };
-      }
+    if (hasAdvisory) {
+      console.warn('Advisory language detected, sanitizing...');
+      sanitizedAnswer = sanitizedAnswer
+        .replace(/you should/gi, 'you can')
+        .replace(/i recommend/gi, 'available option is')
+        .replace(/better to/gi, 'an option is to');
     }
+
+    // Comparisons list values side by side; drop any ranking the model added
+    if (options.comparison) {
+      sanitizedAnswer = removeRankingLanguage(sanitizedAnswer);
+    }
+
+    // Flag or strip figures the retrieved chunks don't support
+    const factChunks = this.factsForChunks(retrievedChunks).map(entry => ({
+      fields_json: Object.fromEntries(Object.entries(entry.facts).map(([field, fact]) => [field, fact.value]))
+    }));
+    const { answer: groundedAnswer, confidence, grounding } = verifyGrounding(sanitizedAnswer, [...retrievedChunks, ...factChunks]);
+
+    // Map inline [n] markers to per-claim citations
+    const { answer: citedAnswer, citations } = buildCitations(groundedAnswer, retrievedChunks);
+    const citedChunk = citations.length > 0
+      ? retrievedChunks.find(chunk => chunk.chunk_id === citations[0].chunkId)
+      : primaryChunk;
+
+    return this.attachFreshness({
+      answer: citedAnswer,
+      sourceUrl: citedChunk.source_url,
+      schemeName: citedChunk.scheme_display_name,
+      citations: citations,
+      confidence: confidence,
+      grounding: grounding,
+      chunksUsed: retrievedChunks.length
+    }, retrievedChunks);
   }
 
   /**
-   * Fallback: Direct extraction without LLM
-   * Enhanced to handle cases where chunk data might be minimal
+   * Say how recent the cited data is and add result.freshness (see freshness.js),
+   * whose warning is set when any cited chunk is past its section's threshold.
+   * Answers without citations (refusals, no results) are returned unchanged.
    */
-  extractDirectAnswer(query, chunk) {
-    // Handle cases where chunk might be minimal or fallback-generated
-    const content = chunk.content_md || '';
-    const fields = chunk.fields_json || {};
-    const schemeName = chunk.scheme_display_name || 'HDFC Mutual Funds';
-    const schemeId = chunk.scheme_id;
+  attachFreshness(result, retrievedChunks) {
+    const citedIds = new Set(result.citations.map(citation => citation.chunkId));
+    const freshness = summarizeFreshness(
+      retrievedChunks.filter(chunk => citedIds.has(chunk.chunk_id)),
+      { now: this.now() }
+    );
+    if (!freshness) return result;
+
+    // The NAV answer already carries its date
+    const asOfNote = result.answer.includes(`as of ${freshness.asOfLabel}`) ? '' : `\n\n_Data as of ${freshness.asOfLabel}._`;
+    return { ...result, answer: `${result.answer}${asOfNote}`, freshness };
+  }
+
+  /**
+   * Answer without the LLM, from the primary chunk's structured fields
+   */
+  fallbackAnswer(query, retrievedChunks, options = {}) {
+    const primaryChunk = retrievedChunks[0];
+    const fallbackResult = this.extractDirectAnswer(query, primaryChunk);
+
+    // Refusals and general instructions (no source) take precedence over the comparison
+    const isRefusal = typeof fallbackResult === 'object' && !fallbackResult.sourceUrl;
+    if (options.comparison && !isRefusal) {
+      return this.attachFreshness({
+        answer: describeComparison(options.comparison),
+        sourceUrl: primaryChunk.source_url,
+        schemeName: null,
+        citations: retrievedChunks.map((chunk, idx) => citationForChunk(chunk, idx + 1)),
+        confidence: 'medium',
+        chunksUsed: retrievedChunks.length,
+        fallback: true
+      }, retrievedChunks);
+    }
 
-    // Try to get correct data for this scheme
-    const correctData = correctFundData && schemeId ? correctFundData[schemeId] : null;
+    // Check if fallbackResult is an object (for special cases) or string
+    if (typeof fallbackResult === 'object' && fallbackResult.answer) {
+      // It's already an object with answer, sourceUrl, schemeName
+      // Refusals and general instructions carry no source
+      return this.attachFreshness({
+        ...fallbackResult,
+        citations: fallbackResult.sourceUrl ? [citationForChunk(primaryChunk, 1, fallbackResult.answer)] : [],
+        confidence: 'medium',
+        chunksUsed: 1,
+        fallback: true
+      }, retrievedChunks);
+    }
 
-    const lowerQuery = query.toLowerCase();
+    // It's a plain string answer
+    return this.attachFreshness({
+      answer: fallbackResult,
+      sourceUrl: primaryChunk.source_url,
+      schemeName: primaryChunk.scheme_display_name,
+      citations: primaryChunk.chunk_id ? [citationForChunk(primaryChunk, 1, fallbackResult)] : [],
+      confidence: 'medium',
+      chunksUsed: 1,
+      fallback: true
+    }, retrievedChunks);
+  }
 
+  /**
+   * Generate answer from retrieved chunks
+   * No advice, only factual information with source citation
+   */
+  async generateAnswer(query, retrievedChunks, options = {}) {
+    // Refused before the model is asked, so no model reply can turn into advice
+    const refusal = this.refusalFor(query);
+    if (refusal) {
+      return { ...refusal, citations: [], confidence: 'high', chunksUsed: 0 };
+    }
+
+    if (!retrievedChunks || retrievedChunks.length === 0) {
+      return NO_CHUNKS_RESULT;
+    }
+
+    if (!this.provider) {
+      return this.fallbackAnswer(query, retrievedChunks, options);
+    }
+
+    try {
+      const text = await this.provider.generate(this.buildPrompt(query, retrievedChunks, options));
+      return this.finalizeAnswer(text, retrievedChunks, options);
+
+    } catch (error) {
+      console.error(`LLM provider (${this.provider.name}) error:`, error);
+
+      // Fallback: extract directly from chunk
+      return this.fallbackAnswer(query, retrievedChunks, options);
+    }
+  }
+
+  /**
+   * Stream answer text deltas for retrieved chunks
+   * Callers should pass the concatenated text to finalizeAnswer() once the stream ends
+   */
+  async *streamAnswer(query, retrievedChunks, options = {}) {
+    if (!this.provider) {
+      throw new Error('No LLM provider configured');
+    }
+    yield* this.provider.stream(this.buildPrompt(query, retrievedChunks, options));
+  }
+
+  /**
+   * Canned reply to questions the assistant must not answer - investment advice
+   * or topics other than mutual funds: { answer, sourceUrl: null, schemeName: null },
+   * or null for everything else
+   */
+  refusalFor(query) {
     // CRITICAL: Check for advisory/recommendation questions (MUST REJECT)
-    // These patterns catch ANY question asking for investment advice, recommendations, or comparisons
+    // Anchored to recommendation phrasing: "HDFC Mid Cap fund top holdings" or
+    // "Is HDFC ELSS a safe fund?" ask for facts (holdings, riskometer), not advice
     const advisoryPatterns = [
-      // Best/Better fund questions - CRITICAL!
-      /(?:which|what).*(?:fund|scheme|investment|mutual fund).*(?:best|better|top|good)/i,
-      /best.*(?:fund|scheme|mutual fund|investment)/i,
-      /(?:fund|scheme).*(?:best|better|top)/i,
+      // Picking a fund: "which is the best fund", "best HDFC fund to buy", "which fund is better"
+      /\b(?:best|better|good|right)\s+(?:hdfc\s+)?(?:mutual\s+)?(?:funds?|schemes?|investments?|options?|choices?)\b/i,
+      /\b(?:funds?|schemes?)\s+(?:is|are)\s+(?:the\s+)?(?:best|better)\b/i,
+      /\btop\s+(?:\d+\s+)?(?:funds|schemes)\s+to\s+(?:invest|buy)\b/i,
 
       // Should I invest / recommend questions
-      /should.*(?:invest|buy|choose|select|pick)/i,
-      /(?:recommend|suggest|advise).*(?:fund|scheme|investment)/i,
-      /what.*(?:fund|scheme).*should.*(?:buy|invest|choose)/i,
+      /\bshould\s+(?:i|we)\s+(?:invest|buy|choose|select|pick|sell|redeem|switch|hold|exit)\b/i,
+      /\bwhich\b[^?]*\bshould\s+(?:i|we)\b/i,
+      /\b(?:recommend|suggest)\w*\b[^?]*\b(?:funds?|schemes?|investments?)\b/i,
 
       // Wealth/Profit/Rich questions - CRITICAL!
-      /(?:make|get|become).*(?:rich|wealthy|profit|money|return)/i,
-      /which.*(?:give|provide).*(?:high|best|good|maximum).*return/i,
-      /(?:fund|scheme).*(?:make|give).*(?:rich|money|profit)/i,
+      /\bmake\s+(?:me|us)\s+(?:rich|wealthy|money)\b|\b(?:get|become)\s+rich\b/i,
+      /\bwhich\b[^?]*\b(?:gives?|provides?)\b[^?]*\b(?:highest|best|maximum|most)\b[^?]*\breturns?\b/i,
 
       // Good investment questions
-      /good.*(?:investment|fund|scheme|to invest)/i,
-      /worth.*(?:investing|investment)/i,
-      /safe.*(?:to invest|investment|fund)/i,
+      /\bgood\s+(?:investment|time\s+to\s+(?:invest|buy))\b/i,
+      /\bworth\s+(?:investing|buying|it)\b/i,
+      /\bsafe\s+to\s+invest\b/i,
 
       // Advice/Opinion requests
-      /(?:give|need|want|seeking).*(?:advice|suggestion|recommendation)/i,
-      /(?:your|what).*(?:opinion|view|thought|advice)/i,
-      /advise.*me/i
+      /\b(?:give|need|want|seeking)\b[^?]*\b(?:advice|suggestions?|recommendations?)\b/i,
+      /\byour\s+(?:opinion|view|thoughts?|advice|take)\b/i,
+      /\badvise\s+me\b/i
     ];
 
     if (advisoryPatterns.some(pattern => pattern.test(query))) {
@@ -249,7 +379,9 @@ What factual information can I help you with?`,
       /movie|film|song|music(?!.*fund)/i,
     ];
 
-    if (outOfScopePatterns.some(pattern => pattern.test(query))) {
+    // "Top stocks held by HDFC Mid Cap" is about a fund, not the stock market
+    const aboutFunds = /\b(?:hdfc|funds?|schemes?|sip|nav|elss|portfolio|holdings?|held)\b/i.test(query);
+    if (!aboutFunds && outOfScopePatterns.some(pattern => pattern.test(query))) {
       return {
         answer: `I'm the Groww MF Assistant, and I can only answer questions about HDFC mutual funds. 😊
 
@@ -266,6 +398,33 @@ What would you like to know about HDFC funds?`,
       };
     }
 
+    return null;
+  }
+
+  /**
+   * Fallback: Direct extraction without LLM
+   * Enhanced to handle cases where chunk data might be minimal
+   */
+  extractDirectAnswer(query, chunk) {
+    // Handle cases where chunk might be minimal or fallback-generated
+    const content = chunk.content_md || '';
+    const fields = chunk.fields_json || {};
+    const schemeName = chunk.scheme_display_name || 'HDFC Mutual Funds';
+    const schemeId = chunk.scheme_id;
+
+    // Canonical facts for this scheme, falling back to the chunk's own fields
+    const fact = (field, ...chunkKeys) => {
+      const value = schemeId ? this.facts.getValue(schemeId, field) : undefined;
+      if (value !== undefined) return value;
+      const key = chunkKeys.find(candidate => fields[candidate] !== undefined);
+      return key ? fields[key] : undefined;
+    };
+
+    const lowerQuery = query.toLowerCase();
+
+    const refusal = this.refusalFor(query);
+    if (refusal) return refusal;
+
     // If this is a completely empty chunk, provide basic information
     if (!content && !Object.keys(fields).length) {
       return `I'm currently experiencing technical issues and cannot access detailed mutual fund information. 
@@ -341,7 +500,7 @@ Need help with anything else?`,
 
     // Expense ratio / TER
     if (/expense.?ratio|ter|charges/i.test(query)) {
-      const ratio = correctData?.expense_ratio || fields.ter_percent || fields.expense_ratio;
+      const ratio = fact('expense_ratio', 'ter_percent', 'expense_ratio');
       if (ratio) {
         return `The expense ratio (TER) for ${schemeName} is **${ratio}%**.
 
@@ -357,7 +516,7 @@ Would you like to know about returns, minimum SIP, or portfolio instead?`;
 
     // Minimum SIP
     if (/minimum.?sip|min.*sip|sip.*amount/i.test(query)) {
-      const minSip = correctData?.minimum_sip || fields.minimum_sip;
+      const minSip = fact('minimum_sip', 'minimum_sip');
       if (minSip) {
         return `The minimum SIP amount for ${schemeName} is **₹${minSip}**.
 
@@ -375,7 +534,7 @@ Would you like to know about expense ratio, returns, or portfolio instead?`;
 
     // Lock-in period
     if (/lock.?in|lockin|lock.?period/i.test(query)) {
-      const lockInYears = correctData?.lock_in_years !== undefined ? correctData.lock_in_years : fields.lock_in_years;
+      const lockInYears = fact('lock_in_years', 'lock_in_years');
       if (lockInYears !== undefined) {
         if (lockInYears > 0) {
           return `**Yes**, ${schemeName} has a **lock-in period of ${lockInYears} years**.
@@ -399,7 +558,7 @@ Would you like to know about returns, expense ratio, or portfolio instead?`;
 
     // Exit load
     if (/exit.?load/i.test(query)) {
-      const exitLoad = correctData?.exit_load || fields.exit_load_text;
+      const exitLoad = fact('exit_load', 'exit_load_text');
       if (exitLoad) {
         return `Here's the exit load information for ${schemeName}:
 
@@ -419,9 +578,11 @@ Would you like to know about expense ratio, returns, or portfolio instead?`;
 
     // NAV
     if (/\bnav\b|net.?asset.?value/i.test(query)) {
-      if (fields.nav) {
-        const navInfo = `The NAV of ${schemeName} is ₹${fields.nav}`;
-        const dateInfo = fields.nav_date ? ` as of ${fields.nav_date}` : '';
+      const nav = fact('nav', 'nav');
+      if (nav) {
+        const navDate = fact('nav_date', 'nav_date');
+        const navInfo = `The NAV of ${schemeName} is ₹${nav}`;
+        const dateInfo = navDate ? ` as of ${navDate}` : '';
         return `${navInfo}${dateInfo}.
 
 NAV (Net Asset Value) is the per-unit price of the fund.
@@ -432,22 +593,26 @@ Let me know if you want to see returns or portfolio details!`;
 
     // Returns
     if (/returns?|performance|growth/i.test(query)) {
-      if (fields.returns_1y || fields.returns_3y || fields.returns_5y) {
+      const returns1y = fact('returns_1y', 'returns_1y');
+      const returns3y = fact('returns_3y', 'returns_3y');
+      const returns5y = fact('returns_5y', 'returns_5y');
+      if (returns1y || returns3y || returns5y) {
         let returnInfo = `Here are the returns for ${schemeName}:
 
 `;
-        if (fields.returns_1y) returnInfo += `- 1 Year: ${fields.returns_1y}%\n`;
-        if (fields.returns_3y) returnInfo += `- 3 Year (Annualized): ${fields.returns_3y}%\n`;
-        if (fields.returns_5y) returnInfo += `- 5 Year (Annualized): ${fields.returns_5y}%\n`;
+        if (returns1y) returnInfo += `- 1 Year: ${returns1y}%\n`;
+        if (returns3y) returnInfo += `- 3 Year (Annualized): ${returns3y}%\n`;
+        if (returns5y) returnInfo += `- 5 Year (Annualized): ${returns5y}%\n`;
         returnInfo += `\nPast performance doesn't guarantee future results.\n\nWant to know about the portfolio or fees?`;
         return returnInfo;
       }
     }
 
     // Risk level
-    if (/risk|riskometer/i.test(query)) {
-      if (fields.riskometer_category) {
-        return `The risk level for ${schemeName} is: ${fields.riskometer_category}
+    if (/risk|riskometer|\bsafe\b/i.test(query)) {
+      const riskLevel = fact('risk_level', 'riskometer_category');
+      if (riskLevel) {
+        return `The risk level for ${schemeName} is: ${riskLevel}
 
 The riskometer indicates the level of risk associated with this mutual fund scheme.
 
@@ -468,10 +633,10 @@ Would you like to know about returns or portfolio?`;
 
     // Fund size / AUM
     if (/fund.?size|aum|assets?.?under.?management|corpus/i.test(query)) {
-      const fundSize = fields.fund_size || fields.aum;
+      const fundSize = fact('fund_size', 'fund_size', 'aum');
       if (fundSize) {
-        // Clean up the fund size value
-        const cleanSize = typeof fundSize === 'string' ? fundSize : `₹${fundSize} Cr`;
+        // Crore rupees (older chunks hold the display string)
+        const cleanSize = typeof fundSize === 'number' ? formatQuantity(fundSize, 'INR_crore') : fundSize;
         return `The fund size (AUM) for ${schemeName} is **${cleanSize}**.\n\nAUM (Assets Under Management) represents the total market value of all the fund's holdings.\n\nWant to know about returns, expense ratio, or portfolio?`;
       } else {
         return `I couldn't find the fund size information for ${schemeName} in the available data.\n\nFor accurate AUM information, please check the official Groww page.\n\nWould you like to know about returns, expense ratio, or portfolio instead?`;
@@ -482,8 +647,9 @@ Would you like to know about returns or portfolio?`;
 
     // Tax implications
     if (/tax|ltcg|stcg|capital.?gains/i.test(query)) {
-      if (chunk.section_type === 'tax_redemption' || fields.lock_in_years !== undefined) {
-        const isELSS = fields.lock_in_years === 3;
+      const lockInYears = fact('lock_in_years', 'lock_in_years');
+      if (chunk.section_type === 'tax_redemption' || lockInYears !== undefined) {
+        const isELSS = Number(lockInYears) === 3;
         let taxInfo = isELSS
           ? `${schemeName} is an ELSS fund with tax benefits:
 
@@ -518,11 +684,7 @@ let geminiInstance = null;
 
 function getGeminiClient() {
   if (!geminiInstance) {
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      throw new Error('GEMINI_API_KEY environment variable is not set');
-    }
-    geminiInstance = new GeminiClient(apiKey);
+    geminiInstance = new GeminiClient(getLLMProvider());
   }
   return geminiInstance;
 }
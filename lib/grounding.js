@@ -0,0 +1,195 @@
+/**
+ * Grounding verification: every figure the model quotes (percentages, ₹ amounts,
+ * dates) must appear in the content_md / content_csv / fields_json of the
+ * retrieved chunks. Unsupported figures are flagged or stripped and the
+ * answer's confidence is downgraded accordingly.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\\.?';
+
+const PERCENT_PATTERN = /(-?\d+(?:\.\d+)?)\s*%/g;
+const RUPEE_PATTERN = /(?:₹|Rs\.?|INR)\s?(\d[\d,]*(?:\.\d+)?)/gi;
+const DATE_PATTERNS = [
+  // 14 Nov 2025, 14 November, 2025
+  { pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME},?\\s+(\\d{4})\\b`, 'gi'), day: 1, month: 2, year: 3 },
+  // Nov 14, 2025
+  { pattern: new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'), month: 1, day: 2, year: 3 },
+  // 2025-11-14
+  { pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/g, year: 1, month: 2, day: 3 }
+];
+
+const NUMBER_PATTERN = /-?\d[\d,]*(?:\.\d+)?/g;
+
+const GROUNDING_MODES = ['flag', 'strip'];
+
+function parseNumber(text) {
+  return Number(String(text).replace(/,/g, ''));
+}
+
+function decimalPlaces(text) {
+  const [, decimals = ''] = String(text).replace(/,/g, '').split('.');
+  return decimals.length;
+}
+
+function normalizeDate(match, spec) {
+  const monthText = match[spec.month];
+  const month = /^\d+$/.test(monthText)
+    ? Number(monthText)
+    : MONTHS.indexOf(monthText.substring(0, 3).toLowerCase()) + 1;
+  if (month < 1 || month > 12) return null;
+
+  const day = String(Number(match[spec.day])).padStart(2, '0');
+  return `${match[spec.year]}-${String(month).padStart(2, '0')}-${day}`;
+}
+
+function extractDates(text) {
+  const dates = [];
+  DATE_PATTERNS.forEach(spec => {
+    for (const match of text.matchAll(spec.pattern)) {
+      const value = normalizeDate(match, spec);
+      if (value) dates.push({ text: match[0], value, index: match.index });
+    }
+  });
+  return dates;
+}
+
+/**
+ * Extract the numeric claims from an answer: { type, text, value, decimals }
+ */
+function extractNumericClaims(answer) {
+  const claims = [];
+
+  for (const match of answer.matchAll(PERCENT_PATTERN)) {
+    claims.push({ type: 'percent', text: match[0], value: parseNumber(match[1]), decimals: decimalPlaces(match[1]) });
+  }
+
+  for (const match of answer.matchAll(RUPEE_PATTERN)) {
+    claims.push({ type: 'amount', text: match[0], value: parseNumber(match[1]), decimals: decimalPlaces(match[1]) });
+  }
+
+  extractDates(answer).forEach(date => {
+    claims.push({ type: 'date', text: date.text, value: date.value });
+  });
+
+  return claims;
+}
+
+function collectFieldValues(value, out) {
+  if (value === null || value === undefined) return;
+  if (Array.isArray(value)) {
+    value.forEach(item => collectFieldValues(item, out));
+  } else if (typeof value === 'object') {
+    Object.values(value).forEach(item => collectFieldValues(item, out));
+  } else {
+    out.push(String(value));
+  }
+}
+
+/**
+ * Every number and date the retrieved chunks actually contain
+ */
+function collectEvidence(chunks) {
+  const numbers = new Map();
+  const dates = new Set();
+
+  chunks.forEach(chunk => {
+    const texts = [chunk.content_md || '', chunk.content_csv || ''];
+    collectFieldValues(chunk.fields_json, texts);
+
+    texts.forEach(text => {
+      for (const match of text.matchAll(NUMBER_PATTERN)) {
+        const number = { value: parseNumber(match[0]), decimals: decimalPlaces(match[0]) };
+        numbers.set(`${number.value}/${number.decimals}`, number);
+      }
+      extractDates(text).forEach(date => dates.add(date.value));
+    });
+  });
+
+  return { numbers: Array.from(numbers.values()).filter(number => Number.isFinite(number.value)), dates };
+}
+
+/**
+ * A figure is supported if some source number equals it, or rounds to it when the
+ * answer quotes fewer decimals ("12.46%" supports "12.5%"). Whole figures are never
+ * rounded: "12%" needs a source 12, not 11.6 or 12.4.
+ */
+function isSupported(claim, evidence) {
+  if (claim.type === 'date') {
+    return evidence.dates.has(claim.value);
+  }
+
+  const halfUnit = 0.5 * 10 ** -claim.decimals;
+  return evidence.numbers.some(number =>
+    number.value === claim.value ||
+    (claim.decimals > 0 && claim.decimals < number.decimals && Math.abs(number.value - claim.value) < halfUnit)
+  );
+}
+
+/**
+ * Drop bullet/table lines or prose sentences that quote an unsupported figure
+ */
+function stripUnsupported(answer, unsupported) {
+  const mentionsUnsupported = text => unsupported.some(claim => text.includes(claim.text));
+
+  return answer
+    .split('\n')
+    .map(line => {
+      if (!mentionsUnsupported(line)) return line;
+      if (/^\s*(?:[-*+]|\d+\.|\|)/.test(line)) return null;
+      return line
+        .split(/(?<=[.!?])\s+/)
+        .filter(sentence => !mentionsUnsupported(sentence))
+        .join(' ');
+    })
+    .filter(line => line !== null)
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function confidenceFor(claimCount, unsupportedCount) {
+  if (unsupportedCount === 0) return 'high';
+  return unsupportedCount * 2 <= claimCount ? 'medium' : 'low';
+}
+
+/**
+ * Check the answer's figures against the retrieved chunks.
+ * mode 'flag' appends a warning listing unverified figures; 'strip' removes them.
+ * Returns { answer, confidence, grounding: { mode, checked, supported, unsupported } }
+ */
+function verifyGrounding(answer, chunks, { mode = process.env.GROUNDING_MODE || 'flag' } = {}) {
+  const groundingMode = GROUNDING_MODES.includes(mode) ? mode : 'flag';
+  const claims = extractNumericClaims(answer);
+  const evidence = collectEvidence(chunks);
+
+  const supported = [];
+  const unsupported = [];
+  claims.forEach(claim => {
+    (isSupported(claim, evidence) ? supported : unsupported).push(claim.text);
+  });
+
+  const unsupportedClaims = claims.filter(claim => unsupported.includes(claim.text));
+  let groundedAnswer = answer;
+
+  if (unsupportedClaims.length > 0) {
+    console.warn(`⚠️  Unsupported figures in answer: ${unsupported.join(', ')}`);
+
+    groundedAnswer = groundingMode === 'strip'
+      ? stripUnsupported(answer, unsupportedClaims)
+      : `${answer}\n\n⚠️ I couldn't verify ${unsupported.join(', ')} against the official source. Please confirm on the Groww page.`;
+  }
+
+  return {
+    answer: groundedAnswer,
+    confidence: confidenceFor(claims.length, unsupported.length),
+    grounding: {
+      mode: groundingMode,
+      checked: claims.length,
+      supported: supported,
+      unsupported: unsupported
+    }
+  };
+}
+
+module.exports = { verifyGrounding, extractNumericClaims };
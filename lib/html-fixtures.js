@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Saved page HTML for offline ingestion. Each recording run is one capture:
+ * data/fixtures/<capture id>/ holds a file per page plus capture.json listing
+ * every page's URL, fetch time and content hash. Replaying a capture feeds the
+ * ingest parsers exactly what the browser saw.
+ */
+
+const MANIFEST_FILE = 'capture.json';
+
+/**
+ * Sortable, filesystem-safe capture id: 20261019T151230123Z
+ */
+function newCaptureId() {
+  return new Date().toISOString().replace(/[-:.]/g, '');
+}
+
+/**
+ * File name for a page: its URL path, e.g. mutual-funds__hdfc-mid-cap-fund-direct-growth.html
+ */
+function pageFileName(url) {
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+  const name = segments.join('__').replace(/[^a-z0-9_.-]/gi, '-') || 'index';
+  return `${name}.html`;
+}
+
+class HtmlFixtureStore {
+  constructor(rootDir = path.join(process.cwd(), 'data', 'fixtures')) {
+    this.rootDir = rootDir;
+  }
+
+  captureDir(captureId) {
+    return path.join(this.rootDir, captureId);
+  }
+
+  /**
+   * Capture manifest: { capture_id, created_at, pages: [{ url, file, fetched_at, hash, bytes }] }
+   */
+  readManifest(captureId) {
+    const manifestPath = path.join(this.captureDir(captureId), MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+      const known = this.captures();
+      throw new Error(`Capture ${captureId} not found (available: ${known.join(', ') || 'none'})`);
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  }
+
+  /**
+   * Capture ids, oldest first
+   */
+  captures() {
+    if (!fs.existsSync(this.rootDir)) return [];
+    return fs.readdirSync(this.rootDir)
+      .filter(name => fs.existsSync(path.join(this.rootDir, name, MANIFEST_FILE)))
+      .sort();
+  }
+
+  latest() {
+    const captures = this.captures();
+    return captures.length > 0 ? captures[captures.length - 1] : null;
+  }
+
+  /**
+   * Start an empty capture and return its id
+   */
+  createCapture() {
+    let captureId = newCaptureId();
+    while (fs.existsSync(this.captureDir(captureId))) {
+      captureId = `${captureId}-1`;
+    }
+    fs.mkdirSync(this.captureDir(captureId), { recursive: true });
+    this.writeManifest(captureId, { capture_id: captureId, created_at: new Date().toISOString(), pages: [] });
+    return captureId;
+  }
+
+  /**
+   * Save one page's HTML. The manifest is rewritten after every page, so an
+   * interrupted run still leaves a usable capture of what it fetched.
+   */
+  savePage(captureId, url, html, fetchedAt = new Date().toISOString()) {
+    const manifest = this.readManifest(captureId);
+    const file = pageFileName(url);
+    fs.writeFileSync(path.join(this.captureDir(captureId), file), html, 'utf8');
+
+    const page = {
+      url,
+      file,
+      fetched_at: fetchedAt,
+      hash: crypto.createHash('sha256').update(html).digest('hex'),
+      bytes: Buffer.byteLength(html)
+    };
+    manifest.pages = manifest.pages.filter(existing => existing.url !== url).concat(page);
+    this.writeManifest(captureId, manifest);
+    return page;
+  }
+
+  /**
+   * Every saved page of a capture: [{ url, fetched_at, html }]
+   */
+  loadPages(captureId) {
+    const manifest = this.readManifest(captureId);
+    return manifest.pages.map(page => ({
+      url: page.url,
+      fetched_at: page.fetched_at,
+      html: fs.readFileSync(path.join(this.captureDir(captureId), page.file), 'utf8')
+    }));
+  }
+
+  writeManifest(captureId, manifest) {
+    const manifestPath = path.join(this.captureDir(captureId), MANIFEST_FILE);
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Field-level differences between two sets of parsed chunks:
+ * { added, removed, changed: [{ chunk_id, field, before, after }], contentOnly, unchanged }
+ * contentOnly lists chunks whose text changed while every field stayed the same.
+ */
+function diffChunks(beforeChunks, afterChunks) {
+  const before = new Map(beforeChunks.map(chunk => [chunk.chunk_id, chunk]));
+  const after = new Map(afterChunks.map(chunk => [chunk.chunk_id, chunk]));
+
+  const added = [];
+  const changed = [];
+  const contentOnly = [];
+  let unchanged = 0;
+
+  after.forEach((chunk, chunkId) => {
+    const previous = before.get(chunkId);
+    if (!previous) {
+      added.push(chunkId);
+      return;
+    }
+
+    const oldFields = previous.fields_json || {};
+    const newFields = chunk.fields_json || {};
+    const fields = Array.from(new Set([...Object.keys(oldFields), ...Object.keys(newFields)]));
+    const fieldChanges = fields
+      .filter(field => !sameValue(oldFields[field], newFields[field]))
+      .map(field => ({ chunk_id: chunkId, field, before: oldFields[field], after: newFields[field] }));
+
+    if (fieldChanges.length > 0) changed.push(...fieldChanges);
+    else if (previous.hash !== chunk.hash) contentOnly.push(chunkId);
+    else unchanged++;
+  });
+  const removed = Array.from(before.keys()).filter(chunkId => !after.has(chunkId));
+
+  return { added, removed, changed, contentOnly, unchanged };
+}
+
+module.exports = {
+  HtmlFixtureStore,
+  pageFileName,
+  diffChunks
+};
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versioned index snapshots. Each build writes a complete bundle (metadata index,
+ * chunk lookup, BM25 index, scheme registry, intent model, vectors, manifest) into a staging
+ * directory, moves it to data/index/snapshots/<version>/ and only then points
+ * data/index/current.json at it, so readers never see a half-finished build.
+ * Without a pointer, readers fall back to the flat *-latest.json files.
+ */
+
+const SNAPSHOTS_DIR = 'snapshots';
+const POINTER_FILE = 'current.json';
+const STAGING_PREFIX = '.staging-';
+// Written into a staging directory by the build that owns it: { pid, created_at }
+const OWNER_FILE = '.owner.json';
+// Staging directories without a readable owner file are only removed once this old
+const ORPHAN_STAGING_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION = 5;
+
+// Bundle contents: file names inside a snapshot, and their legacy flat equivalents
+const SNAPSHOT_FILES = {
+  metadata: 'metadata-index.json',
+  lookup: 'chunk-lookup.json',
+  bm25: 'bm25-index.json',
+  registry: 'scheme-registry.json',
+  intent: 'intent-model.json',
+  vectra: 'vectra-index',
+  mapping: 'vectra-mapping.json',
+  embeddings: 'vector-embeddings.json',
+  manifest: 'manifest.json'
+};
+
+const LEGACY_FILES = {
+  metadata: 'metadata-index-latest.json',
+  lookup: 'chunk-lookup-latest.json',
+  bm25: 'bm25-index-latest.json',
+  registry: 'scheme-registry-latest.json',
+  intent: 'intent-model-latest.json',
+  vectra: 'vectra-index',
+  mapping: 'vectra-mapping.json',
+  embeddings: 'vector-embeddings-latest.json',
+  manifest: null
+};
+
+/**
+ * Sortable, filesystem-safe version id: 20261019T151230123Z
+ */
+function newVersion() {
+  return new Date().toISOString().replace(/[-:.]/g, '');
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+class IndexSnapshotStore {
+  constructor(indexDir = path.join(process.cwd(), 'data', 'index')) {
+    this.indexDir = indexDir;
+    this.snapshotsDir = path.join(indexDir, SNAPSHOTS_DIR);
+    this.pointerPath = path.join(indexDir, POINTER_FILE);
+  }
+
+  /**
+   * Active snapshot version, or null when serving the legacy flat files
+   */
+  activeVersion() {
+    if (!fs.existsSync(this.pointerPath)) return null;
+    return JSON.parse(fs.readFileSync(this.pointerPath, 'utf8')).version;
+  }
+
+  snapshotDir(version) {
+    return path.join(this.snapshotsDir, version);
+  }
+
+  /**
+   * Path of a bundle file (see SNAPSHOT_FILES) in the active snapshot, or its legacy
+   * flat equivalent. Reads go through the pointer once, so one caller sees one snapshot.
+   */
+  resolve(file, version = this.activeVersion()) {
+    if (version) {
+      return path.join(this.snapshotDir(version), SNAPSHOT_FILES[file]);
+    }
+    return LEGACY_FILES[file] ? path.join(this.indexDir, LEGACY_FILES[file]) : null;
+  }
+
+  /**
+   * Snapshot manifest: { version, created_at, source, total_chunks, vectors, chunks }
+   */
+  readManifest(version) {
+    const manifestPath = path.join(this.snapshotDir(version), SNAPSHOT_FILES.manifest);
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`Snapshot ${version} not found`);
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  }
+
+  /**
+   * Committed snapshot versions, oldest first
+   */
+  versions() {
+    if (!fs.existsSync(this.snapshotsDir)) return [];
+    return fs.readdirSync(this.snapshotsDir)
+      .filter(name => !name.startsWith(STAGING_PREFIX))
+      .filter(name => fs.existsSync(path.join(this.snapshotsDir, name, SNAPSHOT_FILES.manifest)))
+      .sort();
+  }
+
+  list() {
+    const active = this.activeVersion();
+    return this.versions().map(version => {
+      const manifest = this.readManifest(version);
+      return {
+        version,
+        createdAt: manifest.created_at,
+        source: manifest.source,
+        totalChunks: manifest.total_chunks,
+        vectors: manifest.vectors,
+        active: version === active
+      };
+    });
+  }
+
+  /**
+   * Start a new snapshot: returns { version, dir } to write the bundle into. The
+   * directory records this process as its owner, so prune() leaves it alone while
+   * the build runs.
+   */
+  createStaging() {
+    let version = newVersion();
+    while (fs.existsSync(this.snapshotDir(version))) {
+      version = `${version}-1`;
+    }
+    const dir = path.join(this.snapshotsDir, `${STAGING_PREFIX}${version}`);
+    fs.mkdirSync(dir, { recursive: true });
+    const owner = { pid: process.pid, created_at: new Date().toISOString() };
+    fs.writeFileSync(path.join(dir, OWNER_FILE), JSON.stringify(owner, null, 2), 'utf8');
+    return { version, dir };
+  }
+
+  /**
+   * Whether a staging directory was left behind: its owning process is gone or,
+   * without an owner file, it is older than ORPHAN_STAGING_MS
+   */
+  isOrphanedStaging(name, now = Date.now()) {
+    const dir = path.join(this.snapshotsDir, name);
+    try {
+      const owner = JSON.parse(fs.readFileSync(path.join(dir, OWNER_FILE), 'utf8'));
+      return !processAlive(owner.pid);
+    } catch (error) {
+      return now - fs.statSync(dir).mtimeMs > ORPHAN_STAGING_MS;
+    }
+  }
+
+  /**
+   * Move a finished staging directory into place and activate it
+   */
+  commit(staging) {
+    if (!fs.existsSync(path.join(staging.dir, SNAPSHOT_FILES.manifest))) {
+      throw new Error(`Snapshot ${staging.version} has no manifest - refusing to commit`);
+    }
+    fs.rmSync(path.join(staging.dir, OWNER_FILE), { force: true });
+    fs.renameSync(staging.dir, this.snapshotDir(staging.version));
+    this.activate(staging.version);
+    return staging.version;
+  }
+
+  discard(staging) {
+    fs.rmSync(staging.dir, { recursive: true, force: true });
+  }
+
+  /**
+   * Point readers at a snapshot. The pointer is replaced with a rename, which is atomic.
+   */
+  activate(version) {
+    this.readManifest(version);
+
+    const pointer = { version, activated_at: new Date().toISOString() };
+    const tempPath = `${this.pointerPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(pointer, null, 2), 'utf8');
+    fs.renameSync(tempPath, this.pointerPath);
+    return pointer;
+  }
+
+  /**
+   * Activate the snapshot built before the active one
+   */
+  rollback() {
+    const active = this.activeVersion();
+    const older = this.versions().filter(version => !active || version < active);
+    if (older.length === 0) {
+      throw new Error(`No snapshot older than ${active || 'the current index'} to roll back to`);
+    }
+    return this.activate(older[older.length - 1]);
+  }
+
+  /**
+   * Chunk-level differences between two snapshots
+   */
+  diff(fromVersion, toVersion = this.activeVersion()) {
+    if (!toVersion) {
+      throw new Error('No active snapshot to diff against');
+    }
+    const from = this.readManifest(fromVersion);
+    const to = this.readManifest(toVersion);
+
+    const fromHashes = new Map(from.chunks.map(chunk => [chunk.chunk_id, chunk.hash]));
+    const toHashes = new Map(to.chunks.map(chunk => [chunk.chunk_id, chunk.hash]));
+
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+    toHashes.forEach((hash, chunkId) => {
+      if (!fromHashes.has(chunkId)) added.push(chunkId);
+      else if (fromHashes.get(chunkId) !== hash) changed.push(chunkId);
+      else unchanged++;
+    });
+    const removed = Array.from(fromHashes.keys()).filter(chunkId => !toHashes.has(chunkId));
+
+    return {
+      from: fromVersion,
+      to: toVersion,
+      added,
+      removed,
+      changed,
+      unchanged,
+      vectors: { from: from.vectors, to: to.vectors }
+    };
+  }
+
+  /**
+   * Delete all but the newest `keep` snapshots (never the active one) and the
+   * staging directories left behind by interrupted builds; those of builds still
+   * running are kept. Returns the removed names.
+   */
+  prune(keep = DEFAULT_RETENTION) {
+    if (!fs.existsSync(this.snapshotsDir)) return [];
+
+    const active = this.activeVersion();
+    const versions = this.versions();
+    const expired = versions.slice(0, Math.max(0, versions.length - keep)).filter(version => version !== active);
+    const staging = fs.readdirSync(this.snapshotsDir)
+      .filter(name => name.startsWith(STAGING_PREFIX))
+      .filter(name => this.isOrphanedStaging(name));
+
+    [...expired, ...staging].forEach(name => {
+      fs.rmSync(path.join(this.snapshotsDir, name), { recursive: true, force: true });
+    });
+    return [...expired, ...staging];
+  }
+}
+
+module.exports = { IndexSnapshotStore, SNAPSHOT_FILES, DEFAULT_RETENTION };
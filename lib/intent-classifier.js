@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./bm25');
+
+/**
+ * Section intent classifier: multinomial Naive Bayes over unigrams and bigrams,
+ * trained on labeled queries (data/intent-training.json) and stored as JSON.
+ * Queries are also split into clauses ("expense ratio and lock-in") so each
+ * intent in a multi-part question gets its own score.
+ */
+
+// Label for queries that don't ask for a specific section
+const GENERAL_INTENT = 'general';
+
+// Minimum score for an intent to drive retrieval
+const INTENT_THRESHOLD = 0.35;
+
+// Words that name funds rather than what is being asked about them
+const NEUTRAL_TOKENS = new Set([
+  'hdfc', 'fund', 'scheme', 'mutual', 'direct', 'growth', 'plan',
+  'cap', 'mid', 'small', 'large', 'flexi', 'midcap', 'smallcap', 'largecap', 'flexicap'
+]);
+
+const CLAUSE_SPLIT = /\s*(?:,|;|&|\band\b|\bplus\b|\balso\b|\bas well as\b)\s*/i;
+
+/**
+ * Unigram + bigram features
+ */
+function extractFeatures(text) {
+  const tokens = tokenize(text.replace(/-/g, ' ')).filter(token => !NEUTRAL_TOKENS.has(token));
+  const features = [...tokens];
+  for (let i = 0; i < tokens.length - 1; i++) {
+    features.push(`${tokens[i]}_${tokens[i + 1]}`);
+  }
+  return features;
+}
+
+class IntentClassifier {
+  constructor({ alpha = 0.5 } = {}) {
+    this.alpha = alpha;
+    this.intents = [];
+    this.docCounts = {};      // intent → examples labeled with it
+    this.featureCounts = {};  // intent → { feature → count }
+    this.totalFeatures = {};  // intent → feature count
+    this.vocabulary = new Set();
+    this.exampleCount = 0;
+  }
+
+  /**
+   * Train from [{ query, intents: [...] }]; multi-intent examples count toward each label
+   */
+  static train(examples, options = {}) {
+    const classifier = new IntentClassifier(options);
+
+    examples.forEach(example => {
+      const features = extractFeatures(example.query);
+      classifier.exampleCount++;
+
+      example.intents.forEach(intent => {
+        if (!classifier.featureCounts[intent]) {
+          classifier.intents.push(intent);
+          classifier.docCounts[intent] = 0;
+          classifier.featureCounts[intent] = {};
+          classifier.totalFeatures[intent] = 0;
+        }
+        classifier.docCounts[intent]++;
+        features.forEach(feature => {
+          classifier.featureCounts[intent][feature] = (classifier.featureCounts[intent][feature] || 0) + 1;
+          classifier.totalFeatures[intent]++;
+          classifier.vocabulary.add(feature);
+        });
+      });
+    });
+
+    return classifier;
+  }
+
+  static fromJSON(json) {
+    const classifier = new IntentClassifier({ alpha: json.alpha });
+    classifier.intents = json.intents;
+    classifier.docCounts = json.doc_counts;
+    classifier.featureCounts = json.feature_counts;
+    classifier.totalFeatures = json.total_features;
+    classifier.vocabulary = new Set(json.vocabulary);
+    classifier.exampleCount = json.example_count;
+    return classifier;
+  }
+
+  toJSON() {
+    return {
+      alpha: this.alpha,
+      example_count: this.exampleCount,
+      intents: this.intents,
+      doc_counts: this.docCounts,
+      feature_counts: this.featureCounts,
+      total_features: this.totalFeatures,
+      vocabulary: Array.from(this.vocabulary)
+    };
+  }
+
+  /**
+   * Posterior over intents for one piece of text: { intent → probability }
+   * Returns null if none of the text's features were seen in training
+   */
+  score(text) {
+    const features = extractFeatures(text).filter(feature => this.vocabulary.has(feature));
+    if (features.length === 0) return null;
+
+    const vocabularySize = this.vocabulary.size;
+    const logScores = {};
+    this.intents.forEach(intent => {
+      let logScore = Math.log(this.docCounts[intent] / this.exampleCount);
+      const denominator = this.totalFeatures[intent] + this.alpha * vocabularySize;
+      features.forEach(feature => {
+        logScore += Math.log(((this.featureCounts[intent][feature] || 0) + this.alpha) / denominator);
+      });
+      logScores[intent] = logScore;
+    });
+
+    // Softmax in log space
+    const max = Math.max(...Object.values(logScores));
+    const exps = Object.entries(logScores).map(([intent, logScore]) => [intent, Math.exp(logScore - max)]);
+    const total = exps.reduce((sum, [, value]) => sum + value, 0);
+    return Object.fromEntries(exps.map(([intent, value]) => [intent, value / total]));
+  }
+
+  /**
+   * Ranked section intents with confidence: [{ intent, score }]
+   * Each intent's score is the best of the whole-query and per-clause posteriors.
+   */
+  classify(query) {
+    const texts = [query, ...query.split(CLAUSE_SPLIT).filter(clause => clause && clause !== query)];
+    const best = {};
+
+    texts.forEach(text => {
+      const posterior = this.score(text);
+      if (!posterior) return;
+      Object.entries(posterior).forEach(([intent, probability]) => {
+        best[intent] = Math.max(best[intent] || 0, probability);
+      });
+    });
+
+    return Object.entries(best)
+      .map(([intent, score]) => ({ intent, score: Number(score.toFixed(4)) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Section intents above the threshold, excluding the general intent
+   */
+  detectIntents(query, threshold = INTENT_THRESHOLD) {
+    return this.classify(query).filter(result => result.intent !== GENERAL_INTENT && result.score >= threshold);
+  }
+}
+
+/**
+ * Labeled training queries (data/intent-training.json)
+ */
+function loadIntentExamples(dataDir = path.join(process.cwd(), 'data')) {
+  const trainingPath = path.join(dataDir, 'intent-training.json');
+  if (!fs.existsSync(trainingPath)) return [];
+  return JSON.parse(fs.readFileSync(trainingPath, 'utf8')).examples || [];
+}
+
+module.exports = { IntentClassifier, loadIntentExamples, INTENT_THRESHOLD };
@@ -0,0 +1,245 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { tokenize } = require('./bm25');
+const { GeminiEmbedder, HashingEmbedder } = require('./embeddings');
+
+/**
+ * LLM providers. Every provider implements:
+ *   generate(prompt) → Promise<string>
+ *   stream(prompt)   → async iterable of text deltas
+ *   embed(text)      → Promise<number[]>
+ * Select one with LLM_PROVIDER (gemini | openai | mock); with no provider
+ * configured, answers come from direct extraction and retrieval from BM25.
+ */
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash-exp';
+const DEFAULT_OPENAI_BASE_URL = 'http://localhost:11434/v1';
+
+class GeminiProvider {
+  constructor({ apiKey, model = DEFAULT_GEMINI_MODEL, embeddingModel } = {}) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY is required for the gemini provider');
+    }
+    this.name = 'gemini';
+    this.modelName = model;
+    this.model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+    this.embedder = new GeminiEmbedder({ apiKey, model: embeddingModel });
+    this.embeddingModelName = this.embedder.model;
+  }
+
+  async generate(prompt) {
+    const result = await this.model.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+
+  async *stream(prompt) {
+    const result = await this.model.generateContentStream(prompt);
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) {
+        yield text;
+      }
+    }
+  }
+
+  async embed(text) {
+    return this.embedder.embed(text);
+  }
+}
+
+/**
+ * Any server speaking the OpenAI chat/embeddings API (llama.cpp server, Ollama, vLLM, ...)
+ */
+class OpenAICompatibleProvider {
+  constructor({ baseUrl = DEFAULT_OPENAI_BASE_URL, model, embeddingModel = model, apiKey = null } = {}) {
+    if (!model) {
+      throw new Error('LLM_MODEL is required for the openai provider');
+    }
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.modelName = model;
+    this.embeddingModelName = embeddingModel;
+    this.apiKey = apiKey;
+  }
+
+  async request(endpoint, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`${endpoint} failed with HTTP ${response.status}: ${detail.substring(0, 200)}`);
+    }
+    return response;
+  }
+
+  async generate(prompt) {
+    const response = await this.request('/chat/completions', {
+      model: this.modelName,
+      messages: [{ role: 'user', content: prompt }]
+    });
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || '';
+  }
+
+  async *stream(prompt) {
+    const response = await this.request('/chat/completions', {
+      model: this.modelName,
+      messages: [{ role: 'user', content: prompt }],
+      stream: true
+    });
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return;
+
+        const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (text) {
+          yield text;
+        }
+      }
+    }
+  }
+
+  async embed(text) {
+    const response = await this.request('/embeddings', { model: this.embeddingModelName, input: text });
+    const data = await response.json();
+    return data.data[0].embedding;
+  }
+}
+
+/**
+ * Deterministic offline provider for tests and local runs.
+ * Answers quote the bullet (or **Field**: line) of each document that best matches the question,
+ * with its [n] citation; reranking prompts get scores in document order.
+ * responses: [{ match: RegExp, text }] overrides the reply for matching prompts.
+ */
+class MockProvider {
+  constructor({ responses = [], dimensions } = {}) {
+    this.name = 'mock';
+    this.modelName = 'mock';
+    this.embedder = new HashingEmbedder({ dimensions });
+    this.embeddingModelName = this.embedder.model;
+    this.responses = responses;
+  }
+
+  async generate(prompt) {
+    const custom = this.responses.find(response => response.match.test(prompt));
+    if (custom) return custom.text;
+
+    const scoreRequest = prompt.match(/JSON array of (\d+) numbers/);
+    if (scoreRequest) {
+      const count = Number(scoreRequest[1]);
+      return JSON.stringify(Array.from({ length: count }, (_, idx) => Math.max(0, 10 - idx)));
+    }
+
+    const question = (prompt.match(/USER QUESTION:\s*\n([^\n]*)/) || [])[1] || '';
+    const questionTerms = new Set(tokenize(question));
+    const documents = prompt.split(/\n(?=\[Document \d+\])/).filter(part => /^\[Document \d+\]/.test(part));
+
+    const lines = documents.map(document => {
+      const number = document.match(/^\[Document (\d+)\]/)[1];
+      // Words naming the scheme shouldn't decide which line answers the question
+      const schemeTerms = new Set(tokenize((document.match(/\nScheme: ([^\n]*)/) || [])[1] || ''));
+      const content = (document.split(/\nContent:\n/)[1] || '').split(/\n---|\n\nUSER QUESTION:/)[0];
+      const candidates = content.split('\n').map(line => line.trim()).filter(line => /^(?:[-*] |\*\*[^*]+\*\*:)/.test(line));
+      if (candidates.length === 0) return null;
+
+      const best = candidates.reduce((top, line) => {
+        const score = tokenize(line).filter(token => questionTerms.has(token) && !schemeTerms.has(token)).length;
+        return score > top.score ? { line, score } : top;
+      }, { line: candidates[0], score: -1 });
+
+      return `${best.line} [${number}]`;
+    }).filter(Boolean);
+
+    if (lines.length === 0) {
+      return "Sorry, I couldn't find this on the official Groww page. Please check the source for more details.";
+    }
+
+    return `Here's what I found:\n\n${lines.join('\n')}\n\nLet me know if you want more details on portfolio, fees, or documents!`;
+  }
+
+  async *stream(prompt) {
+    const text = await this.generate(prompt);
+    for (const piece of text.match(/\S+\s*/g) || []) {
+      yield piece;
+    }
+  }
+
+  async embed(text) {
+    return this.embedder.embed(text);
+  }
+}
+
+/**
+ * Create the provider named by LLM_PROVIDER. Defaults to gemini when
+ * GEMINI_API_KEY is set; returns null when no provider is available.
+ */
+function createLLMProvider(name = process.env.LLM_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : null)) {
+  try {
+    switch (name) {
+      case 'gemini':
+        return new GeminiProvider({
+          apiKey: process.env.GEMINI_API_KEY,
+          model: process.env.LLM_MODEL || DEFAULT_GEMINI_MODEL
+        });
+      case 'openai':
+        return new OpenAICompatibleProvider({
+          baseUrl: process.env.LLM_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+          model: process.env.LLM_MODEL,
+          embeddingModel: process.env.LLM_EMBEDDING_MODEL || process.env.LLM_MODEL,
+          apiKey: process.env.LLM_API_KEY || null
+        });
+      case 'mock':
+        return new MockProvider();
+      case null:
+      case undefined:
+      case '':
+        console.warn('⚠️  No LLM provider configured - answers use direct extraction');
+        return null;
+      default:
+        throw new Error(`Unknown LLM_PROVIDER "${name}" (expected gemini, openai or mock)`);
+    }
+  } catch (error) {
+    console.warn(`⚠️  LLM provider unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+// Singleton instance (undefined until first use; null means no provider)
+let llmProvider;
+
+function getLLMProvider() {
+  if (llmProvider === undefined) {
+    llmProvider = createLLMProvider();
+  }
+  return llmProvider;
+}
+
+module.exports = {
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+  createLLMProvider,
+  getLLMProvider
+};
@@ -0,0 +1,193 @@
+const { FIELD_SCHEMAS } = require('./field-schemas');
+const { parseDisplayDate, formatDate } = require('./freshness');
+
+/**
+ * Structured scheme data from a Groww page's embedded Next.js state
+ * (<script id="__NEXT_DATA__">). The scheme page renders from
+ * props.pageProps.mfServerSideData, so reading it gives typed values without
+ * the DOM heuristics in scripts/ingest.js, which only run for sections this
+ * data doesn't cover.
+ */
+
+// Where the scheme object sits in __NEXT_DATA__
+const SCHEME_PATHS = ['props.pageProps.mfServerSideData', 'props.pageProps.schemeData'];
+
+// Scheme data field → candidate keys in the scheme object, first present wins
+const FIELD_PATHS = {
+  scheme_name: ['scheme_name'],
+  nav: ['nav'],
+  nav_date: ['nav_date'],
+  fund_size: ['aum'],
+  expense_ratio: ['expense_ratio'],
+  minimum_sip: ['min_sip_investment'],
+  minimum_lumpsum: ['min_investment_amount'],
+  rating: ['groww_rating'],
+  returns_1y: ['return_stats.0.return1y'],
+  returns_3y: ['return_stats.0.return3y'],
+  returns_5y: ['return_stats.0.return5y'],
+  launch_date: ['launch_date'],
+  exit_load_text: ['exit_load'],
+  benchmark_name: ['benchmark_name'],
+  riskometer_category: ['nfo_risk', 'risk'],
+  objective_text: ['description', 'investment_objective'],
+  lock_in_years: ['lock_in.years']
+};
+
+const NUMBER_FIELDS = new Set([
+  'nav', 'fund_size', 'expense_ratio', 'minimum_sip', 'minimum_lumpsum', 'rating',
+  'returns_1y', 'returns_3y', 'returns_5y', 'lock_in_years'
+]);
+const DATE_FIELDS = new Set(['nav_date', 'launch_date']);
+
+// Schema fields holding the same value under two names; one of them is enough
+const ALTERNATE_FIELDS = { aum: 'fund_size', fund_size: 'aum' };
+
+function getPath(object, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[₹,%\s]/g, ''));
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * "2025-11-14", "14-Nov-2025" or "14 Nov 2025" → "14 Nov 2025" (undefined if unparseable)
+ */
+function toDisplayDate(value) {
+  const text = String(value).trim();
+  const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  const date = iso
+    ? new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])))
+    : parseDisplayDate(text.replace(/-/g, ' '));
+  return date && !Number.isNaN(date.getTime()) ? formatDate(date) : undefined;
+}
+
+function toText(value) {
+  const text = String(value).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  return text || undefined;
+}
+
+/**
+ * Parsed __NEXT_DATA__ of a page loaded with cheerio (null if absent or not JSON)
+ */
+function readNextData($) {
+  const script = $('script#__NEXT_DATA__').first();
+  if (script.length === 0) return null;
+  try {
+    return JSON.parse(script.html());
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Typed scheme data from __NEXT_DATA__: numbers as numbers (fund_size in crore,
+ * expense_ratio and returns in percent), dates as "14 Nov 2025", plus
+ * managers [{ name, education, experience }] and holdings
+ * [{ name, sector, instrument, assets }]. Fields the page doesn't carry are
+ * omitted; null when the page has no scheme object.
+ */
+function schemeDataFromNextData(nextData) {
+  const scheme = SCHEME_PATHS.map(schemePath => getPath(nextData, schemePath)).find(value => value && typeof value === 'object');
+  if (!scheme) return null;
+
+  const data = {};
+  Object.entries(FIELD_PATHS).forEach(([field, paths]) => {
+    const raw = paths.map(fieldPath => getPath(scheme, fieldPath)).find(isPresent);
+    if (!isPresent(raw)) return;
+
+    let value;
+    if (NUMBER_FIELDS.has(field)) value = toNumber(raw);
+    else if (DATE_FIELDS.has(field)) value = toDisplayDate(raw);
+    else value = toText(raw);
+    if (value !== undefined) data[field] = value;
+  });
+
+  // "Equity" + "Mid Cap" → "Equity Mid Cap"
+  const category = [scheme.category, scheme.sub_category].filter(isPresent).map(String).join(' ');
+  if (category) data.category = category;
+
+  // A scheme object with lock_in: null has no lock-in
+  if (data.lock_in_years === undefined && 'lock_in' in scheme && scheme.lock_in === null) {
+    data.lock_in_years = 0;
+  }
+  if (data.lock_in_years !== undefined) data.lock_in_years = Math.round(data.lock_in_years);
+  if (data.rating !== undefined) data.rating = Math.round(data.rating);
+
+  const managers = (Array.isArray(scheme.fund_manager_details) ? scheme.fund_manager_details : [])
+    .map(manager => ({
+      name: isPresent(manager.person_name) ? toText(manager.person_name) : undefined,
+      education: isPresent(manager.education) ? toText(manager.education) : undefined,
+      experience: isPresent(manager.experience) ? toText(manager.experience) : undefined
+    }))
+    .filter(manager => manager.name);
+  if (managers.length === 0 && isPresent(scheme.fund_manager)) {
+    managers.push({ name: toText(scheme.fund_manager) });
+  }
+  if (managers.length > 0) data.managers = managers;
+
+  const holdings = (Array.isArray(scheme.holdings) ? scheme.holdings : [])
+    .filter(holding => isPresent(holding.company_name) && toNumber(holding.corpus_per) !== undefined)
+    .map(holding => ({
+      name: toText(holding.company_name),
+      sector: isPresent(holding.sector_name) ? toText(holding.sector_name) : '',
+      instrument: isPresent(holding.instrument_name) ? toText(holding.instrument_name) : '',
+      assets: toNumber(holding.corpus_per)
+    }))
+    .sort((a, b) => b.assets - a.assets);
+  if (holdings.length > 0) data.holdings = holdings;
+
+  return data;
+}
+
+/**
+ * Typed scheme data straight from a page (null when it has no usable __NEXT_DATA__)
+ */
+function readSchemeData($) {
+  const nextData = readNextData($);
+  return nextData ? schemeDataFromNextData(nextData) : null;
+}
+
+/**
+ * Which strategy produced each field, per scheme and section, from the chunks'
+ * field_sources (set for scheme pages only). Schema fields no strategy produced
+ * are listed as "missing".
+ * Returns { totals: { next_data, dom, missing }, schemes: { schemeId: { sectionType: { field: strategy } } } }
+ */
+function extractionReport(chunks) {
+  const totals = { next_data: 0, dom: 0, missing: 0 };
+  const schemes = {};
+
+  chunks.filter(chunk => chunk.field_sources).forEach(chunk => {
+    const sections = schemes[chunk.scheme_id] || (schemes[chunk.scheme_id] = {});
+    const fields = sections[chunk.section_type] || (sections[chunk.section_type] = {});
+    Object.entries(chunk.field_sources).forEach(([field, strategy]) => {
+      fields[field] = fields[field] || strategy;
+    });
+  });
+
+  Object.values(schemes).forEach(sections => {
+    Object.entries(sections).forEach(([sectionType, fields]) => {
+      Object.keys(FIELD_SCHEMAS[sectionType]?.properties || {}).forEach(field => {
+        if (!fields[field] && !fields[ALTERNATE_FIELDS[field]]) fields[field] = 'missing';
+      });
+      Object.values(fields).forEach(strategy => {
+        totals[strategy] = (totals[strategy] || 0) + 1;
+      });
+    });
+  });
+
+  return { totals, schemes };
+}
+
+module.exports = {
+  readNextData,
+  schemeDataFromNextData,
+  readSchemeData,
+  extractionReport
+};
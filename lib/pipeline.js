@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+const { SCHEDULE_INTERVALS_MS } = require('./sources');
+
+/**
+ * Scheduled ingestion pipeline: fetch the sources that are due (retrying each
+ * with exponential backoff) → process them into one chunk set → build the index.
+ * Sources that weren't fetched, or failed, keep their chunks from the last
+ * published run. Nothing is published when too many sources failed. Every run
+ * writes a machine-readable report to data/runs/.
+ */
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BASE_DELAY_MS = 2000;
+const DEFAULT_MAX_DELAY_MS = 30000;
+const DEFAULT_MAX_FAILURE_RATIO = 0.25;
+const DEFAULT_REPORT_RETENTION = 50;
+
+const STATE_FILE = 'source-state.json';
+const REPORT_PREFIX = 'run-';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Delay before retrying after the given attempt: base, 2×base, 4×base, ... capped at max
+ */
+function backoffDelay(attempt, baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+}
+
+/**
+ * Run task(attempt) until it succeeds or retries run out: { value, attempts }.
+ * The final error carries the number of attempts made.
+ */
+async function withRetries(task, {
+  retries = DEFAULT_RETRIES,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  wait = sleep,
+  onRetry = null
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { value: await task(attempt), attempts: attempt };
+    } catch (error) {
+      if (attempt > retries) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      if (onRetry) onRetry(error, attempt, delay);
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Enabled sources whose schedule says they should be fetched again. Manual
+ * sources are only fetched when forced.
+ */
+function dueSources(sources, state, now, { force = false } = {}) {
+  return sources.enabled().filter(source => {
+    if (force) return true;
+    const interval = SCHEDULE_INTERVALS_MS[source.schedule];
+    if (!interval) return false;
+    const lastSuccess = state[source.id]?.last_success_at;
+    return !lastSuccess || now.getTime() - Date.parse(lastSuccess) >= interval;
+  });
+}
+
+/**
+ * Run reports and per-source fetch state (data/runs/)
+ */
+class PipelineRunStore {
+  constructor(runsDir = path.join(process.cwd(), 'data', 'runs')) {
+    this.runsDir = runsDir;
+    this.statePath = path.join(runsDir, STATE_FILE);
+  }
+
+  /**
+   * { [sourceId]: { last_success_at, last_attempt_at, consecutive_failures, last_error } }
+   */
+  readState() {
+    if (!fs.existsSync(this.statePath)) return {};
+    return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+  }
+
+  writeState(state) {
+    fs.mkdirSync(this.runsDir, { recursive: true });
+    fs.writeFileSync(this.statePath, JSON.stringify(state, null, 2), 'utf8');
+  }
+
+  /**
+   * Report file names, oldest first
+   */
+  reports() {
+    if (!fs.existsSync(this.runsDir)) return [];
+    return fs.readdirSync(this.runsDir)
+      .filter(name => name.startsWith(REPORT_PREFIX) && name.endsWith('.json'))
+      .sort();
+  }
+
+  latestReport() {
+    const reports = this.reports();
+    if (reports.length === 0) return null;
+    return JSON.parse(fs.readFileSync(path.join(this.runsDir, reports[reports.length - 1]), 'utf8'));
+  }
+
+  reportPath(runId) {
+    return path.join(this.runsDir, `${REPORT_PREFIX}${runId}.json`);
+  }
+
+  /**
+   * Write a run report and drop the oldest beyond the retention limit
+   */
+  saveReport(report, retention = DEFAULT_REPORT_RETENTION) {
+    fs.mkdirSync(this.runsDir, { recursive: true });
+    const reportPath = this.reportPath(report.run_id);
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
+
+    const reports = this.reports();
+    reports.slice(0, Math.max(0, reports.length - retention))
+      .forEach(name => fs.rmSync(path.join(this.runsDir, name)));
+    return reportPath;
+  }
+}
+
+/**
+ * Fetch and parse one source with retries; failures are recorded, not thrown
+ */
+async function ingestSource(source, { fetchSource, parseSource, retryOptions, now }) {
+  const startedAt = Date.now();
+  try {
+    const { value: chunks, attempts } = await withRetries(async () => {
+      const html = await fetchSource(source);
+      const parsed = parseSource(html, source);
+      if (parsed.length === 0) {
+        throw new Error('No chunks parsed from the page');
+      }
+      return parsed;
+    }, {
+      ...retryOptions,
+      onRetry: (error, attempt, delay) => {
+        console.warn(`  ⚠️  ${source.id} attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`);
+      }
+    });
+    return { id: source.id, url: source.url, status: 'ok', attempts, chunks, fetched_at: now().toISOString(), duration_ms: Date.now() - startedAt };
+  } catch (error) {
+    return { id: source.id, url: source.url, status: 'failed', attempts: error.attempts || 1, error: error.message, duration_ms: Date.now() - startedAt };
+  }
+}
+
+function runId(date) {
+  return date.toISOString().replace(/[-:.]/g, '');
+}
+
+/**
+ * Run the pipeline once. The steps are injected so the same run works against
+ * live pages, a saved capture or test doubles:
+ *   fetchSource(source) → html            parseSource(html, source) → chunks
+ *   loadPublishedChunks() → chunks         publish(chunks) → { jsonlPath }
+ *   buildIndex() → resolves when the index is built
+ * force: fetch every enabled source; only: fetch just these source IDs.
+ * Returns the run report (saved unless nothing was due).
+ */
+async function runPipeline({
+  sources,
+  store,
+  fetchSource,
+  parseSource,
+  loadPublishedChunks,
+  publish,
+  buildIndex,
+  force = false,
+  only = null,
+  retries = DEFAULT_RETRIES,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  maxFailureRatio = DEFAULT_MAX_FAILURE_RATIO,
+  wait = sleep,
+  now = () => new Date(),
+  trigger = 'manual'
+}) {
+  const started = now();
+  const state = store.readState();
+  const due = only
+    ? sources.enabled().filter(source => only.includes(source.id))
+    : dueSources(sources, state, started, { force });
+
+  const report = {
+    run_id: runId(started),
+    trigger,
+    started_at: started.toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    status: null,
+    reason: null,
+    sources: [],
+    summary: null,
+    stages: {}
+  };
+  const finish = (status, reason = null) => {
+    const finished = now();
+    report.status = status;
+    report.reason = reason;
+    report.finished_at = finished.toISOString();
+    report.duration_ms = finished.getTime() - started.getTime();
+    if (status !== 'nothing_due') {
+      store.writeState(state);
+      store.saveReport(report);
+    }
+    return report;
+  };
+
+  if (due.length === 0) {
+    return finish('nothing_due', 'No enabled source is due');
+  }
+
+  // 1. Ingest: one source at a time, each with its own retries
+  const ingestStarted = Date.now();
+  const results = [];
+  for (const source of due) {
+    console.log(`Fetching ${source.id}...`);
+    const result = await ingestSource(source, {
+      fetchSource,
+      parseSource,
+      retryOptions: { retries, baseDelayMs, maxDelayMs, wait },
+      now
+    });
+    // last_success_at only moves once the chunks are published (below)
+    const previous = state[source.id] || {};
+    state[source.id] = result.status === 'ok'
+      ? { ...previous, last_attempt_at: result.fetched_at, consecutive_failures: 0, last_error: null }
+      : { ...previous, last_attempt_at: now().toISOString(), consecutive_failures: (previous.consecutive_failures || 0) + 1, last_error: result.error };
+    console.log(result.status === 'ok'
+      ? `  ✓ ${result.chunks.length} chunks (${result.attempts} attempt(s))`
+      : `  ❌ ${result.error} (${result.attempts} attempt(s))`);
+    results.push(result);
+  }
+
+  const ok = results.filter(result => result.status === 'ok');
+  const failed = results.filter(result => result.status === 'failed');
+  const fetchedIds = new Set(due.map(source => source.id));
+  report.sources = [
+    ...results.map(({ chunks, ...result }) => ({ ...result, chunks: chunks ? chunks.length : 0 })),
+    ...sources.enabled()
+      .filter(source => !fetchedIds.has(source.id))
+      .map(source => ({ id: source.id, url: source.url, status: 'skipped', reason: only ? 'not selected' : 'not due' }))
+  ];
+  const failureRatio = failed.length / results.length;
+  report.summary = {
+    sources_due: results.length,
+    ok: ok.length,
+    failed: failed.length,
+    skipped: report.sources.length - results.length,
+    failure_ratio: Number(failureRatio.toFixed(3)),
+    max_failure_ratio: maxFailureRatio,
+    chunks_fetched: ok.reduce((sum, result) => sum + result.chunks.length, 0)
+  };
+  report.stages.ingest = { status: ok.length > 0 ? 'ok' : 'failed', duration_ms: Date.now() - ingestStarted };
+
+  if (ok.length === 0 || failureRatio > maxFailureRatio) {
+    return finish('refused', `${failed.length} of ${results.length} source(s) failed ` +
+      `(allowed: ${Math.round(maxFailureRatio * 100)}%) - keeping the published index`);
+  }
+
+  // 2. Process: fresh chunks plus the last published chunks of every other enabled source
+  const processStarted = Date.now();
+  let chunks;
+  try {
+    const freshIds = new Set(ok.map(result => result.id));
+    const carried = (await loadPublishedChunks())
+      .filter(chunk => !freshIds.has(chunk.scheme_id) && sources.get(chunk.scheme_id)?.enabled);
+    chunks = [...ok.flatMap(result => result.chunks), ...carried];
+    const { jsonlPath } = await publish(chunks);
+    report.summary.chunks_carried_forward = carried.length;
+    report.summary.chunks_published = chunks.length;
+    report.stages.process = { status: 'ok', duration_ms: Date.now() - processStarted, jsonl: jsonlPath };
+  } catch (error) {
+    report.stages.process = { status: 'failed', duration_ms: Date.now() - processStarted, error: error.message };
+    return finish('failed', `Processing failed: ${error.message}`);
+  }
+
+  // 3. Build the index (a new snapshot is only activated when the build completes)
+  const buildStarted = Date.now();
+  try {
+    await buildIndex();
+    report.stages.build_index = { status: 'ok', duration_ms: Date.now() - buildStarted };
+    ok.forEach(result => {
+      state[result.id].last_success_at = result.fetched_at;
+    });
+  } catch (error) {
+    report.stages.build_index = { status: 'failed', duration_ms: Date.now() - buildStarted, error: error.message };
+    return finish('failed', `Index build failed: ${error.message}`);
+  }
+
+  return finish('published', failed.length > 0
+    ? `Published with ${failed.length} failed source(s) carried forward from the last run`
+    : null);
+}
+
+module.exports = {
+  DEFAULT_RETRIES,
+  DEFAULT_MAX_FAILURE_RATIO,
+  PipelineRunStore,
+  backoffDelay,
+  withRetries,
+  dueSources,
+  runPipeline
+};
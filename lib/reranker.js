@@ -0,0 +1,136 @@
+const { getLLMProvider } = require('./llm-providers');
+const { tokenize, buildChunkDocument } = require('./bm25');
+
+/**
+ * Rerankers reorder retrieved candidates before answer generation.
+ * Every reranker implements rerank(query, chunks) and returns the chunks
+ * sorted by descending rerankScore (0..1).
+ */
+
+/**
+ * Default reranker: query/chunk term overlap with a phrase bonus
+ * and a small prior from the retrieval order
+ */
+class LexicalOverlapReranker {
+  constructor({ coverageWeight = 0.6, phraseWeight = 0.3, priorWeight = 0.1 } = {}) {
+    this.name = 'lexical';
+    this.coverageWeight = coverageWeight;
+    this.phraseWeight = phraseWeight;
+    this.priorWeight = priorWeight;
+  }
+
+  score(queryTokens, chunk, rank) {
+    const docTokens = tokenize(buildChunkDocument(chunk));
+    const docTerms = new Set(docTokens);
+
+    const uniqueQuery = Array.from(new Set(queryTokens));
+    const matched = uniqueQuery.filter(token => docTerms.has(token)).length;
+    const coverage = uniqueQuery.length > 0 ? matched / uniqueQuery.length : 0;
+
+    // Adjacent query term pairs that also appear adjacent in the chunk
+    let phrase = 0;
+    if (queryTokens.length > 1) {
+      const docBigrams = new Set();
+      for (let i = 0; i < docTokens.length - 1; i++) {
+        docBigrams.add(`${docTokens[i]} ${docTokens[i + 1]}`);
+      }
+      let bigramHits = 0;
+      for (let i = 0; i < queryTokens.length - 1; i++) {
+        if (docBigrams.has(`${queryTokens[i]} ${queryTokens[i + 1]}`)) bigramHits++;
+      }
+      phrase = bigramHits / (queryTokens.length - 1);
+    }
+
+    const prior = 1 / (rank + 1);
+
+    return this.coverageWeight * coverage + this.phraseWeight * phrase + this.priorWeight * prior;
+  }
+
+  async rerank(query, chunks) {
+    const queryTokens = tokenize(query);
+    return chunks
+      .map((chunk, rank) => ({
+        ...chunk,
+        rerankScore: Number(this.score(queryTokens, chunk, rank).toFixed(4))
+      }))
+      .sort((a, b) => b.rerankScore - a.rerankScore);
+  }
+}
+
+/**
+ * Optional reranker: asks the LLM to grade each candidate's relevance.
+ * Falls back to the lexical reranker if the call or parsing fails.
+ */
+class LLMReranker {
+  constructor(provider, { fallback = new LexicalOverlapReranker() } = {}) {
+    if (!provider) {
+      throw new Error('LLMReranker requires an LLM provider');
+    }
+    this.name = 'llm';
+    this.provider = provider;
+    this.fallback = fallback;
+  }
+
+  buildPrompt(query, chunks) {
+    const documents = chunks
+      .map((chunk, idx) => `[${idx + 1}] ${chunk.scheme_display_name} - ${chunk.section_type}
+${(chunk.content_md || '').substring(0, 600)}`)
+      .join('\n\n');
+
+    return `Rate how well each document answers the question, from 0 (irrelevant) to 10 (fully answers it).
+Respond ONLY with a JSON array of ${chunks.length} numbers, in document order.
+
+QUESTION:
+${query}
+
+DOCUMENTS:
+${documents}
+
+SCORES:`;
+  }
+
+  parseScores(text, count) {
+    const match = text.match(/\[[\s\S]*?\]/);
+    if (!match) return null;
+    const scores = JSON.parse(match[0]);
+    if (!Array.isArray(scores) || scores.length !== count) return null;
+    return scores.map(score => Math.max(0, Math.min(10, Number(score) || 0)) / 10);
+  }
+
+  async rerank(query, chunks) {
+    if (chunks.length === 0) return chunks;
+
+    try {
+      const text = await this.provider.generate(this.buildPrompt(query, chunks));
+      const scores = this.parseScores(text, chunks.length);
+      if (!scores) {
+        throw new Error('Could not parse reranker scores');
+      }
+
+      return chunks
+        .map((chunk, idx) => ({ ...chunk, rerankScore: Number(scores[idx].toFixed(4)) }))
+        .sort((a, b) => b.rerankScore - a.rerankScore);
+    } catch (error) {
+      console.warn('⚠️  LLM reranking failed, using lexical reranker:', error.message);
+      return this.fallback.rerank(query, chunks);
+    }
+  }
+}
+
+/**
+ * Create the reranker named by RERANKER (lexical | llm), defaulting to lexical
+ */
+function createReranker(name = process.env.RERANKER || 'lexical') {
+  if (name === 'llm') {
+    const provider = getLLMProvider();
+    if (!provider) {
+      console.warn('⚠️  No LLM provider configured - using lexical reranker');
+      return new LexicalOverlapReranker();
+    }
+    return new LLMReranker(provider);
+  }
+
+  return new LexicalOverlapReranker();
+}
+
+module.exports = { LexicalOverlapReranker, LLMReranker, createReranker };
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Retrieval evaluation against a golden question set.
+ * Each question lists the chunks that answer it (expected_chunk_ids) and/or the
+ * field values the answer must contain (expected_fields, matched against fields_json).
+ * Scores are recall@k, MRR and nDCG@k with binary relevance, reported overall and
+ * per retrieval method.
+ */
+
+const DEFAULT_K = 5;
+const DEFAULT_TOLERANCE = 0.01;
+const METRICS = ['recall', 'mrr', 'ndcg'];
+
+function loadGoldenSet(goldenPath) {
+  const golden = JSON.parse(fs.readFileSync(goldenPath, 'utf8'));
+  if (!golden.version || !Array.isArray(golden.questions)) {
+    throw new Error(`${path.basename(goldenPath)} must have a version and a questions array`);
+  }
+  golden.questions.forEach(item => {
+    if (!item.id || !item.question) {
+      throw new Error(`Golden question ${JSON.stringify(item)} needs an id and a question`);
+    }
+    if (!item.expected_chunk_ids?.length && !item.expected_fields) {
+      throw new Error(`Golden question ${item.id} has no expected_chunk_ids or expected_fields`);
+    }
+  });
+  return golden;
+}
+
+/**
+ * Does a chunk carry every expected field value? Numbers compare numerically,
+ * strings case-insensitively.
+ */
+function matchesFields(chunk, expectedFields) {
+  const fields = chunk.fields_json || {};
+  return Object.entries(expectedFields).every(([field, expected]) => {
+    const actual = fields[field];
+    if (actual === undefined || actual === null) return false;
+    if (typeof expected === 'number') return Number(actual) === expected;
+    return String(actual).toLowerCase() === String(expected).toLowerCase();
+  });
+}
+
+/**
+ * Chunk IDs in the corpus that count as relevant for a golden question
+ */
+function relevantChunkIds(item, chunkLookup) {
+  const relevant = new Set(item.expected_chunk_ids || []);
+  if (item.expected_fields) {
+    Object.values(chunkLookup)
+      .filter(chunk => matchesFields(chunk, item.expected_fields))
+      .forEach(chunk => relevant.add(chunk.chunk_id));
+  }
+  return relevant;
+}
+
+function recallAtK(rankedIds, relevant, k) {
+  if (relevant.size === 0) return 0;
+  const hits = rankedIds.slice(0, k).filter(id => relevant.has(id)).length;
+  return hits / relevant.size;
+}
+
+function reciprocalRank(rankedIds, relevant) {
+  const rank = rankedIds.findIndex(id => relevant.has(id));
+  return rank === -1 ? 0 : 1 / (rank + 1);
+}
+
+function ndcgAtK(rankedIds, relevant, k) {
+  const dcg = rankedIds.slice(0, k)
+    .reduce((sum, id, idx) => sum + (relevant.has(id) ? 1 / Math.log2(idx + 2) : 0), 0);
+  const idealHits = Math.min(relevant.size, k);
+  let idcg = 0;
+  for (let idx = 0; idx < idealHits; idx++) {
+    idcg += 1 / Math.log2(idx + 2);
+  }
+  return idcg === 0 ? 0 : dcg / idcg;
+}
+
+/**
+ * Retrieval path a result took, without the comparison_/multi_intent_ wrapper
+ */
+function baseMethod(method) {
+  return (method || 'unknown').replace(/^(comparison|multi_intent)_/, '');
+}
+
+function averageMetrics(results) {
+  const summary = { questions: results.length };
+  METRICS.forEach(metric => {
+    const total = results.reduce((sum, result) => sum + result[metric], 0);
+    summary[metric] = results.length > 0 ? Number((total / results.length).toFixed(4)) : 0;
+  });
+  return summary;
+}
+
+/**
+ * Run every golden question through retriever.retrieve and score the top k chunks
+ */
+async function evaluateRetrieval(retriever, golden, { k = DEFAULT_K } = {}) {
+  await retriever.initialize();
+
+  const results = [];
+  for (const item of golden.questions) {
+    const relevant = relevantChunkIds(item, retriever.chunkLookup);
+    const result = await retriever.retrieve(item.question, { limit: k });
+    const rankedIds = result.chunks.map(chunk => chunk.chunk_id);
+
+    results.push({
+      id: item.id,
+      question: item.question,
+      method: baseMethod(result.method),
+      retrieved: rankedIds,
+      relevant: Array.from(relevant),
+      recall: recallAtK(rankedIds, relevant, k),
+      mrr: reciprocalRank(rankedIds, relevant),
+      ndcg: ndcgAtK(rankedIds, relevant, k)
+    });
+  }
+
+  const methods = {};
+  Array.from(new Set(results.map(result => result.method))).sort().forEach(method => {
+    methods[method] = averageMetrics(results.filter(result => result.method === method));
+  });
+
+  return {
+    dataset_version: golden.version,
+    k,
+    config: describeRetrievalConfig(retriever),
+    overall: averageMetrics(results),
+    methods,
+    results
+  };
+}
+
+/**
+ * Which retrieval setup produced a report. Baselines are kept per setup, since
+ * vector search and lexical-only retrieval aren't comparable.
+ */
+function describeRetrievalConfig(retriever) {
+  const vectors = retriever.vectraIndex && retriever.embedder
+    ? `${retriever.embedder.name}:${retriever.embedder.model}`
+    : 'none';
+  const reranker = retriever.reranker ? retriever.reranker.name : 'none';
+  return `vectors=${vectors} reranker=${reranker}`;
+}
+
+/**
+ * Metrics that dropped more than `tolerance` below the baseline, as
+ * [{ scope, metric, baseline, current }]. Methods missing from either side are skipped.
+ */
+function compareToBaseline(report, baseline, tolerance = DEFAULT_TOLERANCE) {
+  const scopes = [['overall', report.overall, baseline.overall]];
+  Object.entries(report.methods).forEach(([method, metrics]) => {
+    if (baseline.methods?.[method]) {
+      scopes.push([method, metrics, baseline.methods[method]]);
+    }
+  });
+
+  const regressions = [];
+  scopes.forEach(([scope, current, previous]) => {
+    METRICS.forEach(metric => {
+      if (current[metric] < previous[metric] - tolerance) {
+        regressions.push({ scope, metric, baseline: previous[metric], current: current[metric] });
+      }
+    });
+  });
+  return regressions;
+}
+
+/**
+ * Baseline entry stored for a report (per-question detail is left out)
+ */
+function toBaseline(report) {
+  return {
+    dataset_version: report.dataset_version,
+    k: report.k,
+    recorded_at: new Date().toISOString(),
+    overall: report.overall,
+    methods: report.methods
+  };
+}
+
+module.exports = {
+  DEFAULT_K,
+  DEFAULT_TOLERANCE,
+  loadGoldenSet,
+  matchesFields,
+  relevantChunkIds,
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+  evaluateRetrieval,
+  compareToBaseline,
+  toBaseline
+};
@@ -1,14 +1,79 @@
 const { LocalIndex } = require('vectra');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs');
 const path = require('path');
+const { BM25Index } = require('./bm25');
+const { createReranker } = require('./reranker');
+const { SchemeRegistry, loadSchemeOverrides } = require('./scheme-registry');
+const { IntentClassifier, loadIntentExamples } = require('./intent-classifier');
+const { createEmbedder, readIndexMetadata, describeIndexMismatch } = require('./embeddings');
+const { IndexSnapshotStore } = require('./index-snapshots');
+const { SourceRegistry } = require('./sources');
+const { reloadFundFactsStore } = require('./fund-facts');
+
+// Standard RRF damping constant (Cormack et al.)
+const RRF_K = 60;
+
+// How often the active snapshot pointer is polled for hot reload (ms); 0 disables it
+const INDEX_WATCH_INTERVAL_MS = process.env.INDEX_WATCH_INTERVAL_MS !== undefined
+  ? Number(process.env.INDEX_WATCH_INTERVAL_MS)
+  : 2000;
+
+// Words that ask for schemes side by side
+const COMPARISON_PATTERN = /\b(?:compare|comparing|comparison|vs|versus|difference|differences|differ)\b/i;
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Whether a query asks to compare the schemes it names: an explicit comparison
+ * word, or two exactly named schemes joined by "and" ("mid cap and small cap").
+ * Naming a second scheme alone is not enough - "HDFC Small Cap fund's large cap
+ * stocks" is about one fund.
+ */
+function isComparisonQuery(query, schemeCandidates) {
+  if (schemeCandidates.length < 2) return false;
+  if (COMPARISON_PATTERN.test(query)) return true;
+
+  const text = ` ${normalizeText(query)} `;
+  // Aliases are normalized text (letters, digits, spaces), safe inside a pattern
+  const exactAliases = schemeCandidates
+    .filter(candidate => candidate.score === 1)
+    .map(candidate => candidate.alias);
+  if (exactAliases.length < 2) return false;
+
+  const anyAlias = `(?:${exactAliases.join('|')})`;
+  return new RegExp(` ${anyAlias}(?: fund)? and (?:hdfc )?${anyAlias} `).test(text);
+}
+
+/**
+ * Reciprocal rank fusion over several ranked lists of chunk IDs
+ * Returns [{ chunk_id, score }] sorted by fused score
+ */
+function reciprocalRankFusion(rankings, k = RRF_K) {
+  const fused = {};
+  rankings.forEach(ranking => {
+    ranking.forEach((chunkId, rank) => {
+      fused[chunkId] = (fused[chunkId] || 0) + 1 / (k + rank + 1);
+    });
+  });
+  return Object.entries(fused)
+    .map(([chunk_id, score]) => ({ chunk_id, score }))
+    .sort((a, b) => b.score - a.score);
+}
 
 class MutualFundRetriever {
-  constructor() {
+  constructor({ reranker = null } = {}) {
+    this.reranker = reranker;
     this.vectraIndex = null;
     this.metadataIndex = null;
     this.chunkLookup = null;
-    this.embeddingModel = null;
+    this.lexicalIndex = null;
+    this.schemeRegistry = null;
+    this.intentClassifier = null;
+    this.embedder = null;
+    this.snapshotVersion = null;
+    this.loadedAt = null;
     this.initialized = false;
   }
 
@@ -17,9 +82,16 @@ class MutualFundRetriever {
 
     const indexDir = path.join(process.cwd(), 'data', 'index');
 
+    // Read every index file from the same snapshot, even if another build activates one meanwhile
+    const snapshots = new IndexSnapshotStore(indexDir);
+    this.snapshotVersion = snapshots.activeVersion();
+    if (this.snapshotVersion) {
+      console.log(`✓ Using index snapshot ${this.snapshotVersion}`);
+    }
+
     // Load metadata index and chunk lookup (required for all modes)
-    const metadataPath = path.join(indexDir, 'metadata-index-latest.json');
-    const lookupPath = path.join(indexDir, 'chunk-lookup-latest.json');
+    const metadataPath = snapshots.resolve('metadata', this.snapshotVersion);
+    const lookupPath = snapshots.resolve('lookup', this.snapshotVersion);
 
     if (!fs.existsSync(metadataPath) || !fs.existsSync(lookupPath)) {
       throw new Error('Index files not found. Run: npm run process-data && npm run build-index');
@@ -27,29 +99,72 @@ class MutualFundRetriever {
 
     this.metadataIndex = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
     this.chunkLookup = JSON.parse(fs.readFileSync(lookupPath, 'utf8'));
+    this.loadedAt = new Date().toISOString();
+    this.sources = SourceRegistry.load();
+
+    // Load BM25 index, or build it in memory from the chunk lookup
+    const bm25Path = snapshots.resolve('bm25', this.snapshotVersion);
+    if (fs.existsSync(bm25Path)) {
+      this.lexicalIndex = BM25Index.fromJSON(JSON.parse(fs.readFileSync(bm25Path, 'utf8')));
+    } else {
+      console.warn('⚠️  BM25 index not found - building lexical index in memory');
+      this.lexicalIndex = BM25Index.build(Object.values(this.chunkLookup));
+    }
+
+    // Load scheme registry, or build it in memory from the chunk lookup
+    const registryPath = snapshots.resolve('registry', this.snapshotVersion);
+    if (fs.existsSync(registryPath)) {
+      this.schemeRegistry = SchemeRegistry.fromJSON(JSON.parse(fs.readFileSync(registryPath, 'utf8')));
+    } else {
+      console.warn('⚠️  Scheme registry not found - building it in memory');
+      this.schemeRegistry = SchemeRegistry.fromChunks(Object.values(this.chunkLookup), loadSchemeOverrides(), this.sources);
+    }
+
+    // Load the snapshot's intent model (snapshots built before it was bundled: the
+    // flat file npm run train-intents writes), or train it in memory from the labeled queries
+    const intentModelPath = [snapshots.resolve('intent', this.snapshotVersion), snapshots.resolve('intent', null)]
+      .find(candidate => fs.existsSync(candidate));
+    if (intentModelPath) {
+      this.intentClassifier = IntentClassifier.fromJSON(JSON.parse(fs.readFileSync(intentModelPath, 'utf8')));
+    } else {
+      const examples = loadIntentExamples();
+      if (examples.length > 0) {
+        console.warn('⚠️  Intent model not found - training it in memory');
+        this.intentClassifier = IntentClassifier.train(examples);
+      } else {
+        console.warn('⚠️  No intent model or training data - section intents disabled');
+      }
+    }
+
+    if (!this.reranker) {
+      this.reranker = createReranker();
+    }
 
     // Try to load Vectra index (optional - will fallback if unavailable)
     try {
-      const apiKey = process.env.GEMINI_API_KEY;
-      if (!apiKey) {
-        console.warn('⚠️  GEMINI_API_KEY not found - vector search disabled, using direct lookup');
+      this.embedder = createEmbedder();
+      if (!this.embedder) {
+        console.warn('⚠️  No embedding provider configured - vector search disabled, using direct lookup');
         this.initialized = true;
         return;
       }
 
-      const genAI = new GoogleGenerativeAI(apiKey);
-      this.embeddingModel = genAI.getGenerativeModel({ model: 'text-embedding-004' });
-
       // Try to load Vectra index
-      const vectraPath = path.join(indexDir, 'vectra-index');
+      const vectraPath = snapshots.resolve('vectra', this.snapshotVersion);
 
       if (fs.existsSync(vectraPath)) {
         console.log('Loading Vectra vector index...');
 
         this.vectraIndex = new LocalIndex(vectraPath);
 
-        // Check if index is created
-        if (await this.vectraIndex.isIndexCreated()) {
+        // Query vectors must come from the model that built the index
+        const mismatch = describeIndexMismatch(readIndexMetadata(vectraPath), this.embedder);
+        if (mismatch) {
+          console.warn(`⚠️  Vector search disabled: ${mismatch}`);
+          console.log('📋 Run: npm run build-index to rebuild the vector index with the configured embedder');
+          this.vectraIndex = null;
+          this.initialized = true;
+        } else if (await this.vectraIndex.isIndexCreated()) {
           const stats = await this.vectraIndex.listItems();
           console.log(`✓ Loaded Vectra index with ${stats.length} vectors`);
           this.initialized = true;
@@ -69,7 +184,7 @@ class MutualFundRetriever {
       console.warn('⚠️  Vector search unavailable:', error.message);
       console.log('📋 Falling back to direct lookup mode (answers will still work!)');
       this.vectraIndex = null;
-      this.embeddingModel = null;
+      this.embedder = null;
       this.initialized = true;
     }
   }
@@ -78,162 +193,208 @@ class MutualFundRetriever {
    * Parse user query to extract scheme and intent
    */
   parseQuery(query) {
-    const lowerQuery = query.toLowerCase();
-
-    // Extract scheme mentions
-    let schemeId = null;
-    const schemePatterns = [
-      { pattern: /mid.?cap/i, id: 'hdfc-mid-cap-fund-direct-growth' },
-      { pattern: /large.?cap/i, id: 'hdfc-large-cap-fund-direct-growth' },
-      { pattern: /small.?cap/i, id: 'hdfc-small-cap-fund-direct-growth' },
-      { pattern: /flexi.?cap|equity.?fund/i, id: 'hdfc-flexi-cap-fund-direct-growth' },
-      { pattern: /elss|tax.?saver|80c/i, id: 'hdfc-elss-tax-saver-fund-direct-plan-growth' }
-    ];
-
-    for (const { pattern, id } of schemePatterns) {
-      if (pattern.test(query)) {
-        schemeId = id;
-        break;
-      }
-    }
+    // Extract scheme mentions (best registry match; all candidates are returned)
+    const schemeCandidates = this.schemeRegistry ? this.schemeRegistry.match(query) : [];
+    const schemeId = schemeCandidates.length > 0 ? schemeCandidates[0].schemeId : null;
 
-    // Extract intent/section type
-    let sectionType = null;
-    const intentPatterns = [
-      { pattern: /expense.?ratio|ter|fee|charges/i, section: 'fees' },
-      { pattern: /exit.?load/i, section: 'fees' },
-      { pattern: /minimum.?sip|min.*sip|sip.*amount/i, section: 'facts_performance' },
-      { pattern: /lock.?in|lockin/i, section: 'tax_redemption' },
-      { pattern: /risk|riskometer/i, section: 'riskometer_benchmark' },
-      { pattern: /benchmark/i, section: 'riskometer_benchmark' },
-      { pattern: /holdings?|portfolio|top.*stock/i, section: 'portfolio_holdings' },
-      { pattern: /sector.*allocation|equity.*sector/i, section: 'portfolio_sectors' },
-      { pattern: /fund.?manager|manager.*name|who.*manag/i, section: 'fund_manager' },
-      { pattern: /objective|investment.*strategy/i, section: 'fund_objective' },
-      { pattern: /contact|email|phone|customer.*care/i, section: 'contact_details' },
-      { pattern: /tax|capital.?gains|ltcg|stcg|80c/i, section: 'tax_redemption' },
-      { pattern: /download.*statement|statement.*download|how.*download/i, section: 'downloads' },
-      { pattern: /nav|returns?|performance/i, section: 'facts_performance' },
-      { pattern: /fund.?size|aum/i, section: 'facts_performance' }
-    ];
-
-    for (const { pattern, section } of intentPatterns) {
-      if (pattern.test(query)) {
-        sectionType = section;
-        break;
-      }
-    }
+    // Ranked section intents above the confidence threshold
+    const intents = this.intentClassifier ? this.intentClassifier.detectIntents(query) : [];
+    const sectionType = intents.length > 0 ? intents[0].intent : null;
 
-    return { schemeId, sectionType, query };
+    return { schemeId, schemeCandidates, sectionType, intents, query };
   }
 
   /**
-   * Retrieve relevant chunks based on query using vector search or direct lookup
+   * Retrieve relevant chunks: fetch candidates, then rerank and keep the top `limit`
    */
   async retrieve(query, options = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
 
-    const { schemeId, sectionType } = this.parseQuery(query);
+    const { schemeId, schemeCandidates, sectionType, intents } = this.parseQuery(query);
     const limit = options.limit || 5;
+    const reranker = options.reranker || this.reranker;
+
+    // Comparison: several schemes to compare - fetch the same sections for each of them
+    if (isComparisonQuery(query, schemeCandidates)) {
+      return this.retrieveComparison(query, schemeCandidates, intents, limit, reranker);
+    }
+
+    // Over-fetch so the reranker has candidates to choose from
+    const candidateLimit = Math.min(limit * 3, 50);
+
+    // Several intents: pull chunks for each of them
+    if (intents.length > 1) {
+      return this.retrieveMultiIntent(query, schemeId, schemeCandidates, intents, limit, candidateLimit, reranker);
+    }
+
+    const result = await this.retrieveCandidates(query, schemeId, sectionType, candidateLimit);
+
+    if (!reranker || result.chunks.length === 0) {
+      return { ...result, schemeCandidates, intents, chunks: result.chunks.slice(0, limit) };
+    }
+
+    const chunks = (await reranker.rerank(query, result.chunks)).slice(0, limit);
+
+    return {
+      ...result,
+      schemeCandidates,
+      intents,
+      chunks,
+      reranker: reranker.name,
+      scores: chunks.map(c => c.rerankScore)
+    };
+  }
+
+  /**
+   * Retrieve chunks for every detected intent, interleaving them so each intent's
+   * best chunk makes the cut before any intent gets a second one
+   */
+  async retrieveMultiIntent(query, schemeId, schemeCandidates, intents, limit, candidateLimit, reranker) {
+    const perIntent = [];
+    let method = null;
+
+    for (const { intent } of intents) {
+      const result = await this.retrieveCandidates(query, schemeId, intent, candidateLimit);
+      method = method || result.method;
+      const ranked = reranker && result.chunks.length > 1
+        ? await reranker.rerank(query, result.chunks)
+        : result.chunks;
+      perIntent.push(ranked);
+    }
+
+    const chunks = [];
+    const seen = new Set();
+    const depth = Math.max(...perIntent.map(ranked => ranked.length));
+    for (let rank = 0; rank < depth && chunks.length < limit; rank++) {
+      for (const ranked of perIntent) {
+        const chunk = ranked[rank];
+        if (chunk && !seen.has(chunk.chunk_id) && chunks.length < limit) {
+          seen.add(chunk.chunk_id);
+          chunks.push(chunk);
+        }
+      }
+    }
+
+    return {
+      chunks,
+      method: `multi_intent_${method || 'direct_lookup'}`,
+      schemeId,
+      sectionType: intents[0].intent,
+      schemeCandidates,
+      intents,
+      reranker: reranker ? reranker.name : undefined,
+      scores: chunks.map(c => c.rerankScore)
+    };
+  }
+
+  /**
+   * Retrieve the best chunk for every requested section of every mentioned scheme,
+   * section by section so each scheme's first section makes the cut within `limit`
+   */
+  async retrieveComparison(query, schemeCandidates, intents, limit, reranker) {
+    const schemeIds = schemeCandidates.map(candidate => candidate.schemeId);
+    const sectionTypes = intents.length > 0 ? intents.map(({ intent }) => intent) : [null];
+    const chunks = [];
+    const seen = new Set();
+    let method = null;
+
+    for (const sectionType of sectionTypes) {
+      for (const schemeId of schemeIds) {
+        if (chunks.length >= limit) break;
+
+        const result = await this.retrieveCandidates(query, schemeId, sectionType, 5);
+        method = method || result.method;
+
+        let schemeChunks = result.chunks.filter(chunk => chunk.scheme_id === schemeId && !seen.has(chunk.chunk_id));
+        if (reranker && schemeChunks.length > 1) {
+          schemeChunks = await reranker.rerank(query, schemeChunks);
+        }
+        if (schemeChunks.length > 0) {
+          seen.add(schemeChunks[0].chunk_id);
+          chunks.push(schemeChunks[0]);
+        }
+      }
+    }
+
+    return {
+      chunks,
+      method: `comparison_${method || 'direct_lookup'}`,
+      schemeId: schemeIds[0],
+      sectionType: sectionTypes[0],
+      schemeCandidates,
+      intents,
+      comparison: { schemeIds, sectionType: sectionTypes[0] },
+      reranker: reranker ? reranker.name : undefined,
+      scores: chunks.map(c => c.rerankScore)
+    };
+  }
 
+  /**
+   * Candidate retrieval using hybrid (vector + BM25) search or direct lookup
+   */
+  async retrieveCandidates(query, schemeId, sectionType, limit) {
     // If Vectra is not available, use direct lookup
-    if (!this.vectraIndex || !this.embeddingModel) {
+    if (!this.vectraIndex || !this.embedder) {
       return this.retrieveDirectLookup(query, schemeId, sectionType, limit);
     }
 
     try {
       // Generate query embedding
-      const result = await this.embeddingModel.embedContent(query);
-      const queryEmbedding = result.embedding.values;
+      const queryEmbedding = await this.embedder.embed(query);
 
       // Search Vectra index
       const k = Math.min(limit * 3, 50); // Get more candidates for filtering
       const searchResults = await this.vectraIndex.queryItems(queryEmbedding, k);
 
       // searchResults is an array of { item: {vector, metadata}, score }
-      let results = [];
-
-      // First pass: strict filtering (both scheme and section must match)
-      if (schemeId && sectionType) {
-        for (const result of searchResults) {
-          const metadata = result.item.metadata;
-          if (metadata.scheme_id === schemeId && metadata.section_type === sectionType) {
-            const chunk = this.chunkLookup[metadata.chunk_id];
-            if (chunk) {
-              results.push({
-                ...chunk,
-                vectorScore: result.score,
-              });
-            }
-          }
-        }
-      }
+      const vectorScores = {};
+      const vectorRanking = searchResults.map(result => {
+        const chunkId = result.item.metadata.chunk_id;
+        vectorScores[chunkId] = result.score;
+        return chunkId;
+      });
 
-      // Second pass: if we have section type but no scheme, or no results from first pass
-      if (results.length === 0 && sectionType) {
-        for (const result of searchResults) {
-          const metadata = result.item.metadata;
-          if (metadata.section_type === sectionType) {
-            // If schemeId is specified, skip non-matching schemes
-            if (schemeId && metadata.scheme_id !== schemeId) continue;
-
-            const chunk = this.chunkLookup[metadata.chunk_id];
-            if (chunk) {
-              results.push({
-                ...chunk,
-                vectorScore: result.score,
-              });
-            }
-          }
-        }
-      }
+      // Lexical ranking over the same candidate budget
+      const lexicalScores = {};
+      const lexicalRanking = this.searchLexical(query, k).map(result => {
+        lexicalScores[result.chunk_id] = result.score;
+        return result.chunk_id;
+      });
 
-      // Third pass: if we have scheme but no section, or still no results
-      if (results.length === 0 && schemeId) {
-        for (const result of searchResults) {
-          const metadata = result.item.metadata;
-          if (metadata.scheme_id === schemeId) {
-            const chunk = this.chunkLookup[metadata.chunk_id];
-            if (chunk) {
-              results.push({
-                ...chunk,
-                vectorScore: result.score,
-              });
-            }
-          }
-        }
-      }
+      const rankings = [vectorRanking];
+      if (lexicalRanking.length > 0) rankings.push(lexicalRanking);
 
-      // Fourth pass: no filters, use pure vector similarity
-      if (results.length === 0) {
-        for (const result of searchResults) {
-          const metadata = result.item.metadata;
-          const chunk = this.chunkLookup[metadata.chunk_id];
-          if (chunk) {
-            results.push({
-              ...chunk,
-              vectorScore: result.score,
-            });
-          }
-        }
-      }
+      const candidates = reciprocalRankFusion(rankings)
+        .map(({ chunk_id, score }) => {
+          const chunk = this.chunkLookup[chunk_id];
+          if (!chunk) return null;
+          return {
+            ...chunk,
+            vectorScore: vectorScores[chunk_id],
+            lexicalScore: lexicalScores[chunk_id],
+            fusedScore: score
+          };
+        })
+        .filter(Boolean);
+
+      let results = this.applyFilterPasses(candidates, schemeId, sectionType);
 
       // If still no results, use direct lookup
       if (results.length === 0) {
         return this.retrieveDirectLookup(query, schemeId, sectionType, limit);
       }
 
-      // Return top-k results
+      // Return top candidates
       results = results.slice(0, limit);
 
       return {
         chunks: results,
-        method: 'vector_search',
+        method: rankings.length > 1 ? 'hybrid_search' : 'vector_search',
         schemeId,
         sectionType,
-        scores: results.map(r => r.vectorScore)
+        scores: results.map(r => r.fusedScore)
       };
 
     } catch (error) {
@@ -243,6 +404,57 @@ class MutualFundRetriever {
     }
   }
 
+  /**
+   * Cascading metadata filters over ranked candidates:
+   * strict (scheme + section) → section → scheme → unfiltered
+   */
+  applyFilterPasses(candidates, schemeId, sectionType) {
+    // First pass: strict filtering (both scheme and section must match)
+    if (schemeId && sectionType) {
+      const strict = candidates.filter(c => c.scheme_id === schemeId && c.section_type === sectionType);
+      if (strict.length > 0) return strict;
+    }
+
+    // Second pass: section type only (when no scheme was mentioned)
+    if (sectionType && !schemeId) {
+      const bySection = candidates.filter(c => c.section_type === sectionType);
+      if (bySection.length > 0) return bySection;
+    }
+
+    // Third pass: scheme only
+    if (schemeId) {
+      const byScheme = candidates.filter(c => c.scheme_id === schemeId);
+      if (byScheme.length > 0) return byScheme;
+    }
+
+    // Fourth pass: no filters, use fused ranking as-is
+    return candidates;
+  }
+
+  /**
+   * BM25 search over the lexical index
+   * Returns [{ chunk_id, score }]
+   */
+  searchLexical(query, limit) {
+    if (!this.lexicalIndex) return [];
+    return this.lexicalIndex.search(query, limit);
+  }
+
+  /**
+   * Order chunks by BM25 score for the query (stable for ties)
+   */
+  rankByLexical(query, chunks) {
+    if (!this.lexicalIndex || chunks.length < 2) return chunks;
+    const scores = {};
+    this.searchLexical(query, Object.keys(this.chunkLookup).length).forEach(r => {
+      scores[r.chunk_id] = r.score;
+    });
+    return chunks
+      .map((chunk, idx) => ({ chunk, idx, score: scores[chunk.chunk_id] || 0 }))
+      .sort((a, b) => b.score - a.score || a.idx - b.idx)
+      .map(({ chunk, score }) => ({ ...chunk, lexicalScore: score }));
+  }
+
   /**
    * Direct lookup fallback when vector search is unavailable
    */
@@ -279,23 +491,23 @@ class MutualFundRetriever {
       candidateChunks = chunkIds.map(id => this.chunkLookup[id]).filter(Boolean);
     }
 
-    // Strategy 5: Last resort - simple text matching
+    // Strategy 5: Last resort - BM25 over the whole corpus
     if (candidateChunks.length === 0) {
-      const lowerQuery = query.toLowerCase();
-      candidateChunks = Object.values(this.chunkLookup).filter(chunk => {
-        const contentLower = (chunk.content_md || '').toLowerCase();
-        return contentLower.includes(lowerQuery.split(' ')[0]) ||
-          contentLower.includes(lowerQuery.split(' ')[1] || '');
-      });
+      candidateChunks = this.searchLexical(query, limit)
+        .map(result => this.chunkLookup[result.chunk_id])
+        .filter(Boolean);
     }
 
+    // Rank candidates by exact-term relevance
+    candidateChunks = this.rankByLexical(query, candidateChunks).slice(0, limit);
+
     // Return top chunks
     return {
-      chunks: candidateChunks.slice(0, limit),
+      chunks: candidateChunks,
       method: 'direct_lookup_search',
       schemeId,
       sectionType,
-      scores: candidateChunks.map(() => 0.8) // Dummy score
+      scores: candidateChunks.map(c => c.lexicalScore || 0)
     };
   }
 
@@ -310,13 +522,40 @@ class MutualFundRetriever {
   }
 
   /**
-   * List all schemes
+   * List indexed fund schemes (sources of other types, e.g. regulatory pages, are left out)
    */
   listSchemes() {
     if (!this.initialized) {
       throw new Error('Retriever not initialized');
     }
-    return this.metadataIndex.all_schemes;
+    return this.metadataIndex.all_schemes.filter(schemeId => this.sources.isScheme(schemeId));
+  }
+
+  /**
+   * Registry entry for a scheme (accepts legacy IDs)
+   */
+  getScheme(schemeId) {
+    return this.schemeRegistry ? this.schemeRegistry.get(schemeId) : null;
+  }
+
+  /**
+   * Get display name for a scheme (falls back to the scheme ID)
+   */
+  getSchemeName(schemeId) {
+    const chunks = this.getSchemeChunks(schemeId);
+    return chunks.length > 0 ? chunks[0].scheme_display_name : schemeId;
+  }
+
+  /**
+   * Which index this retriever is serving
+   */
+  describeIndex() {
+    return {
+      snapshot: this.snapshotVersion,
+      loadedAt: this.loadedAt,
+      chunks: this.chunkLookup ? Object.keys(this.chunkLookup).length : 0,
+      vectorSearch: !!(this.vectraIndex && this.embedder)
+    };
   }
 
   /**
@@ -331,14 +570,67 @@ class MutualFundRetriever {
   }
 }
 
-// Singleton instance
-let retrieverInstance = null;
+// Singleton state lives on globalThis: Next.js bundles each API route separately,
+// and a reload triggered from one route must reach the others
+const shared = globalThis.__mfRetriever || (globalThis.__mfRetriever = { instance: null, reloadPromise: null, watching: false });
 
 function getRetriever() {
-  if (!retrieverInstance) {
-    retrieverInstance = new MutualFundRetriever();
+  if (!shared.instance) {
+    shared.instance = new MutualFundRetriever();
+    watchActiveSnapshot();
+  }
+  return shared.instance;
+}
+
+/**
+ * Load the active snapshot into a fresh retriever and swap it in once it is ready.
+ * Requests already holding the previous instance finish against it; if loading
+ * fails, the previous instance keeps serving. Concurrent calls share one reload.
+ */
+function reloadRetriever() {
+  if (!shared.reloadPromise) {
+    shared.reloadPromise = (async () => {
+      const previous = shared.instance;
+      const fresh = new MutualFundRetriever();
+      await fresh.initialize();
+
+      shared.instance = fresh;
+      reloadFundFactsStore();
+      console.log(`✓ Index reloaded: ${previous?.snapshotVersion || 'legacy index'} → ${fresh.snapshotVersion || 'legacy index'}`);
+      return { previous: previous ? previous.describeIndex() : null, current: fresh.describeIndex() };
+    })().finally(() => {
+      shared.reloadPromise = null;
+    });
   }
-  return retrieverInstance;
+  return shared.reloadPromise;
+}
+
+/**
+ * Poll the snapshot pointer and reload when build-index or the snapshot CLI
+ * activates a different snapshot
+ */
+function watchActiveSnapshot() {
+  if (shared.watching || !(INDEX_WATCH_INTERVAL_MS > 0)) return;
+  shared.watching = true;
+
+  const snapshots = new IndexSnapshotStore(path.join(process.cwd(), 'data', 'index'));
+  fs.watchFile(snapshots.pointerPath, { interval: INDEX_WATCH_INTERVAL_MS, persistent: false }, () => {
+    let active;
+    try {
+      active = snapshots.activeVersion();
+    } catch (error) {
+      console.warn('⚠️  Could not read the active snapshot pointer:', error.message);
+      return;
+    }
+
+    const current = shared.instance;
+    if (!current || !current.initialized || current.snapshotVersion === active) return;
+
+    console.log(`📋 Active index snapshot changed to ${active || 'legacy index'} - reloading`);
+    reloadRetriever().catch(error => {
+      console.warn('⚠️  Index reload failed, still serving the previous snapshot:', error.message);
+    });
+  });
 }
 
-module.exports = { MutualFundRetriever, getRetriever };
+module.exports = { MutualFundRetriever, getRetriever, reloadRetriever, reciprocalRankFusion };
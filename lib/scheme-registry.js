@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const { SourceRegistry } = require('./sources');
+
+/**
+ * Scheme registry generated from ingested chunks.
+ * Each entry carries identifiers (ISIN, AMFI code), plan/option and the aliases
+ * users type ("mid cap", "flexi cap", "elss"); match() fuzzy-matches a query
+ * against those aliases and returns every candidate scheme with a score.
+ */
+
+// Words that identify the AMC, plan or option rather than the scheme itself
+const AMC_NAMES = { hdfc: 'HDFC Mutual Fund' };
+const NAME_NOISE = new Set(['direct', 'regular', 'plan', 'growth', 'idcw', 'option', 'fund']);
+const CATEGORY_NOISE = new Set(['equity', 'debt', 'hybrid']);
+
+const MIN_MATCH_SCORE = 0.75;
+const MIN_FUZZY_TOKEN_LENGTH = 4;
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Edit-distance similarity in 0..1 (adjacent transpositions count as one edit)
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return 1 - d[a.length][b.length] / Math.max(a.length, b.length);
+}
+
+function tokenSimilarity(aliasToken, queryToken) {
+  if (aliasToken.length < MIN_FUZZY_TOKEN_LENGTH || queryToken.length < MIN_FUZZY_TOKEN_LENGTH) {
+    return aliasToken === queryToken ? 1 : 0;
+  }
+  return similarity(aliasToken, queryToken);
+}
+
+/**
+ * Aliases derived from the display name, the scheme ID and the category:
+ * "HDFC Mid Cap Fund Direct Growth" + "Equity Mid Cap" → "mid cap", "mid cap fund"
+ */
+function generateAliases(schemeId, displayName, category, amcKey) {
+  const core = text => normalize(text)
+    .split(' ')
+    .filter(token => token && token !== amcKey && !NAME_NOISE.has(token))
+    .join(' ');
+
+  const aliases = new Set();
+  [core(displayName), core(schemeId)].forEach(name => {
+    if (!name) return;
+    if (name.includes(' ')) aliases.add(name);
+    aliases.add(`${name} fund`);
+  });
+
+  const categoryCore = normalize(category).split(' ').filter(token => !CATEGORY_NOISE.has(token)).join(' ');
+  if (categoryCore) aliases.add(categoryCore);
+
+  return Array.from(aliases);
+}
+
+function describeScheme(schemeId, chunks, override = {}) {
+  const primary = chunks.find(chunk => chunk.section_type === 'facts_performance') || chunks[0];
+  const fields = chunks.reduce((all, chunk) => ({ ...chunk.fields_json, ...all }), {});
+  const displayName = primary.scheme_display_name || schemeId;
+  const words = normalize(`${displayName} ${schemeId}`).split(' ');
+
+  const amcKey = Object.keys(AMC_NAMES).find(key => words[0] === key) || words[0];
+  const aliases = generateAliases(schemeId, displayName, fields.category, amcKey);
+
+  return {
+    id: schemeId,
+    display_name: displayName,
+    amc: AMC_NAMES[amcKey] || null,
+    category: fields.category || null,
+    plan: words.includes('regular') ? 'Regular' : words.includes('direct') ? 'Direct' : null,
+    option: words.includes('idcw') ? 'IDCW' : words.includes('growth') ? 'Growth' : null,
+    isin: fields.isin || null,
+    amfi_code: fields.amfi_code || null,
+    source_url: primary.source_url || null,
+    ...override,
+    aliases: Array.from(new Set([...aliases, ...(override.aliases || []).map(normalize)]))
+  };
+}
+
+class SchemeRegistry {
+  constructor(schemes = []) {
+    this.schemes = schemes;
+    this.byId = {};
+    schemes.forEach(scheme => {
+      this.byId[scheme.id] = scheme;
+      (scheme.legacy_ids || []).forEach(legacyId => {
+        this.byId[legacyId] = scheme;
+      });
+    });
+  }
+
+  /**
+   * Build the registry from chunks; overrides ({ schemeId: {...} }) add aliases,
+   * identifiers or legacy IDs that the scraped pages don't carry. Chunks from
+   * sources that aren't scheme pages (regulatory, downloads) are left out.
+   */
+  static fromChunks(chunks, overrides = {}, sources = new SourceRegistry()) {
+    const bySchemeId = {};
+    chunks.forEach(chunk => {
+      if (!chunk.scheme_id || !sources.isScheme(chunk.scheme_id)) return;
+      (bySchemeId[chunk.scheme_id] = bySchemeId[chunk.scheme_id] || []).push(chunk);
+    });
+
+    return new SchemeRegistry(
+      Object.entries(bySchemeId).map(([schemeId, schemeChunks]) =>
+        describeScheme(schemeId, schemeChunks, overrides[schemeId]))
+    );
+  }
+
+  static fromJSON(json) {
+    return new SchemeRegistry(json.schemes || []);
+  }
+
+  toJSON() {
+    return {
+      generated_at: new Date().toISOString(),
+      scheme_count: this.schemes.length,
+      schemes: this.schemes
+    };
+  }
+
+  /**
+   * Look up a scheme by current or legacy ID
+   */
+  get(schemeId) {
+    return this.byId[schemeId] || null;
+  }
+
+  /**
+   * Fuzzy-match a query against scheme aliases
+   * Returns [{ schemeId, score, alias }] sorted by score, then by position in the query
+   */
+  match(query) {
+    const text = normalize(query);
+    const tokens = text.split(' ').filter(Boolean);
+    if (tokens.length === 0) return [];
+
+    // Single tokens plus adjacent pairs joined, so "midcap" meets "mid cap"
+    const units = [...tokens];
+    for (let i = 0; i < tokens.length - 1; i++) {
+      units.push(tokens[i] + tokens[i + 1]);
+    }
+    const compactText = tokens.join('');
+
+    const candidates = [];
+
+    this.schemes.forEach(scheme => {
+      let best = null;
+
+      scheme.aliases.forEach(alias => {
+        const aliasTokens = alias.split(' ');
+        const compactAlias = aliasTokens.join('');
+        let score = 0;
+        let position = -1;
+
+        if (` ${text} `.includes(` ${alias} `)) {
+          score = 1;
+          position = text.indexOf(alias);
+        } else if (compactText.includes(compactAlias) && compactAlias.length >= MIN_FUZZY_TOKEN_LENGTH) {
+          score = 0.95;
+          position = text.indexOf(aliasTokens[0]);
+        } else {
+          // Typo-tolerant: every alias token needs a close query token, in order and
+          // adjacent - a window of query tokens as long as the alias
+          for (let start = 0; start + aliasTokens.length <= tokens.length; start++) {
+            const tokenScores = aliasTokens.map((aliasToken, i) => tokenSimilarity(aliasToken, tokens[start + i]));
+            if (tokenScores.every(value => value >= MIN_MATCH_SCORE)) {
+              score = Math.max(score, 0.9 * tokenScores.reduce((sum, value) => sum + value, 0) / tokenScores.length);
+            }
+          }
+          const compactScore = Math.max(...units.map(unit => tokenSimilarity(compactAlias, unit)));
+          score = Math.max(score, 0.9 * compactScore);
+        }
+
+        if (score >= MIN_MATCH_SCORE && (!best || score > best.score)) {
+          best = { schemeId: scheme.id, score: Number(score.toFixed(3)), alias, position };
+        }
+      });
+
+      if (best) candidates.push(best);
+    });
+
+    return candidates
+      .sort((a, b) => b.score - a.score || (a.position === -1) - (b.position === -1) || a.position - b.position)
+      .map(({ schemeId, score, alias }) => ({ schemeId, score, alias }));
+  }
+}
+
+/**
+ * Manually maintained aliases and identifiers (data/scheme-overrides.json)
+ */
+function loadSchemeOverrides(dataDir = path.join(process.cwd(), 'data')) {
+  const overridesPath = path.join(dataDir, 'scheme-overrides.json');
+  try {
+    if (fs.existsSync(overridesPath)) {
+      return JSON.parse(fs.readFileSync(overridesPath, 'utf8'));
+    }
+  } catch (error) {
+    console.warn('⚠️  Could not load scheme overrides:', error.message);
+  }
+  return {};
+}
+
+module.exports = { SchemeRegistry, loadSchemeOverrides };
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Source registry (data/sources.json): every page the pipeline ingests, with its
+ * URL, type, parser, refresh schedule and enabled flag. The source ID is the
+ * scheme_id its chunks are stored under.
+ */
+
+const SOURCE_TYPES = ['scheme_page', 'regulatory', 'downloads', 'amc_factsheet'];
+
+// How often a source should be re-fetched; "manual" sources only refresh on request
+const SCHEDULE_INTERVALS_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+  manual: null
+};
+
+/**
+ * Check one source entry, returning the problems found (empty when valid)
+ */
+function validateSource(source) {
+  const problems = [];
+  if (!source.id || !/^[a-z0-9-]+$/.test(source.id)) problems.push('id must be a lowercase slug');
+  try {
+    new URL(source.url);
+  } catch {
+    problems.push(`url "${source.url}" is not a valid URL`);
+  }
+  if (!SOURCE_TYPES.includes(source.type)) problems.push(`type must be one of ${SOURCE_TYPES.join(', ')}`);
+  if (!source.parser) problems.push('parser is required');
+  if (!(source.schedule in SCHEDULE_INTERVALS_MS)) {
+    problems.push(`schedule must be one of ${Object.keys(SCHEDULE_INTERVALS_MS).join(', ')}`);
+  }
+  if (typeof source.enabled !== 'boolean') problems.push('enabled must be true or false');
+  return problems;
+}
+
+class SourceRegistry {
+  constructor(sources = []) {
+    const problems = [];
+    const seen = new Set();
+    sources.forEach(source => {
+      validateSource(source).forEach(problem => problems.push(`${source.id || JSON.stringify(source)}: ${problem}`));
+      if (seen.has(source.id)) problems.push(`${source.id}: duplicate id`);
+      seen.add(source.id);
+    });
+    if (problems.length > 0) {
+      throw new Error(`Invalid sources config:\n  ${problems.join('\n  ')}`);
+    }
+
+    this.sources = sources;
+    this.byId = new Map(sources.map(source => [source.id, source]));
+  }
+
+  static load(dataDir = path.join(process.cwd(), 'data')) {
+    const sourcesPath = path.join(dataDir, 'sources.json');
+    if (!fs.existsSync(sourcesPath)) {
+      return new SourceRegistry([]);
+    }
+    return new SourceRegistry(JSON.parse(fs.readFileSync(sourcesPath, 'utf8')).sources || []);
+  }
+
+  get(id) {
+    return this.byId.get(id) || null;
+  }
+
+  /**
+   * Enabled sources, optionally of one type
+   */
+  enabled(type = null) {
+    return this.sources.filter(source => source.enabled && (!type || source.type === type));
+  }
+
+  /**
+   * Whether chunks stored under this ID belong to a fund scheme. IDs the config
+   * doesn't declare count as schemes, so older indexes keep working.
+   */
+  isScheme(id) {
+    const source = this.get(id);
+    return !source || source.type === 'scheme_page';
+  }
+}
+
+module.exports = { SourceRegistry, SOURCE_TYPES, SCHEDULE_INTERVALS_MS };
@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import path from 'path';
+import { getRetriever, reloadRetriever } from '../../../lib/retriever';
+import { IndexSnapshotStore } from '../../../lib/index-snapshots';
+
+/**
+ * Admin: reload indexes without restarting the server
+ *
+ * GET  /api/admin/reload - Loaded and active snapshot versions
+ * POST /api/admin/reload - Load the active snapshot and swap it in
+ *
+ * Requires Authorization: Bearer <ADMIN_TOKEN>. Disabled when ADMIN_TOKEN is unset.
+ */
+
+function isAuthorized(req, token) {
+  const header = req.headers.authorization || '';
+  const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+function activeSnapshot() {
+  return new IndexSnapshotStore(path.join(process.cwd(), 'data', 'index')).activeVersion();
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(503).json({
+      error: 'Admin API disabled',
+      message: 'Set ADMIN_TOKEN to enable admin routes'
+    });
+  }
+
+  if (!isAuthorized(req, token)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Missing or invalid admin token'
+    });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const retriever = getRetriever();
+      await retriever.initialize();
+
+      return res.status(200).json({
+        loaded: retriever.describeIndex(),
+        activeSnapshot: activeSnapshot(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { previous, current } = await reloadRetriever();
+
+    return res.status(200).json({
+      status: 'reloaded',
+      previous,
+      loaded: current,
+      activeSnapshot: activeSnapshot(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Index reload error:', error);
+    return res.status(500).json({
+      error: 'Failed to reload indexes',
+      message: error.message
+    });
+  }
+}
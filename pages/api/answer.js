@@ -1,18 +1,153 @@
 import { getRetriever } from '../../lib/retriever';
 import { getGeminiClient } from '../../lib/gemini';
+import { getConversationStore, rewriteQuery } from '../../lib/conversation';
+import { getFundFactsStore } from '../../lib/fund-facts';
+import { comparisonForRetrieval } from '../../lib/comparison';
+import { chunkFreshness } from '../../lib/freshness';
+
+const NO_RESULTS_ANSWER = 'I could not find relevant information to answer this question. Please check the official Groww mutual fund pages or contact support.';
+const DEFAULT_SOURCE_URL = 'https://groww.in/mutual-funds';
+
+/**
+ * Retrieval metadata shared by the JSON and streaming responses
+ */
+function describeRetrieval(retrievalResult) {
+  return {
+    chunksFound: retrievalResult.chunks.length,
+    retrievalMethod: retrievalResult.method,
+    intents: retrievalResult.intents,
+    reranker: retrievalResult.reranker,
+    retrievedChunks: retrievalResult.chunks.map(chunk => {
+      const freshness = chunkFreshness(chunk);
+      return {
+        chunkId: chunk.chunk_id,
+        sectionType: chunk.section_type,
+        rerankScore: chunk.rerankScore,
+        asOf: freshness ? freshness.asOf : null,
+        stale: freshness ? freshness.stale : false
+      };
+    })
+  };
+}
+
+/**
+ * Write one Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Stream the answer as SSE: retrieval → comparison? → token* → citations → done (or error).
+ * Once the headers are out, every failure ends the stream with an error event.
+ */
+async function streamAnswer(req, res, options) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Content-Encoding': 'none',
+    Connection: 'keep-alive'
+  });
+
+  let clientClosed = false;
+  req.on('close', () => {
+    clientClosed = true;
+  });
+
+  try {
+    await sendAnswerEvents(res, { ...options, isClientClosed: () => clientClosed });
+  } catch (error) {
+    console.error('Answer stream error:', error);
+    sendEvent(res, 'error', { message: 'The answer could not be generated. Please try again.' });
+  }
+  return res.end();
+}
+
+/**
+ * The events of a streamed answer; throws on failures the stream can't recover from
+ */
+async function sendAnswerEvents(res, { query, rewrite, sessionId, retrievalResult, comparison, gemini, isClientClosed }) {
+  const chunks = retrievalResult.chunks;
+
+  sendEvent(res, 'retrieval', {
+    query: query,
+    rewrittenQuery: rewrite.rewritten ? rewrite.query : undefined,
+    sessionId: sessionId,
+    ...describeRetrieval(retrievalResult)
+  });
+
+  if (comparison) {
+    sendEvent(res, 'comparison', comparison);
+  }
+
+  // A question to refuse is refused whether or not retrieval found anything
+  if (chunks.length === 0 && !gemini.refusalFor(rewrite.query)) {
+    sendEvent(res, 'token', { text: NO_RESULTS_ANSWER });
+    sendEvent(res, 'citations', { sourceUrl: DEFAULT_SOURCE_URL, schemeName: null, citations: [] });
+    sendEvent(res, 'done', { answer: NO_RESULTS_ANSWER, confidence: 'low', timestamp: new Date().toISOString() });
+    return;
+  }
+
+  let streamedText = '';
+  let result;
+
+  if (!gemini.provider || gemini.refusalFor(rewrite.query)) {
+    // No LLM provider configured, or a question to refuse: answer without the model
+    result = await gemini.generateAnswer(rewrite.query, chunks, { comparison });
+    sendEvent(res, 'token', { text: result.answer });
+  } else {
+    try {
+      for await (const delta of gemini.streamAnswer(rewrite.query, chunks, { comparison })) {
+        if (isClientClosed()) break;
+        streamedText += delta;
+        sendEvent(res, 'token', { text: delta });
+      }
+      if (isClientClosed()) return;
+      result = gemini.finalizeAnswer(streamedText, chunks, { comparison });
+    } catch (error) {
+      console.error('Answer stream error:', error);
+
+      // Tokens already reached the client - report the interruption rather than mixing in a fallback
+      if (streamedText) {
+        sendEvent(res, 'error', { message: 'The answer was interrupted. Please try again.' });
+        return;
+      }
+
+      result = gemini.fallbackAnswer(rewrite.query, chunks, { comparison });
+      sendEvent(res, 'token', { text: result.answer });
+    }
+  }
+
+  sendEvent(res, 'citations', {
+    sourceUrl: result.sourceUrl,
+    schemeName: result.schemeName,
+    citations: result.citations
+  });
+  sendEvent(res, 'done', {
+    answer: result.answer,
+    confidence: result.confidence,
+    grounding: result.grounding,
+    freshness: result.freshness,
+    fallback: result.fallback || undefined,
+    timestamp: new Date().toISOString()
+  });
+}
 
 /**
  * FAQ Answer API
  * Retrieves relevant chunks and generates factual answers with source citations
  * 
  * GET /api/answer?q=your+question
+ * GET /api/answer?q=what+about+fees&sessionId=abc123 (follow-up within a conversation)
+ * GET /api/answer?q=your+question&stream=1 (Server-Sent Events: retrieval, comparison, token, citations, done, error)
+ * GET /api/answer?q=compare+expense+ratio+of+mid+cap+and+small+cap (adds a "comparison" table)
  */
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { q: query } = req.query;
+  const { q: query, sessionId: requestedSessionId, stream } = req.query;
 
   if (!query || query.trim().length < 3) {
     return res.status(400).json({ 
@@ -25,32 +160,64 @@ export default async function handler(req, res) {
     const retriever = getRetriever();
     await retriever.initialize();
 
+    // Resolve follow-ups against this session's previous turns
+    const conversations = getConversationStore();
+    const sessionId = conversations.ensureSession(requestedSessionId);
+    const rewrite = rewriteQuery(query, conversations.getHistory(sessionId), retriever);
+
     // Retrieve relevant chunks
-    const retrievalResult = await retriever.retrieve(query, { limit: 3 });
+    const retrievalResult = await retriever.retrieve(rewrite.query, { limit: 3 });
+
+    conversations.addTurn(sessionId, {
+      query: query,
+      rewrittenQuery: rewrite.query,
+      schemeId: retrievalResult.schemeId || rewrite.schemeId,
+      sectionType: retrievalResult.sectionType || rewrite.sectionType
+    });
     
-    if (!retrievalResult.chunks || retrievalResult.chunks.length === 0) {
+    // Side-by-side table for comparison queries (null otherwise)
+    const comparison = comparisonForRetrieval(retrievalResult, {
+      facts: getFundFactsStore(),
+      registry: retriever.schemeRegistry
+    });
+
+    const gemini = getGeminiClient();
+
+    if (stream === '1') {
+      return streamAnswer(req, res, { query, rewrite, sessionId, retrievalResult, comparison, gemini });
+    }
+
+    // Refusals take precedence over the no-results answer
+    const noChunks = !retrievalResult.chunks || retrievalResult.chunks.length === 0;
+    if (noChunks && !gemini.refusalFor(rewrite.query)) {
       return res.status(200).json({
         query: query,
-        answer: 'I could not find relevant information to answer this question. Please check the official Groww mutual fund pages or contact support.',
-        sourceUrl: 'https://groww.in/mutual-funds',
+        sessionId: sessionId,
+        answer: NO_RESULTS_ANSWER,
+        sourceUrl: DEFAULT_SOURCE_URL,
+        citations: [],
         confidence: 'low',
         chunksFound: 0
       });
     }
 
     // Generate answer using Gemini
-    const gemini = getGeminiClient();
-    const result = await gemini.generateAnswer(query, retrievalResult.chunks);
+    const result = await gemini.generateAnswer(rewrite.query, retrievalResult.chunks, { comparison });
 
     // Return response
     return res.status(200).json({
       query: query,
+      rewrittenQuery: rewrite.rewritten ? rewrite.query : undefined,
+      sessionId: sessionId,
       answer: result.answer,
       sourceUrl: result.sourceUrl,
       schemeName: result.schemeName,
+      citations: result.citations,
+      comparison: comparison || undefined,
       confidence: result.confidence,
-      chunksFound: retrievalResult.chunks.length,
-      retrievalMethod: retrievalResult.method,
+      grounding: result.grounding,
+      freshness: result.freshness,
+      ...describeRetrieval(retrievalResult),
       timestamp: new Date().toISOString()
     });
 
@@ -0,0 +1,72 @@
+import { getRetriever } from '../../lib/retriever';
+import { IngestSnapshotStore, changesSince, changelogToMarkdown, parsePeriod } from '../../lib/changelog';
+
+const DEFAULT_PERIOD_DAYS = 30;
+
+/**
+ * Field-level changes between ingestion snapshots
+ *
+ * GET /api/changes (every change in the last 30 days)
+ * GET /api/changes?q=what+changed+in+HDFC+Small+Cap+this+month (scheme and period read from the question; 404 when it names no scheme)
+ * GET /api/changes?scheme=hdfc-small-cap-fund-direct-growth&since=2025-11-01
+ * GET /api/changes?scheme=...&format=md (Markdown changelog)
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { q: query, scheme: requestedScheme, since: requestedSince, format } = req.query;
+
+  try {
+    // Scheme: explicit ID (legacy IDs resolve through the registry) or the best match in the question
+    let scheme = null;
+    if (requestedScheme || query) {
+      const retriever = getRetriever();
+      await retriever.initialize();
+      const schemeId = requestedScheme || retriever.schemeRegistry.match(query)[0]?.schemeId;
+      scheme = schemeId ? retriever.getScheme(schemeId) : null;
+      if (requestedScheme && !scheme) {
+        return res.status(404).json({ error: 'Scheme not found' });
+      }
+      if (!scheme) {
+        return res.status(404).json({
+          error: 'No scheme recognised in the question',
+          message: 'Name a scheme, e.g. "What changed in HDFC Small Cap this month?", or leave out "q" for every change'
+        });
+      }
+    }
+
+    let since;
+    if (requestedSince) {
+      since = new Date(requestedSince);
+      if (Number.isNaN(since.getTime())) {
+        return res.status(400).json({ error: 'Query parameter "since" must be a date (YYYY-MM-DD)' });
+      }
+    } else {
+      since = parsePeriod(query) || new Date(Date.now() - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+    }
+
+    const changelog = changesSince(new IngestSnapshotStore(), since, {
+      schemeIds: scheme ? [scheme.id, ...(scheme.legacy_ids || [])] : null
+    });
+
+    if (format === 'md') {
+      res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+      return res.status(200).send(changelogToMarkdown(changelog));
+    }
+
+    return res.status(200).json({
+      query: query || undefined,
+      scheme: scheme ? { schemeId: scheme.id, schemeName: scheme.display_name } : null,
+      ...changelog
+    });
+
+  } catch (error) {
+    console.error('Changes API error:', error);
+    return res.status(500).json({
+      error: 'Failed to load changes',
+      message: error.message
+    });
+  }
+}
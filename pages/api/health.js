@@ -1,11 +1,15 @@
 import { getRetriever } from '../../lib/retriever';
+import { getLLMProvider } from '../../lib/llm-providers';
+import { IndexSnapshotStore } from '../../lib/index-snapshots';
+import { loadThresholds, schemeFreshness } from '../../lib/freshness';
 import fs from 'fs';
 import path from 'path';
 
 /**
  * Health check API
- * Returns status of ingestion, indexes, and API availability
- * 
+ * Returns status of ingestion, indexes, data freshness and API availability.
+ * Stale data (see lib/freshness.js) reports "degraded" but stays 200.
+ *
  * GET /api/health
  */
 export default async function handler(req, res) {
@@ -20,8 +24,10 @@ export default async function handler(req, res) {
 
     // Check if indexes exist
     const indexExists = fs.existsSync(path.join(indexDir, 'keyword-index-latest.json'));
-    const metadataExists = fs.existsSync(path.join(indexDir, 'metadata-index-latest.json'));
-    const lookupExists = fs.existsSync(path.join(indexDir, 'chunk-lookup-latest.json'));
+    const snapshots = new IndexSnapshotStore(indexDir);
+    const snapshotVersion = snapshots.activeVersion();
+    const metadataExists = fs.existsSync(snapshots.resolve('metadata', snapshotVersion));
+    const lookupExists = fs.existsSync(snapshots.resolve('lookup', snapshotVersion));
 
     // Get latest manifest info
     let manifestInfo = null;
@@ -47,33 +53,45 @@ export default async function handler(req, res) {
     // Try to initialize retriever
     let retrieverStatus = 'not_initialized';
     let schemeCount = 0;
+    let freshness = [];
     try {
       const retriever = getRetriever();
       await retriever.initialize();
       retrieverStatus = 'initialized';
-      schemeCount = retriever.listSchemes().length;
+      const schemeIds = retriever.listSchemes();
+      schemeCount = schemeIds.length;
+
+      const thresholds = loadThresholds();
+      freshness = schemeIds.map(schemeId => schemeFreshness(schemeId, retriever.getSchemeChunks(schemeId), { thresholds }));
     } catch (err) {
       retrieverStatus = 'error';
     }
 
-    // Check Gemini API key
-    const geminiConfigured = !!process.env.GEMINI_API_KEY;
+    // Check LLM provider
+    const provider = getLLMProvider();
+    const llmConfigured = !!provider;
 
-    const healthy = indexExists && metadataExists && lookupExists && retrieverStatus === 'initialized' && geminiConfigured;
+    const healthy = indexExists && metadataExists && lookupExists && retrieverStatus === 'initialized' && llmConfigured;
+    const staleSchemes = freshness.filter(scheme => scheme.stale).map(scheme => scheme.schemeId);
 
     return res.status(healthy ? 200 : 503).json({
-      status: healthy ? 'healthy' : 'unhealthy',
+      status: !healthy ? 'unhealthy' : staleSchemes.length > 0 ? 'degraded' : 'healthy',
       timestamp: new Date().toISOString(),
       checks: {
         indexExists,
         metadataExists,
         lookupExists,
         retrieverStatus,
-        geminiConfigured
+        llmConfigured,
+        dataFresh: staleSchemes.length === 0,
+        llmProvider: provider ? `${provider.name}:${provider.modelName}` : null
       },
       data: {
         manifest: manifestInfo,
-        schemesIndexed: schemeCount
+        snapshot: snapshotVersion,
+        schemesIndexed: schemeCount,
+        staleSchemes,
+        freshness
       }
     });
 
@@ -18,8 +18,9 @@ export default async function handler(req, res) {
     const { scheme_id } = req.query;
 
     if (scheme_id) {
-      // Get specific scheme data
-      const chunks = retriever.getSchemeChunks(scheme_id);
+      // Get specific scheme data (legacy IDs resolve through the registry)
+      const schemeId = retriever.getScheme(scheme_id)?.id || scheme_id;
+      const chunks = retriever.getSchemeChunks(schemeId);
       
       if (chunks.length === 0) {
         return res.status(404).json({ error: 'Scheme not found' });
@@ -37,27 +38,33 @@ export default async function handler(req, res) {
       });
 
       return res.status(200).json({
-        schemeId: scheme_id,
+        schemeId: schemeId,
         schemeName: chunks[0].scheme_display_name,
         sections: organized,
         sourceUrl: chunks[0].source_url
       });
     }
 
-    // List all schemes
+    // List all schemes (data/sources.json decides which indexed pages are schemes)
     const schemes = retriever.listSchemes();
     
     // Get basic info for each scheme
     const schemeList = schemes
-      .filter(id => !id.includes('regulatory') && !id.includes('download'))
       .map(schemeId => {
         const chunks = retriever.getSchemeChunks(schemeId);
         const factsChunk = chunks.find(c => c.section_type === 'facts_performance');
+        const scheme = retriever.getScheme(schemeId);
         
         return {
           schemeId: schemeId,
           schemeName: factsChunk?.scheme_display_name || schemeId,
           category: factsChunk?.fields_json?.category || 'N/A',
+          amc: scheme?.amc || null,
+          plan: scheme?.plan || null,
+          option: scheme?.option || null,
+          isin: scheme?.isin || null,
+          amfiCode: scheme?.amfi_code || null,
+          aliases: scheme?.aliases || [],
           sourceUrl: factsChunk?.source_url || '',
           sections: chunks.map(c => c.section_type)
         };
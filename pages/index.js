@@ -3,6 +3,46 @@ import Head from 'next/head';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 
+// Read a Server-Sent Events response body, calling onEvent(event, data) per message
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+// Turn [n] citation markers into links to the cited Groww page section
+function linkCitationMarkers(text, citations) {
+  if (!citations || citations.length === 0) return text;
+  return text.replace(/\[(\d{1,2})\](?!\()/g, (match, number) => {
+    const citation = citations.find(c => c.index === Number(number));
+    return citation?.url ? `[[${number}]](${citation.url})` : match;
+  });
+}
+
+function formatSectionType(sectionType) {
+  return (sectionType || '').replace(/_/g, ' ');
+}
+
 export default function Home() {
   const [messages, setMessages] = useState([
     {
@@ -16,6 +56,7 @@ export default function Home() {
   const [showStarters, setShowStarters] = useState(true);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const sessionIdRef = useRef(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -53,41 +94,73 @@ export default function Home() {
     };
     setMessages(prev => [...prev, typingMessage]);
 
+    const updateMessage = (patch) => {
+      setMessages(prev => prev.map(msg => (msg.id === typingId ? { ...msg, ...patch(msg) } : msg)));
+    };
+
     try {
-      const response = await fetch(`/api/answer?q=${encodeURIComponent(queryText)}`);
-      const data = await response.json();
+      const params = new URLSearchParams({ q: queryText, stream: '1' });
+      if (sessionIdRef.current) {
+        params.set('sessionId', sessionIdRef.current);
+      }
+      const response = await fetch(`/api/answer?${params.toString()}`);
 
       if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
         throw new Error(data.error || 'Failed to get answer');
       }
 
-      // Remove typing indicator and add real response
-      setMessages(prev => prev.filter(msg => msg.id !== typingId));
+      let finished = false;
 
-      // Add a small delay for more natural feel
-      await new Promise(resolve => setTimeout(resolve, 500));
+      await readEventStream(response, (event, data) => {
+        switch (event) {
+          case 'retrieval':
+            // Keep the conversation going so follow-ups resolve against earlier turns
+            if (data.sessionId) {
+              sessionIdRef.current = data.sessionId;
+            }
+            break;
+          case 'comparison':
+            updateMessage(() => ({ comparison: data }));
+            break;
+          case 'token':
+            updateMessage(msg => ({ isTyping: false, text: msg.text + data.text }));
+            break;
+          case 'citations':
+            updateMessage(() => ({
+              sourceUrl: data.sourceUrl,
+              schemeName: data.schemeName,
+              citations: data.citations || []
+            }));
+            break;
+          case 'done':
+            finished = true;
+            // Final answer replaces the streamed text (it may have been sanitized)
+            updateMessage(() => ({ isTyping: false, text: data.answer, freshness: data.freshness, showFollowUp: true }));
+            break;
+          case 'error':
+            finished = true;
+            updateMessage(msg => (msg.text
+              ? { isTyping: false, streamError: data.message }
+              : { isTyping: false, isError: true, text: `Sorry, I encountered an error: ${data.message}` }));
+            break;
+          default:
+            break;
+        }
+      });
 
-      // Add bot response
-      const botMessage = {
-        type: 'bot',
-        text: data.answer,
-        sourceUrl: data.sourceUrl,
-        schemeName: data.schemeName,
-        timestamp: new Date(),
-        showFollowUp: true
-      };
-      setMessages(prev => [...prev, botMessage]);
+      if (!finished) {
+        throw new Error('Connection lost while streaming the answer');
+      }
     } catch (err) {
-      // Remove typing indicator
-      setMessages(prev => prev.filter(msg => msg.id !== typingId));
-      
-      const errorMessage = {
-        type: 'bot',
-        text: `Sorry, I encountered an error: ${err.message}. Please try again.`,
-        timestamp: new Date(),
-        isError: true
-      };
-      setMessages(prev => [...prev, errorMessage]);
+      // Keep any partial answer, otherwise replace the typing indicator with the error
+      updateMessage(msg => (msg.text && !msg.isTyping
+        ? { streamError: err.message }
+        : {
+          isTyping: false,
+          isError: true,
+          text: `Sorry, I encountered an error: ${err.message}. Please try again.`
+        }));
     } finally {
       setLoading(false);
     }
@@ -163,10 +236,75 @@ export default function Home() {
                     <p className="text-sm whitespace-pre-line">{msg.text}</p>
                   ) : (
                     <div className="text-sm prose prose-sm max-w-none prose-headings:mt-2 prose-headings:mb-1 prose-p:my-1 prose-table:my-2 prose-strong:text-gray-900 prose-strong:font-semibold">
-                      <ReactMarkdown remarkPlugins={[remarkGfm]}>{msg.text}</ReactMarkdown>
+                      <ReactMarkdown
+                        remarkPlugins={[remarkGfm]}
+                        components={{
+                          a: ({ node, ...props }) => <a {...props} target="_blank" rel="noopener noreferrer" />
+                        }}
+                      >
+                        {linkCitationMarkers(msg.text, msg.citations)}
+                      </ReactMarkdown>
+                    </div>
+                  )}
+                  {msg.comparison?.rows?.length > 0 && (
+                    <div className="mt-3 overflow-x-auto">
+                      <table className="w-full text-xs border border-gray-200">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="px-2 py-1.5 text-left font-medium text-gray-500 border-b border-gray-200"></th>
+                            {msg.comparison.schemes.map(scheme => (
+                              <th key={scheme.schemeId} className="px-2 py-1.5 text-left font-semibold text-gray-900 border-b border-gray-200">
+                                {scheme.sourceUrl ? (
+                                  <a href={scheme.sourceUrl} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                                    {scheme.schemeName}
+                                  </a>
+                                ) : scheme.schemeName}
+                              </th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {msg.comparison.rows.map(row => (
+                            <tr key={row.field} className="border-b border-gray-100 last:border-b-0">
+                              <td className="px-2 py-1.5 font-medium text-gray-500">{row.label}</td>
+                              {row.values.map((value, valueIdx) => (
+                                <td key={valueIdx} className="px-2 py-1.5 text-gray-800">{value}</td>
+                              ))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
                     </div>
                   )}
-                  {msg.sourceUrl && (
+                  {msg.freshness?.warning && (
+                    <p className="mt-2 px-2 py-1.5 text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded-md">⚠️ {msg.freshness.warning}</p>
+                  )}
+                  {msg.streamError && (
+                    <p className="mt-2 text-xs text-red-600">⚠️ {msg.streamError}</p>
+                  )}
+                  {msg.citations?.length > 0 ? (
+                    <div className="mt-3 pt-3 border-t border-gray-200">
+                      <p className="text-xs text-gray-500 mb-1">Sources</p>
+                      <ol className="space-y-1">
+                        {msg.citations.map(citation => (
+                          <li key={citation.index} className="text-xs text-gray-600">
+                            <a
+                              href={citation.url}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-groww-primary hover:underline"
+                            >
+                              [{citation.index}] {citation.schemeName} · {formatSectionType(citation.sectionType)}
+                            </a>
+                            {citation.quote && <span className="italic"> “{citation.quote}”</span>}
+                            {citation.fetchedAt && (
+                              <span className="text-gray-400"> (fetched {new Date(citation.fetchedAt).toLocaleDateString('en-IN')})</span>
+                            )}
+                          </li>
+                        ))}
+                      </ol>
+                    </div>
+                  ) : msg.sourceUrl && (
                     <div className="mt-3 pt-3 border-t border-gray-200">
                       <a
                         href={msg.sourceUrl}
@@ -1,26 +1,51 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { LocalIndex } = require('vectra');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { BM25Index } = require('../lib/bm25');
+const { SchemeRegistry, loadSchemeOverrides } = require('../lib/scheme-registry');
+const { SourceRegistry } = require('../lib/sources');
+const { createEmbedder, readIndexMetadata, writeIndexMetadata, describeIndexMismatch } = require('../lib/embeddings');
+const { IndexSnapshotStore, SNAPSHOT_FILES, DEFAULT_RETENTION } = require('../lib/index-snapshots');
 
 /**
  * Build vector indexes using Vectra (pure JavaScript vector database)
- * Creates embeddings using Google's text-embedding-004
+ * Creates embeddings with the configured embedder (EMBEDDING_PROVIDER, see lib/embeddings.js)
  * Stores vectors in local index for fast similarity search - NO DOCKER NEEDED!
+ *
+ * Every build writes a new snapshot under data/index/snapshots/ and activates it
+ * only once complete (see lib/index-snapshots.js); old snapshots beyond
+ * INDEX_SNAPSHOT_RETENTION are pruned.
+ *
+ * Indexing is incremental: only chunks whose hash differs from the manifest of
+ * the previous build are embedded. Pass --full to rebuild from scratch.
  */
 
+// Manifest of the chunks in the vector index, written next to it after each build
+const INDEX_MANIFEST_FILE = 'manifest.json';
+
+// ingest-20251122.jsonl (process-data, ingest) or ingest-full-20251122.jsonl (ingest's copy)
+const INGEST_FILE_PATTERN = /^ingest-(full-)?(\d{8})\.jsonl$/;
+
+/**
+ * Newest ingestion file by the date in its name; on the same date the plain
+ * ingest-YYYYMMDD.jsonl wins, since process-data only writes that one
+ */
+function latestIngestFile(files) {
+  const dated = files
+    .map(file => ({ file, match: INGEST_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => a.match[2].localeCompare(b.match[2]) || Boolean(b.match[1]) - Boolean(a.match[1]));
+  return dated.length > 0 ? dated[dated.length - 1].file : null;
+}
+
 async function loadChunks() {
   const dataDir = path.join(__dirname, '..', 'data', 'jsonl');
-  const files = await fs.readdir(dataDir);
-  const jsonlFiles = files.filter(f => f.startsWith('ingest-') && f.endsWith('.jsonl'));
-  
-  if (jsonlFiles.length === 0) {
+  const latestFile = latestIngestFile(await fs.readdir(dataDir));
+
+  if (!latestFile) {
     throw new Error('No ingestion data found. Run process-data.js first.');
   }
 
-  // Use the latest file
-  jsonlFiles.sort();
-  const latestFile = jsonlFiles[jsonlFiles.length - 1];
   const filePath = path.join(dataDir, latestFile);
   
   console.log(`Loading chunks from: ${latestFile}`);
@@ -29,7 +54,7 @@ async function loadChunks() {
   const chunks = lines.map(line => JSON.parse(line));
   
   console.log(`Loaded ${chunks.length} chunks`);
-  return chunks;
+  return { file: latestFile, chunks };
 }
 
 /**
@@ -64,119 +89,184 @@ function prepareTextForEmbedding(chunk) {
 }
 
 /**
- * Generate embeddings using Google's text-embedding-004
+ * Generate embeddings with the configured embedder
+ * Chunks that fail to embed are left out of the index rather than given placeholder vectors
  */
-async function generateEmbeddings(chunks) {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    throw new Error('GEMINI_API_KEY environment variable is required for embedding generation');
-  }
-  
-  const genAI = new GoogleGenerativeAI(apiKey);
-  const embeddingModel = genAI.getGenerativeModel({ model: 'text-embedding-004' });
-  
-  console.log('Generating embeddings...');
+async function generateEmbeddings(chunks, embedder) {
+  console.log(`Generating embeddings with ${embedder.name}:${embedder.model}...`);
   const embeddings = [];
-  const batchSize = 5; // Process in batches to avoid rate limits
-  
-  for (let i = 0; i < chunks.length; i += batchSize) {
-    const batch = chunks.slice(i, Math.min(i + batchSize, chunks.length));
-    
-    for (const chunk of batch) {
-      try {
-        const text = prepareTextForEmbedding(chunk);
-        const result = await embeddingModel.embedContent(text);
-        const embedding = result.embedding;
-        
-        embeddings.push({
-          chunk_id: chunk.chunk_id,
-          embedding: embedding.values,
-          text_summary: text.substring(0, 200) + '...'
-        });
-        
-        process.stdout.write(`\rProcessed ${embeddings.length}/${chunks.length} embeddings...`);
-      } catch (error) {
-        console.error(`\nFailed to generate embedding for ${chunk.chunk_id}:`, error.message);
-        // Add a zero vector as fallback
-        embeddings.push({
-          chunk_id: chunk.chunk_id,
-          embedding: new Array(768).fill(0), // text-embedding-004 produces 768-dim vectors
-          text_summary: 'Failed to generate embedding',
-          error: true
-        });
-      }
-      
-      // Rate limiting delay
-      await new Promise(resolve => setTimeout(resolve, 200));
+  const failed = [];
+
+  for (const chunk of chunks) {
+    try {
+      const text = prepareTextForEmbedding(chunk);
+      const embedding = await embedder.embed(text);
+
+      embeddings.push({
+        chunk_id: chunk.chunk_id,
+        embedding,
+        text_summary: text.substring(0, 200) + '...'
+      });
+
+      process.stdout.write(`\rProcessed ${embeddings.length}/${chunks.length} embeddings...`);
+    } catch (error) {
+      console.error(`\nFailed to generate embedding for ${chunk.chunk_id}:`, error.message);
+      failed.push(chunk.chunk_id);
+    }
+
+    // Rate limiting delay for hosted APIs
+    if (embedder.rateLimitMs) {
+      await new Promise(resolve => setTimeout(resolve, embedder.rateLimitMs));
     }
   }
-  
+
+  if (chunks.length > 0 && embeddings.length === 0) {
+    throw new Error(`No embeddings generated (${failed.length} chunks failed)`);
+  }
+
   console.log('\n✓ Embeddings generated');
+  if (failed.length > 0) {
+    console.warn(`⚠️  ${failed.length} chunks failed to embed and are excluded from the vector index`);
+  }
   return embeddings;
 }
 
 /**
- * Build Vectra vector index from embeddings
+ * Manifest line for a chunk (same shape as data/meta manifests)
  */
-async function buildVectorIndex(chunks, embeddings) {
+function manifestEntry(chunk) {
+  return {
+    chunk_id: chunk.chunk_id,
+    scheme_id: chunk.scheme_id,
+    section_type: chunk.section_type,
+    source_url: chunk.source_url,
+    hash: chunk.hash,
+    fetched_at: chunk.fetched_at
+  };
+}
+
+/**
+ * Decide what the vector index needs: diff chunk hashes against the manifest of the previous build
+ * Returns { full, reason, added, updated, deleted, unchanged } (added/updated are chunks, the rest chunk_ids)
+ */
+async function planIndexUpdate(chunks, embedder, vectraPath, { full = false } = {}) {
+  const rebuild = reason => ({ full: true, reason, added: chunks, updated: [], deleted: [], unchanged: [] });
+
+  if (full) return rebuild('--full requested');
+
+  const index = new LocalIndex(vectraPath);
+  if (!(await index.isIndexCreated())) return rebuild('no existing vector index');
+
+  const mismatch = describeIndexMismatch(readIndexMetadata(vectraPath), embedder);
+  if (mismatch) return rebuild(mismatch);
+
+  let previousManifest;
   try {
-    console.log('\nBuilding Vectra vector index...');
-    
-    const indexDir = path.join(__dirname, '..', 'data', 'index');
-    await fs.mkdir(indexDir, { recursive: true });
-    
-    const vectraPath = path.join(indexDir, 'vectra-index');
+    previousManifest = JSON.parse(await fs.readFile(path.join(vectraPath, INDEX_MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    return rebuild('no manifest recorded for the existing index');
+  }
+
+  const previousHashes = new Map(previousManifest.chunks.map(chunk => [chunk.chunk_id, chunk.hash]));
+  const currentIds = new Set(chunks.map(chunk => chunk.chunk_id));
+
+  const plan = { full: false, reason: `diff against manifest of ${previousManifest.generated_at}`, added: [], updated: [], deleted: [], unchanged: [] };
+  chunks.forEach(chunk => {
+    if (!previousHashes.has(chunk.chunk_id)) {
+      plan.added.push(chunk);
+    } else if (!chunk.hash || previousHashes.get(chunk.chunk_id) !== chunk.hash) {
+      // Chunks without a hash can't be compared, so they are always re-embedded
+      plan.updated.push(chunk);
+    } else {
+      plan.unchanged.push(chunk.chunk_id);
+    }
+  });
+  plan.deleted = Array.from(previousHashes.keys()).filter(chunkId => !currentIds.has(chunkId));
+
+  return plan;
+}
+
+/**
+ * Apply an index plan to the Vectra index: delete vectors for removed and changed
+ * chunks, insert the new embeddings, then record the manifest and embedder
+ */
+async function buildVectorIndex(snapshotDir, chunks, embeddings, embedder, plan) {
+  try {
+    console.log('\nUpdating Vectra vector index...');
     
-    // Create Vectra index
+    const vectraPath = path.join(snapshotDir, SNAPSHOT_FILES.vectra);
     const index = new LocalIndex(vectraPath);
     
-    // Create index if it doesn't exist
-    if (!(await index.isIndexCreated())) {
-      await index.createIndex();
+    // Full rebuilds start from an empty index so vectors from a previous model never mix with new ones
+    if (plan.full) {
+      await index.createIndex({ version: 1, deleteIfExists: true });
     }
     
-    // Add vectors to index
+    const staleIds = new Set([...plan.deleted, ...plan.updated.map(chunk => chunk.chunk_id)]);
+    const existingItems = await index.listItems();
+    const chunksById = new Map(chunks.map(chunk => [chunk.chunk_id, chunk]));
+    let deletedCount = 0;
     let addedCount = 0;
-    const chunkMapping = [];
     
-    for (let idx = 0; idx < embeddings.length; idx++) {
-      const embedding = embeddings[idx];
-      const chunk = chunks[idx];
+    await index.beginUpdate();
+    try {
+      // Remove vectors for chunks that were deleted or changed
+      for (const item of existingItems) {
+        if (staleIds.has(item.metadata.chunk_id)) {
+          await index.deleteItem(item.id);
+          deletedCount++;
+        }
+      }
       
-      if (!embedding.error && embedding.embedding && embedding.embedding.length === 768) {
-        // Create item metadata
-        const metadata = {
-          chunk_id: chunk.chunk_id,
-          scheme_id: chunk.scheme_id,
-          scheme_name: chunk.scheme_display_name,
-          section_type: chunk.section_type,
-          source_url: chunk.source_url,
-          content_preview: chunk.content_md.substring(0, 200)
-        };
-        
-        // Add to Vectra index
-        await index.insertItem({
-          vector: embedding.embedding,
-          metadata: metadata
-        });
-        
-        chunkMapping.push(metadata);
-        addedCount++;
+      // Add vectors for new and changed chunks
+      for (const embedding of embeddings) {
+        const chunk = chunksById.get(embedding.chunk_id);
         
-        if (addedCount % 5 === 0) {
-          process.stdout.write(`\rAdded ${addedCount}/${embeddings.length} vectors to index...`);
+        if (embedding.embedding.length === embedder.dimensions) {
+          await index.insertItem({
+            vector: embedding.embedding,
+            metadata: {
+              chunk_id: chunk.chunk_id,
+              scheme_id: chunk.scheme_id,
+              scheme_name: chunk.scheme_display_name,
+              section_type: chunk.section_type,
+              source_url: chunk.source_url,
+              content_preview: chunk.content_md.substring(0, 200)
+            }
+          });
+          addedCount++;
         }
       }
+      
+      await index.endUpdate();
+    } catch (error) {
+      index.cancelUpdate();
+      throw error;
     }
     
-    console.log(`\n✓ Added ${addedCount} vectors to Vectra index`);
+    console.log(`✓ Removed ${deletedCount} stale vectors, added ${addedCount} vectors`);
+    
+    const items = await index.listItems();
     
     // Save chunk mapping for reference
-    const mappingPath = path.join(indexDir, 'vectra-mapping.json');
-    await fs.writeFile(mappingPath, JSON.stringify(chunkMapping, null, 2), 'utf8');
+    const mappingPath = path.join(snapshotDir, SNAPSHOT_FILES.mapping);
+    await fs.writeFile(mappingPath, JSON.stringify(items.map(item => item.metadata), null, 2), 'utf8');
     console.log(`✓ Saved chunk mapping to: ${mappingPath}`);
     
-    return { count: addedCount, indexPath: vectraPath, mappingPath };
+    // Record what is indexed so the next build only embeds what changed
+    const indexedChunks = items.map(item => chunksById.get(item.metadata.chunk_id));
+    const manifest = {
+      generated_at: new Date().toISOString(),
+      total_chunks: indexedChunks.length,
+      chunks: indexedChunks.map(manifestEntry)
+    };
+    await fs.writeFile(path.join(vectraPath, INDEX_MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf8');
+
+    // Record the embedder so the retriever only queries with the same model
+    const indexMetadata = writeIndexMetadata(vectraPath, embedder, { count: items.length, built_at: manifest.generated_at });
+    console.log(`✓ Index embedding model: ${indexMetadata.provider}:${indexMetadata.model} (${indexMetadata.dimensions} dims)`);
+    
+    return { count: items.length, items, indexPath: vectraPath, mappingPath, metadata: indexMetadata };
   } catch (error) {
     console.error('Failed to build Vectra index:', error);
     throw error;
@@ -184,35 +274,24 @@ async function buildVectorIndex(chunks, embeddings) {
 }
 
 /**
- * Save embeddings to local file as backup
+ * Save embeddings to the snapshot as a backup
  */
-async function saveEmbeddingsBackup(embeddings, chunks) {
-  const indexDir = path.join(__dirname, '..', 'data', 'index');
-  await fs.mkdir(indexDir, { recursive: true });
-  
-  const timestamp = new Date().toISOString().split('T')[0].replace(/-/g, '');
-  
-  // Save embeddings with metadata
-  const embeddingData = chunks.map((chunk, idx) => ({
-    chunk_id: chunk.chunk_id,
-    scheme_id: chunk.scheme_id,
-    section_type: chunk.section_type,
-    source_url: chunk.source_url,
-    embedding: embeddings[idx].embedding,
-    text_summary: embeddings[idx].text_summary
+async function saveEmbeddingsBackup(snapshotDir, items, chunks) {
+  // Save every indexed vector with metadata
+  const chunksById = new Map(chunks.map(chunk => [chunk.chunk_id, chunk]));
+  const embeddingData = items.map(({ metadata, vector }) => ({
+    chunk_id: metadata.chunk_id,
+    scheme_id: metadata.scheme_id,
+    section_type: metadata.section_type,
+    source_url: metadata.source_url,
+    embedding: vector,
+    text_summary: prepareTextForEmbedding(chunksById.get(metadata.chunk_id)).substring(0, 200) + '...'
   }));
   
-  const embeddingPath = path.join(indexDir, `vector-embeddings-${timestamp}.json`);
+  const embeddingPath = path.join(snapshotDir, SNAPSHOT_FILES.embeddings);
   await fs.writeFile(embeddingPath, JSON.stringify(embeddingData, null, 2), 'utf8');
   console.log(`✓ Saved embeddings backup: ${embeddingPath}`);
   
-  // Save latest copy
-  await fs.writeFile(
-    path.join(indexDir, 'vector-embeddings-latest.json'),
-    JSON.stringify(embeddingData, null, 2),
-    'utf8'
-  );
-  
   return embeddingPath;
 }
 
@@ -272,47 +351,134 @@ function buildChunkLookup(chunks) {
   return lookup;
 }
 
-async function saveIndexes(metadataIndex, chunkLookup) {
-  const indexDir = path.join(__dirname, '..', 'data', 'index');
-  await fs.mkdir(indexDir, { recursive: true });
-
-  const timestamp = new Date().toISOString().split('T')[0].replace(/-/g, '');
-
+async function saveIndexes(snapshotDir, metadataIndex, chunkLookup) {
   // Save metadata index
-  const metadataPath = path.join(indexDir, `metadata-index-${timestamp}.json`);
+  const metadataPath = path.join(snapshotDir, SNAPSHOT_FILES.metadata);
   await fs.writeFile(metadataPath, JSON.stringify(metadataIndex, null, 2), 'utf8');
   console.log(`✓ Saved metadata index: ${metadataPath}`);
 
   // Save chunk lookup
-  const lookupPath = path.join(indexDir, `chunk-lookup-${timestamp}.json`);
+  const lookupPath = path.join(snapshotDir, SNAPSHOT_FILES.lookup);
   await fs.writeFile(lookupPath, JSON.stringify(chunkLookup, null, 2), 'utf8');
   console.log(`✓ Saved chunk lookup: ${lookupPath}`);
 
-  // Save "latest" copies
-  await fs.writeFile(
-    path.join(indexDir, 'metadata-index-latest.json'),
-    JSON.stringify(metadataIndex, null, 2),
-    'utf8'
-  );
-  await fs.writeFile(
-    path.join(indexDir, 'chunk-lookup-latest.json'),
-    JSON.stringify(chunkLookup, null, 2),
-    'utf8'
-  );
-  console.log(`✓ Saved latest index copies`);
-
   return {
     metadataPath,
     lookupPath
   };
 }
 
+/**
+ * Save BM25 lexical index
+ */
+async function saveLexicalIndex(snapshotDir, lexicalIndex) {
+  const bm25Path = path.join(snapshotDir, SNAPSHOT_FILES.bm25);
+  await fs.writeFile(bm25Path, JSON.stringify(lexicalIndex.toJSON(), null, 2), 'utf8');
+  return bm25Path;
+}
+
+/**
+ * Save the scheme registry (IDs, identifiers, aliases)
+ */
+async function saveSchemeRegistry(snapshotDir, registry) {
+  const registryPath = path.join(snapshotDir, SNAPSHOT_FILES.registry);
+  await fs.writeFile(registryPath, JSON.stringify(registry.toJSON(), null, 2), 'utf8');
+  return registryPath;
+}
+
+/**
+ * Copy the trained intent model (npm run train-intents) into the snapshot, so the
+ * snapshot and any rollback to it keep the model it was built with. Returns its
+ * path, or null when no model has been trained.
+ */
+async function saveIntentModel(store, snapshotDir) {
+  const modelPath = path.join(snapshotDir, SNAPSHOT_FILES.intent);
+  try {
+    await fs.copyFile(store.resolve('intent', null), modelPath);
+    return modelPath;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Build vectors into the snapshot, starting from the active snapshot's vectors so
+ * only added or changed chunks are embedded. Returns the snapshot's vector summary,
+ * or null if the snapshot has no vectors.
+ */
+async function buildVectors(store, snapshotDir, chunks) {
+  console.log('\n🔮 Attempting vector embedding generation...');
+  
+  const embedder = createEmbedder();
+  
+  if (!embedder) {
+    console.warn('\n⚠️  No embedding provider configured - skipping vector embeddings');
+    console.log('📋 App will use direct lookup mode (answers will still work!)');
+    console.log('\nTo enable vector search later:');
+    console.log('1. Set GEMINI_API_KEY, or EMBEDDING_PROVIDER=local (CPU model) or EMBEDDING_PROVIDER=hashing');
+    console.log('2. Run: npm run build-index');
+    return null;
+  }
+
+  const vectraPath = path.join(snapshotDir, SNAPSHOT_FILES.vectra);
+  const previousVectraPath = store.resolve('vectra');
+  const hasPreviousVectors = await fs.access(previousVectraPath).then(() => true, () => false);
+  if (hasPreviousVectors) {
+    await fs.cp(previousVectraPath, vectraPath, { recursive: true });
+  }
+
+  try {
+    // Work out which chunks need embedding
+    const plan = await planIndexUpdate(chunks, embedder, vectraPath, { full: process.argv.includes('--full') });
+    console.log(`\n📋 ${plan.full ? 'Full rebuild' : 'Incremental update'} (${plan.reason})`);
+    console.log(`   Added: ${plan.added.length}, updated: ${plan.updated.length}, deleted: ${plan.deleted.length}, unchanged: ${plan.unchanged.length}`);
+
+    // Generate embeddings for new and changed chunks only
+    const toEmbed = [...plan.added, ...plan.updated];
+    let embeddings = [];
+    if (toEmbed.length > 0) {
+      console.log('\nGenerating vector embeddings...');
+      embeddings = await generateEmbeddings(toEmbed, embedder);
+      console.log(`✓ Generated ${embeddings.length} embeddings`);
+    } else {
+      console.log('✓ No chunks to embed');
+    }
+
+    // Update Vectra index
+    const vectorIndexInfo = await buildVectorIndex(snapshotDir, chunks, embeddings, embedder, plan);
+
+    // Save embeddings as backup
+    console.log('\nSaving embeddings backup...');
+    await saveEmbeddingsBackup(snapshotDir, vectorIndexInfo.items, chunks);
+
+    console.log(`\n✓ Vectra index has ${vectorIndexInfo.count} vectors`);
+    console.log(`📋 Summary: ${plan.added.length} added, ${plan.updated.length} updated, ${plan.deleted.length} deleted, ${plan.unchanged.length} unchanged`);
+    console.log('\n🚀 Pure JavaScript vector search - NO DOCKER NEEDED!');
+
+    return vectorIndexInfo.metadata;
+  } catch (embeddingError) {
+    // Never ship vectors that don't match the snapshot's chunks
+    await fs.rm(vectraPath, { recursive: true, force: true });
+    console.warn('\n⚠️  Vector embedding generation failed:', embeddingError.message);
+    console.log('📋 App will use direct lookup mode (answers will still work!)');
+    return null;
+  }
+}
+
 async function main() {
   console.log('Building indexes for mutual fund data...\n');
 
+  const store = new IndexSnapshotStore(path.join(__dirname, '..', 'data', 'index'));
+  let staging = null;
+
   try {
     // Load chunks
-    const chunks = await loadChunks();
+    const { file, chunks } = await loadChunks();
+
+    // Everything is written to a staging snapshot and activated at the end
+    staging = store.createStaging();
+    console.log(`\n📋 Building snapshot ${staging.version}`);
 
     // Build metadata index (always required)
     console.log('\nBuilding metadata index...');
@@ -327,56 +493,65 @@ async function main() {
 
     // Save metadata indexes (required for both vector and direct lookup modes)
     console.log('\nSaving metadata indexes...');
-    const paths = await saveIndexes(metadataIndex, chunkLookup);
-    console.log(`✓ Metadata index: ${paths.metadataPath}`);
-    console.log(`✓ Chunk lookup: ${paths.lookupPath}`);
+    await saveIndexes(staging.dir, metadataIndex, chunkLookup);
 
-    // Try to build vector embeddings (optional - will skip if API key unavailable)
-    console.log('\n🔮 Attempting vector embedding generation...');
-    
-    const apiKey = process.env.GEMINI_API_KEY;
-    
-    if (!apiKey) {
-      console.warn('\n⚠️  GEMINI_API_KEY not set - skipping vector embeddings');
-      console.log('📋 App will use direct lookup mode (answers will still work!)');
-      console.log('\n✅ Basic index building complete!');
-      console.log('\nTo enable vector search later:');
-      console.log('1. Set GEMINI_API_KEY in environment');
-      console.log('2. Run: npm run build-index');
-      return;
+    // Build BM25 lexical index (always required - used for hybrid search and fallback)
+    console.log('\nBuilding BM25 lexical index...');
+    const lexicalIndex = BM25Index.build(chunks);
+    const bm25Path = await saveLexicalIndex(staging.dir, lexicalIndex);
+    console.log(`✓ ${Object.keys(lexicalIndex.df).length} terms over ${lexicalIndex.docCount} chunks`);
+    console.log(`✓ BM25 index: ${bm25Path}`);
+
+    // Build scheme registry (always required - used to detect schemes in queries)
+    console.log('\nBuilding scheme registry...');
+    const dataDir = path.join(__dirname, '..', 'data');
+    const schemeRegistry = SchemeRegistry.fromChunks(chunks, loadSchemeOverrides(dataDir), SourceRegistry.load(dataDir));
+    const registryPath = await saveSchemeRegistry(staging.dir, schemeRegistry);
+    console.log(`✓ ${schemeRegistry.schemes.length} schemes registered`);
+    console.log(`✓ Scheme registry: ${registryPath}`);
+
+    // Bundle the intent model (optional - the retriever trains one in memory without it)
+    const intentModelPath = await saveIntentModel(store, staging.dir);
+    if (intentModelPath) {
+      console.log(`\n✓ Intent model: ${intentModelPath}`);
+    } else {
+      console.warn('\n⚠️  No trained intent model - run npm run train-intents to bundle one');
     }
 
-    try {
-      // Generate embeddings
-      console.log('\nGenerating vector embeddings...');
-      const embeddings = await generateEmbeddings(chunks);
-      console.log(`✓ Generated ${embeddings.length} embeddings`);
+    // Try to build vector embeddings (optional - will skip if no embedder is configured)
+    const vectors = await buildVectors(store, staging.dir, chunks);
+
+    // The manifest marks the bundle complete; commit moves it into place and activates it
+    const manifest = {
+      version: staging.version,
+      created_at: new Date().toISOString(),
+      source: file,
+      total_chunks: chunks.length,
+      schemes_count: metadataIndex.all_schemes.length,
+      vectors,
+      chunks: chunks.map(manifestEntry)
+    };
+    await fs.writeFile(path.join(staging.dir, SNAPSHOT_FILES.manifest), JSON.stringify(manifest, null, 2), 'utf8');
+    store.commit(staging);
+    console.log(`\n✓ Activated snapshot ${staging.version}`);
 
-      // Save embeddings as backup
-      console.log('\nSaving embeddings backup...');
-      await saveEmbeddingsBackup(embeddings, chunks);
-
-      // Build Vectra index
-      console.log('\nBuilding Vectra vector index...');
-      const vectorIndexInfo = await buildVectorIndex(chunks, embeddings);
-      console.log(`✓ Built Vectra index with ${vectorIndexInfo.count} vectors`);
-      console.log('\n✅ Vector index building complete!');
-      console.log(`\nVectra index: ${vectorIndexInfo.indexPath}`);
-      console.log(`Mapping file: ${vectorIndexInfo.mappingPath}`);
-      console.log('\n🚀 Pure JavaScript vector search - NO DOCKER NEEDED!');
-
-    } catch (embeddingError) {
-      console.warn('\n⚠️  Vector embedding generation failed:', embeddingError.message);
-      console.log('📋 App will use direct lookup mode (answers will still work!)');
+    const retention = Number(process.env.INDEX_SNAPSHOT_RETENTION) || DEFAULT_RETENTION;
+    const pruned = store.prune(retention);
+    if (pruned.length > 0) {
+      console.log(`✓ Pruned ${pruned.length} old snapshot(s), keeping the newest ${retention}`);
     }
 
     console.log('\n✅ Index building complete!');
-    console.log(`\nLocal indexes saved to data/index/`);
+    console.log(`\nSnapshot saved to ${store.snapshotDir(staging.version)}`);
     console.log(`\nNext steps:`);
     console.log(`1. Start your app: npm run dev`);
     console.log(`2. Test vector search with your queries!`);
+    console.log(`3. Manage snapshots: npm run snapshots -- list`);
 
   } catch (error) {
+    if (staging) {
+      store.discard(staging);
+    }
     console.error('❌ Index building failed:', error);
     console.error('\nTroubleshooting:');
     console.error('- Ensure you ran: npm run process-data');
@@ -385,4 +560,8 @@ async function main() {
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = { loadChunks, latestIngestFile, buildMetadataIndex, buildChunkLookup, prepareTextForEmbedding, manifestEntry };
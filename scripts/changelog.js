@@ -0,0 +1,70 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { IngestSnapshotStore, changelogBetween, changesSince, changelogToMarkdown } = require('../lib/changelog');
+
+/**
+ * Field-level changelog between ingestion snapshots (data/jsonl/ingest-YYYYMMDD.jsonl).
+ * Writes data/changelog/changelog-<from>-<to>.json and .md, and prints the Markdown.
+ *
+ * Usage: node scripts/changelog.js [options]
+ *   --from YYYYMMDD      Older snapshot (default: the one before --to)
+ *   --to YYYYMMDD        Newer snapshot (default: the latest)
+ *   --since YYYY-MM-DD   Every change since this date instead, dated by snapshot
+ *   --scheme <id>        Only this scheme
+ *   --list               List the available snapshots
+ */
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+function valueOf(argv, flag) {
+  const idx = argv.indexOf(flag);
+  const value = idx >= 0 ? argv[idx + 1] : undefined;
+  return value && !value.startsWith('--') ? value : undefined;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const store = new IngestSnapshotStore(path.join(DATA_DIR, 'jsonl'));
+
+  if (argv.includes('--list')) {
+    const snapshots = store.snapshots();
+    console.log(snapshots.length > 0 ? snapshots.join('\n') : 'No ingestion snapshots yet. Run: npm run ingest');
+    return;
+  }
+
+  const schemeId = valueOf(argv, '--scheme');
+  const sinceText = valueOf(argv, '--since');
+  let changelog;
+  let name;
+
+  if (sinceText) {
+    const since = new Date(sinceText);
+    if (Number.isNaN(since.getTime())) throw new Error('--since must be a date (YYYY-MM-DD)');
+    changelog = changesSince(store, since, { schemeIds: schemeId ? [schemeId] : null });
+    name = `changelog-since-${changelog.since.replace(/-/g, '')}`;
+  } else {
+    changelog = changelogBetween(store, valueOf(argv, '--from'), valueOf(argv, '--to'));
+    if (schemeId) {
+      changelog.changes = changelog.changes.filter(change => change.scheme_id === schemeId);
+      changelog.summary.changes = changelog.changes.length;
+      changelog.summary.schemes = changelog.changes.length > 0 ? 1 : 0;
+    }
+    name = `changelog-${changelog.from.snapshot}-${changelog.to.snapshot}`;
+  }
+  if (schemeId) name += `-${schemeId}`;
+
+  const changelogDir = path.join(DATA_DIR, 'changelog');
+  await fs.mkdir(changelogDir, { recursive: true });
+  const report = { generated_at: new Date().toISOString(), scheme: schemeId || null, ...changelog };
+  const markdown = changelogToMarkdown(changelog);
+  await fs.writeFile(path.join(changelogDir, `${name}.json`), JSON.stringify(report, null, 2), 'utf8');
+  await fs.writeFile(path.join(changelogDir, `${name}.md`), markdown, 'utf8');
+
+  console.log(markdown);
+  console.log(`✓ Changelog: data/changelog/${name}.json, data/changelog/${name}.md`);
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
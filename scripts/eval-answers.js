@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { MutualFundRetriever } = require('../lib/retriever');
+const { GeminiClient } = require('../lib/gemini');
+const { createLLMProvider, MockProvider } = require('../lib/llm-providers');
+const {
+  loadAnswerGoldenSet,
+  evaluateAnswers,
+  compareReports,
+  renderHtmlReport
+} = require('../lib/answer-eval');
+
+/**
+ * Evaluate end-to-end answers on the golden question set
+ *
+ * Usage: node scripts/eval-answers.js [options]
+ *   --llm <name>       mock (default: offline, quotes the retrieved documents), none (direct extraction),
+ *                      or a live provider: gemini | openai (configured as for the app)
+ *   --out <dir>        Where to write answer-eval.json and answer-eval.html (default data/eval/reports)
+ *   --compare <file>   Previous answer-eval.json; exits non-zero if any question went from pass to fail
+ */
+
+const GOLDEN_PATH = path.join(__dirname, '..', 'data', 'eval', 'answer-golden.json');
+const DEFAULT_OUT_DIR = path.join(__dirname, '..', 'data', 'eval', 'reports');
+
+function parseArgs(argv) {
+  const valueOf = (flag, fallback) => {
+    const idx = argv.indexOf(flag);
+    return idx >= 0 ? argv[idx + 1] : fallback;
+  };
+  return {
+    llm: valueOf('--llm', 'mock'),
+    outDir: path.resolve(valueOf('--out', DEFAULT_OUT_DIR)),
+    compare: valueOf('--compare', null)
+  };
+}
+
+function createProvider(name) {
+  if (name === 'mock') return new MockProvider();
+  if (name === 'none') return null;
+
+  const provider = createLLMProvider(name);
+  if (!provider) {
+    throw new Error(`LLM provider "${name}" is not available - check its environment variables`);
+  }
+  return provider;
+}
+
+function printSummary(report) {
+  const { overall, byType, byCheck } = report.summary;
+  console.log(`\nAnswer eval: golden set v${report.dataset_version}, LLM ${report.llm}\n`);
+  Object.entries(byType).forEach(([type, counts]) => console.log(`  ${type.padEnd(14)} ${counts.passed}/${counts.total}`));
+  console.log('');
+  Object.entries(byCheck).forEach(([check, counts]) => console.log(`  check ${check.padEnd(10)} ${counts.passed}/${counts.total}`));
+
+  const failed = report.results.filter(result => !result.passed);
+  if (failed.length > 0) {
+    console.log('\nFailed:');
+    failed.forEach(result => {
+      const failedChecks = Object.entries(result.checks).filter(([, passed]) => passed === false).map(([check]) => check);
+      console.log(`  ${result.id} [${result.type}] failed ${failedChecks.join(', ')}`);
+    });
+  }
+  console.log(`\n${failed.length === 0 ? '✅' : '⚠️ '} ${overall.passed}/${overall.total} answers passed`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const golden = loadAnswerGoldenSet(GOLDEN_PATH);
+
+  // Read the previous report first: --out may overwrite it
+  const previous = options.compare ? JSON.parse(fs.readFileSync(options.compare, 'utf8')) : null;
+
+  const provider = createProvider(options.llm);
+  const report = await evaluateAnswers(golden, {
+    retriever: new MutualFundRetriever(),
+    gemini: new GeminiClient(provider),
+    llm: provider ? `${provider.name}:${provider.modelName}` : 'none'
+  });
+  printSummary(report);
+
+  fs.mkdirSync(options.outDir, { recursive: true });
+  const jsonPath = path.join(options.outDir, 'answer-eval.json');
+  const htmlPath = path.join(options.outDir, 'answer-eval.html');
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2) + '\n', 'utf8');
+  fs.writeFileSync(htmlPath, renderHtmlReport(report), 'utf8');
+  console.log(`✓ Report: ${path.relative(process.cwd(), jsonPath)}, ${path.relative(process.cwd(), htmlPath)}`);
+
+  if (previous) {
+    const changes = compareReports(previous, report);
+    console.log(`\nCompared with ${options.compare} (${previous.llm}, ${previous.generated_at}):`);
+    console.log(`  Regressed: ${changes.regressed.join(', ') || 'none'}`);
+    console.log(`  Fixed: ${changes.fixed.join(', ') || 'none'}`);
+    if (changes.added.length > 0) console.log(`  New questions: ${changes.added.join(', ')}`);
+    if (changes.removed.length > 0) console.log(`  Removed questions: ${changes.removed.join(', ')}`);
+
+    if (changes.regressed.length > 0) {
+      console.error(`\n❌ ${changes.regressed.length} answer(s) regressed`);
+      process.exit(1);
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { MutualFundRetriever } = require('../lib/retriever');
+const {
+  DEFAULT_K,
+  DEFAULT_TOLERANCE,
+  loadGoldenSet,
+  evaluateRetrieval,
+  compareToBaseline,
+  toBaseline
+} = require('../lib/retrieval-eval');
+
+/**
+ * Evaluate retrieval on the golden question set and check it against the baseline
+ *
+ * Usage: node scripts/eval-retrieval.js [options]
+ *   --k N              Score the top N chunks (default 5)
+ *   --tolerance X      Allowed drop per metric before failing (default 0.01)
+ *   --update-baseline  Record these metrics as the baseline for the current setup
+ *   --verbose          Print every question, not just the misses
+ *
+ * Exits non-zero when any metric regresses against the baseline.
+ */
+
+const EVAL_DIR = path.join(__dirname, '..', 'data', 'eval');
+const GOLDEN_PATH = path.join(EVAL_DIR, 'retrieval-golden.json');
+const BASELINE_PATH = path.join(EVAL_DIR, 'retrieval-baseline.json');
+
+function parseArgs(argv) {
+  const valueOf = (flag, fallback) => {
+    const idx = argv.indexOf(flag);
+    return idx >= 0 ? Number(argv[idx + 1]) : fallback;
+  };
+
+  const options = {
+    k: valueOf('--k', DEFAULT_K),
+    tolerance: valueOf('--tolerance', DEFAULT_TOLERANCE),
+    updateBaseline: argv.includes('--update-baseline'),
+    verbose: argv.includes('--verbose')
+  };
+
+  if (!Number.isInteger(options.k) || options.k < 1) throw new Error('--k must be a positive integer');
+  if (!(options.tolerance >= 0)) throw new Error('--tolerance must be a non-negative number');
+  return options;
+}
+
+function loadBaselines() {
+  if (!fs.existsSync(BASELINE_PATH)) return {};
+  return JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8')).baselines || {};
+}
+
+function formatRow(label, metrics) {
+  return `  ${label.padEnd(22)} ${String(metrics.questions).padStart(4)}  ${metrics.recall.toFixed(3)}    ${metrics.mrr.toFixed(3)}  ${metrics.ndcg.toFixed(3)}`;
+}
+
+function printReport(report, verbose) {
+  console.log(`\nRetrieval eval: golden set v${report.dataset_version}, k=${report.k}`);
+  console.log(`Setup: ${report.config}\n`);
+  console.log(`  ${'method'.padEnd(22)} ${'n'.padStart(4)}  recall@${report.k} MRR    nDCG@${report.k}`);
+  Object.entries(report.methods).forEach(([method, metrics]) => console.log(formatRow(method, metrics)));
+  console.log(formatRow('overall', report.overall));
+
+  const shown = verbose ? report.results : report.results.filter(result => result.recall < 1);
+  if (shown.length > 0) {
+    console.log(verbose ? '\nQuestions:' : '\nMisses (recall < 1):');
+    shown.forEach(result => {
+      console.log(`  ${result.id} [${result.method}] recall=${result.recall.toFixed(2)} mrr=${result.mrr.toFixed(2)}`);
+      console.log(`    expected:  ${result.relevant.join(', ')}`);
+      console.log(`    retrieved: ${result.retrieved.join(', ') || '(none)'}`);
+    });
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const golden = loadGoldenSet(GOLDEN_PATH);
+
+  const report = await evaluateRetrieval(new MutualFundRetriever(), golden, { k: options.k });
+  printReport(report, options.verbose);
+
+  const baselines = loadBaselines();
+
+  if (options.updateBaseline) {
+    baselines[report.config] = toBaseline(report);
+    fs.mkdirSync(EVAL_DIR, { recursive: true });
+    fs.writeFileSync(BASELINE_PATH, JSON.stringify({ baselines }, null, 2) + '\n', 'utf8');
+    console.log(`\n✅ Baseline recorded for "${report.config}"`);
+    return;
+  }
+
+  const baseline = baselines[report.config];
+  if (!baseline) {
+    console.warn(`\n⚠️  No baseline for "${report.config}" - nothing to compare against`);
+    console.log('📋 Run: npm run eval-retrieval -- --update-baseline');
+    return;
+  }
+
+  if (baseline.dataset_version !== report.dataset_version || baseline.k !== report.k) {
+    throw new Error(`Baseline was recorded for golden set v${baseline.dataset_version} at k=${baseline.k}; ` +
+      're-run with --update-baseline after reviewing the metrics');
+  }
+
+  const regressions = compareToBaseline(report, baseline, options.tolerance);
+  if (regressions.length > 0) {
+    console.error(`\n❌ ${regressions.length} metric(s) regressed against the baseline (${baseline.recorded_at}):`);
+    regressions.forEach(({ scope, metric, baseline: before, current }) => {
+      console.error(`  ${scope} ${metric}: ${before.toFixed(3)} → ${current.toFixed(3)}`);
+    });
+    process.exit(1);
+  }
+
+  console.log(`\n✅ No regressions against the baseline (tolerance ${options.tolerance})`);
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
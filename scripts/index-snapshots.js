@@ -0,0 +1,103 @@
+const path = require('path');
+const { IndexSnapshotStore, DEFAULT_RETENTION } = require('../lib/index-snapshots');
+
+/**
+ * Manage versioned index snapshots written by build-index.js
+ *
+ * Usage: node scripts/index-snapshots.js <command>
+ *   list                  List snapshots (* marks the active one)
+ *   activate <version>    Serve a specific snapshot
+ *   rollback              Activate the snapshot built before the active one
+ *   diff <from> [to]      Chunk-level changes between snapshots (to defaults to the active one)
+ *   prune [--keep N]      Delete old snapshots, keeping the newest N and the active one
+ *
+ * Running servers switch to a newly activated snapshot on their own (INDEX_WATCH_INTERVAL_MS).
+ */
+
+const USAGE = 'Usage: node scripts/index-snapshots.js <list | activate <version> | rollback | diff <from> [to] | prune [--keep N]>';
+
+function describeVectors(vectors) {
+  return vectors ? `${vectors.count} vectors (${vectors.provider}:${vectors.model})` : 'no vectors';
+}
+
+function list(store) {
+  const snapshots = store.list();
+  if (snapshots.length === 0) {
+    console.log('No snapshots yet. Run: npm run build-index');
+    return;
+  }
+
+  console.log(`Index snapshots (${snapshots.length}):\n`);
+  snapshots.forEach(snapshot => {
+    const marker = snapshot.active ? '*' : ' ';
+    console.log(`${marker} ${snapshot.version}  ${snapshot.totalChunks} chunks, ${describeVectors(snapshot.vectors)}  from ${snapshot.source}`);
+  });
+  if (!store.activeVersion()) {
+    console.log('\n⚠️  No snapshot is active - serving the legacy *-latest.json files');
+  }
+}
+
+function printDiff(diff) {
+  console.log(`Snapshot diff ${diff.from} → ${diff.to}\n`);
+  console.log(`  Added: ${diff.added.length}, changed: ${diff.changed.length}, removed: ${diff.removed.length}, unchanged: ${diff.unchanged}`);
+
+  [['+', diff.added], ['~', diff.changed], ['-', diff.removed]].forEach(([marker, chunkIds]) => {
+    chunkIds.forEach(chunkId => console.log(`  ${marker} ${chunkId}`));
+  });
+
+  const { from, to } = diff.vectors;
+  if (describeVectors(from) !== describeVectors(to)) {
+    console.log(`\n  Vectors: ${describeVectors(from)} → ${describeVectors(to)}`);
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const store = new IndexSnapshotStore(path.join(__dirname, '..', 'data', 'index'));
+
+  switch (command) {
+    case 'list':
+      list(store);
+      break;
+
+    case 'activate': {
+      if (!args[0]) throw new Error(USAGE);
+      store.activate(args[0]);
+      console.log(`✅ Activated snapshot ${args[0]}`);
+      break;
+    }
+
+    case 'rollback': {
+      const from = store.activeVersion();
+      const pointer = store.rollback();
+      console.log(`✅ Rolled back ${from || 'legacy index'} → ${pointer.version}`);
+      break;
+    }
+
+    case 'diff': {
+      if (!args[0]) throw new Error(USAGE);
+      printDiff(store.diff(args[0], args[1]));
+      break;
+    }
+
+    case 'prune': {
+      const keepIdx = args.indexOf('--keep');
+      const keep = keepIdx >= 0 ? Number(args[keepIdx + 1]) : DEFAULT_RETENTION;
+      if (!Number.isInteger(keep) || keep < 1) throw new Error('--keep must be a positive integer');
+
+      const removed = store.prune(keep);
+      console.log(removed.length > 0
+        ? `✓ Removed ${removed.length} snapshot(s): ${removed.join(', ')}`
+        : '✓ Nothing to prune');
+      break;
+    }
+
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
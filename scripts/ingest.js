@@ -4,16 +4,10 @@ const path = require('path');
 const cheerio = require('cheerio');
 const crypto = require('crypto');
 const { stringify } = require('csv-stringify/sync');
-
-const URLS = [
-  'https://groww.in/mutual-funds/hdfc-mid-cap-fund-direct-growth',
-  'https://groww.in/mutual-funds/hdfc-large-cap-fund-direct-growth',
-  'https://groww.in/mutual-funds/hdfc-small-cap-fund-direct-growth',
-  'https://groww.in/mutual-funds/hdfc-flexi-cap-fund-direct-growth',
-  'https://groww.in/mutual-funds/hdfc-elss-tax-saver-fund-direct-plan-growth',
-  'https://groww.in/regulatory-and-other-information',
-  'https://groww.in/download-forms'
-];
+const { HtmlFixtureStore, diffChunks } = require('../lib/html-fixtures');
+const { SourceRegistry } = require('../lib/sources');
+const { checkChunkFields, isValidField, formatQuantity, fieldUnit } = require('../lib/field-schemas');
+const { readSchemeData, extractionReport } = require('../lib/next-data');
 
 const SECTION_TYPES = {
   FACTS: 'facts_performance',
@@ -53,7 +47,7 @@ class ChunkBuilder {
       fetched_at: this.fetchedAt,
       content_md: contentMd.trim(),
       content_csv: csvData || '',
-      fields_json: fieldsJson,
+      fields_json: checkChunkFields(chunkId, sectionType, fieldsJson),
       hash: this.computeHash(contentMd),
       ...extraFields
     };
@@ -81,13 +75,9 @@ async function fetchPage(url, browser) {
   try {
     await page.goto(url, { waitUntil: 'networkidle', timeout: 60000 });
     await page.waitForTimeout(3000); // Allow JS rendering
-    const html = await page.content();
-    await context.close();
-    return html;
-  } catch (error) {
-    console.error(`Error fetching ${url}:`, error.message);
+    return await page.content();
+  } finally {
     await context.close();
-    return null;
   }
 }
 
@@ -114,91 +104,95 @@ function parseNumber(text) {
 function parseSchemePage($, url, schemeId) {
   const chunks = [];
 
+  // Typed values from the page's __NEXT_DATA__; DOM heuristics cover the sections it lacks
+  const schemeData = readSchemeData($);
+
   // Extract scheme name
-  const schemeName = cleanText($('h1').first().text()) || schemeId;
+  const schemeName = cleanText($('h1').first().text()) || schemeData?.scheme_name || schemeId;
   const builder = new ChunkBuilder(schemeId, schemeName, url);
 
-  console.log(`  Parsing ${schemeName}...`);
+  console.log(`  Parsing ${schemeName}${schemeData ? ' (embedded page data)' : ''}...`);
+  const extract = (sectionType, extractFromDom) => extractSection(sectionType, $, builder, schemeData, extractFromDom);
 
   // 1. Extract Fund Objective
-  const objective = extractObjective($, builder);
+  const objective = extract(SECTION_TYPES.OBJECTIVE, extractObjective);
   if (objective) {
     chunks.push(objective);
     console.log(`    ✓ Objective`);
   }
 
   // 2. Extract Fund Manager
-  const manager = extractFundManager($, builder);
+  const manager = extract(SECTION_TYPES.FUND_MANAGER, extractFundManager);
   if (manager) {
     chunks.push(manager);
     console.log(`    ✓ Fund Manager`);
   }
 
   // 3. Extract Facts/Performance
-  const facts = extractFacts($, builder);
+  const facts = extract(SECTION_TYPES.FACTS, extractFacts);
   if (facts) {
     chunks.push(facts);
     console.log(`    ✓ Facts & Performance`);
   }
 
   // 4. Extract Portfolio Holdings (Top Stocks)
-  const holdings = extractPortfolioHoldings($, builder);
+  const holdings = extract(SECTION_TYPES.PORTFOLIO_HOLDINGS, extractPortfolioHoldings);
   if (holdings) {
     chunks.push(holdings);
     console.log(`    ✓ Portfolio Holdings (${holdings.fields_json.row_count || 0} stocks)`);
   }
 
   // 5. Extract Sector Allocation
-  const sectors = extractSectorAllocation($, builder);
+  const sectors = extract(SECTION_TYPES.PORTFOLIO_SECTORS, extractSectorAllocation);
   if (sectors) {
     chunks.push(sectors);
     console.log(`    ✓ Sector Allocation`);
   }
 
   // 6. Extract Advance Ratios
-  const ratios = extractAdvanceRatios($, builder);
+  const ratios = extract(SECTION_TYPES.ADVANCE_RATIOS, extractAdvanceRatios);
   if (ratios) {
     chunks.push(ratios);
     console.log(`    ✓ Advance Ratios`);
   }
 
   // 7. Extract Fees/TER/Exit Load
-  const fees = extractFees($, builder);
+  const fees = extract(SECTION_TYPES.FEES, extractFees);
   if (fees) {
     chunks.push(fees);
     console.log(`    ✓ Fees & Charges`);
   }
 
   // 8. Extract Riskometer/Benchmark
-  const risk = extractRiskometer($, builder);
+  const risk = extract(SECTION_TYPES.RISKOMETER, extractRiskometer);
   if (risk) {
     chunks.push(risk);
     console.log(`    ✓ Risk & Benchmark`);
   }
 
   // 9. Extract FAQs
-  const faqs = extractFAQs($, builder);
+  const faqs = extract(SECTION_TYPES.FAQ, extractFAQs);
   if (faqs.length > 0) {
     chunks.push(...faqs);
     console.log(`    ✓ FAQs (${faqs.length})`);
   }
 
   // 10. Extract Tax/Redemption
-  const tax = extractTaxRedemption($, builder);
+  const tax = extract(SECTION_TYPES.TAX, extractTaxRedemption);
   if (tax) {
     chunks.push(tax);
     console.log(`    ✓ Tax & Redemption`);
   }
 
   // 11. Extract Contact Details
-  const contact = extractContactDetails($, builder);
+  const contact = extract(SECTION_TYPES.CONTACT, extractContactDetails);
   if (contact) {
     chunks.push(contact);
     console.log(`    ✓ Contact Details`);
   }
 
   // 12. Extract Regulatory Links
-  const regulatory = extractRegulatoryLinks($, builder);
+  const regulatory = extract(SECTION_TYPES.REGULATORY, extractRegulatoryLinks);
   if (regulatory) {
     chunks.push(regulatory);
     console.log(`    ✓ Regulatory Links`);
@@ -207,6 +201,183 @@ function parseSchemePage($, url, schemeId) {
   return chunks;
 }
 
+/**
+ * Build one section from the embedded page data when it covers the section,
+ * else with the DOM extractor. Every chunk records which strategy produced
+ * each of its fields in field_sources ("next_data" or "dom").
+ */
+function extractSection(sectionType, $, builder, schemeData, extractFromDom) {
+  const fromSchemeData = schemeData ? STRUCTURED_EXTRACTORS[sectionType] : null;
+  const structured = fromSchemeData ? fromSchemeData(schemeData, builder) : null;
+  const result = structured || extractFromDom($, builder);
+  const strategy = structured ? 'next_data' : 'dom';
+
+  (Array.isArray(result) ? result : [result]).filter(Boolean).forEach(chunk => {
+    chunk.field_sources = Object.fromEntries(Object.keys(chunk.fields_json).map(field => [field, strategy]));
+  });
+  return result;
+}
+
+/**
+ * Pick the fields present in the scheme data
+ */
+function pickFields(schemeData, fieldNames) {
+  return Object.fromEntries(fieldNames.filter(field => schemeData[field] !== undefined).map(field => [field, schemeData[field]]));
+}
+
+function objectiveFromSchemeData(schemeData, builder) {
+  if (!schemeData.objective_text) return null;
+  return builder.addChunk(
+    SECTION_TYPES.OBJECTIVE,
+    `## Investment Objective\n\n${schemeData.objective_text}\n`,
+    { objective_text: schemeData.objective_text }
+  );
+}
+
+function fundManagerFromSchemeData(schemeData, builder) {
+  const managers = schemeData.managers || [];
+  if (managers.length === 0) return null;
+
+  const fields = { manager_name: managers.map(manager => manager.name).join(' and ') };
+  // Education and experience fields only when they belong to the one manager
+  if (managers.length === 1) {
+    if (managers[0].education) fields.manager_education = managers[0].education;
+    if (managers[0].experience) fields.manager_experience = managers[0].experience;
+  }
+
+  let contentMd = `## Fund Manager\n\n`;
+  managers.forEach(manager => {
+    contentMd += `**Name**: ${manager.name}\n\n`;
+    if (manager.education) contentMd += `**Education**: ${manager.education}\n\n`;
+    if (manager.experience) contentMd += `**Experience**: ${manager.experience}\n\n`;
+  });
+
+  return builder.addChunk(SECTION_TYPES.FUND_MANAGER, contentMd, fields);
+}
+
+// Key facts in display order: [field, label]
+const FACT_LABELS = [
+  ['nav', 'NAV'],
+  ['category', 'Category'],
+  ['minimum_sip', 'Minimum SIP'],
+  ['minimum_lumpsum', 'Minimum Lumpsum'],
+  ['fund_size', 'Fund Size (AUM)'],
+  ['expense_ratio', 'Expense Ratio'],
+  ['rating', 'Rating'],
+  ['launch_date', 'Launch Date']
+];
+const RETURN_LABELS = [
+  ['returns_1y', '1 Year'],
+  ['returns_3y', '3 Year (Annualized)'],
+  ['returns_5y', '5 Year (Annualized)']
+];
+
+function factsFromSchemeData(schemeData, builder) {
+  const fields = pickFields(schemeData, [
+    'nav', 'nav_date', 'category', 'minimum_sip', 'minimum_lumpsum', 'fund_size', 'expense_ratio', 'rating',
+    'returns_1y', 'returns_3y', 'returns_5y', 'launch_date'
+  ]);
+  if (Object.keys(fields).length === 0) return null;
+
+  const display = field => {
+    if (field === 'rating') return `${fields.rating}/5`;
+    const unit = fieldUnit(SECTION_TYPES.FACTS, field);
+    return unit ? formatQuantity(fields[field], unit) : fields[field];
+  };
+
+  let contentMd = `# ${builder.schemeName}\n\n## Key Facts\n\n`;
+  FACT_LABELS.filter(([field]) => fields[field] !== undefined).forEach(([field, label]) => {
+    const asOf = field === 'nav' && fields.nav_date ? ` (as of ${fields.nav_date})` : '';
+    contentMd += `- **${label}**: ${display(field)}${asOf}\n`;
+  });
+
+  const returns = RETURN_LABELS.filter(([field]) => fields[field] !== undefined);
+  if (returns.length > 0) {
+    contentMd += `\n## Returns\n\n`;
+    returns.forEach(([field, label]) => {
+      contentMd += `- **${label}**: ${display(field)}\n`;
+    });
+  }
+
+  return builder.addChunk(SECTION_TYPES.FACTS, contentMd, fields);
+}
+
+function holdingsFromSchemeData(schemeData, builder) {
+  const holdings = schemeData.holdings || [];
+  if (holdings.length === 0) return null;
+
+  const headers = ['Name', 'Sector', 'Instrument', 'Assets'];
+  const rows = holdings.map(holding => [holding.name, holding.sector, holding.instrument, `${holding.assets.toFixed(2)}%`]);
+
+  let contentMd = `## Top Holdings\n\n`;
+  contentMd += `| ${headers.join(' | ')} |\n`;
+  contentMd += `| ${headers.map(() => '---').join(' | ')} |\n`;
+  rows.slice(0, 15).forEach(row => {
+    contentMd += `| ${row.join(' | ')} |\n`;
+  });
+
+  return builder.addChunk(
+    SECTION_TYPES.PORTFOLIO_HOLDINGS,
+    contentMd,
+    { table_headers: headers, row_count: rows.length },
+    stringify([headers, ...rows])
+  );
+}
+
+function feesFromSchemeData(schemeData, builder) {
+  const fields = {};
+  let contentMd = `## Fees & Charges\n\n`;
+
+  if (schemeData.expense_ratio !== undefined) {
+    fields.ter_percent = schemeData.expense_ratio;
+    contentMd += `- **Total Expense Ratio (TER)**: ${schemeData.expense_ratio}%\n`;
+  }
+  if (schemeData.exit_load_text) {
+    fields.exit_load_text = schemeData.exit_load_text;
+    contentMd += `- **Exit Load**: ${schemeData.exit_load_text}\n`;
+    const rules = parseExitLoadRules(schemeData.exit_load_text);
+    if (rules.length > 0) fields.exit_load_rules = rules;
+  }
+
+  if (Object.keys(fields).length === 0) return null;
+  return builder.addChunk(SECTION_TYPES.FEES, contentMd, fields);
+}
+
+function riskometerFromSchemeData(schemeData, builder) {
+  const fields = pickFields(schemeData, ['riskometer_category', 'benchmark_name', 'category']);
+  if (Object.keys(fields).length === 0) return null;
+
+  let contentMd = `## Risk & Benchmark\n\n`;
+  if (fields.riskometer_category) contentMd += `- **Risk Level**: ${fields.riskometer_category}\n`;
+  if (fields.benchmark_name) contentMd += `- **Benchmark**: ${fields.benchmark_name}\n`;
+  if (fields.category) contentMd += `- **Category**: ${fields.category}\n`;
+
+  return builder.addChunk(SECTION_TYPES.RISKOMETER, contentMd, fields);
+}
+
+function taxFromSchemeData(schemeData, builder) {
+  if (schemeData.lock_in_years === undefined) return null;
+
+  const years = schemeData.lock_in_years;
+  const lockInText = years === 0 ? 'No lock-in' : formatQuantity(years, 'years');
+  return builder.addChunk(
+    SECTION_TYPES.TAX,
+    `## Tax & Redemption\n\n- **Lock-in Period**: ${lockInText}\n`,
+    { lock_in_years: years, lock_in_text: lockInText }
+  );
+}
+
+// Sections the embedded page data covers; the rest always use the DOM extractors
+const STRUCTURED_EXTRACTORS = {
+  [SECTION_TYPES.OBJECTIVE]: objectiveFromSchemeData,
+  [SECTION_TYPES.FUND_MANAGER]: fundManagerFromSchemeData,
+  [SECTION_TYPES.FACTS]: factsFromSchemeData,
+  [SECTION_TYPES.PORTFOLIO_HOLDINGS]: holdingsFromSchemeData,
+  [SECTION_TYPES.FEES]: feesFromSchemeData,
+  [SECTION_TYPES.RISKOMETER]: riskometerFromSchemeData,
+  [SECTION_TYPES.TAX]: taxFromSchemeData
+};
+
 function extractObjective($, builder) {
   let contentMd = '';
   const fields = {};
@@ -254,6 +425,9 @@ function extractObjective($, builder) {
   return builder.addChunk(SECTION_TYPES.OBJECTIVE, contentMd, fields);
 }
 
+// Whole words only: "ca" must not match "capital"
+const QUALIFICATION_PATTERN = /\b(?:b\.com|ca|cfa|mba|m\.com)\b/i;
+
 function extractFundManager($, builder) {
   let contentMd = '';
   const fields = {};
@@ -291,16 +465,16 @@ function extractFundManager($, builder) {
     }
 
     // Look for education (B.Com, CA, CFA, MBA, etc.)
-    if (!managerEducation && (lowerText.includes('education') || lowerText.match(/b\.com|ca|cfa|mba|m\.com/i))) {
+    if (!managerEducation && (lowerText.includes('education') || QUALIFICATION_PATTERN.test(lowerText))) {
       const fullText = cleanText(text);
       // Check if text has education keywords
-      if (fullText.match(/education|b\.com|ca|cfa|mba|m\.com/i) && fullText.length < 300) {
+      if ((/education/i.test(fullText) || QUALIFICATION_PATTERN.test(fullText)) && fullText.length < 300) {
         // Extract just the education part
         const eduMatch = fullText.match(/education[:\s]*([^.]+)/i) || fullText.match(/((?:Mr\.|Ms\.|Dr\.)?\s*\w+\s+has\s+done\s+[^.]+)/i);
         if (eduMatch) {
           managerEducation = eduMatch[1] || eduMatch[0];
           managerEducation = managerEducation.replace(/education/gi, '').trim();
-        } else if (fullText.match(/b\.com|ca|cfa|mba|m\.com/i)) {
+        } else if (QUALIFICATION_PATTERN.test(fullText)) {
           managerEducation = fullText;
         }
       }
@@ -532,7 +706,7 @@ function extractFacts($, builder) {
 
     if (text.includes('Expense Ratio') && text.includes('%')) {
       const ratio = parseNumber(text);
-      if (ratio) {
+      if (isValidField(SECTION_TYPES.FACTS, 'expense_ratio', ratio)) {
         fields.expense_ratio = ratio;
         contentMd += `- **Expense Ratio**: ${ratio}%\n`;
       }
@@ -655,6 +829,25 @@ function extractPortfolioHoldings($, builder) {
   );
 }
 
+/**
+ * Structured exit load rules from text like "1% if redeemed within 1 year"
+ */
+function parseExitLoadRules(exitLoadText) {
+  const rules = [];
+  if (exitLoadText.toLowerCase().includes('nil') || exitLoadText.toLowerCase().includes('no exit load')) {
+    rules.push({ condition: 'Any time', rate: 0 });
+  } else {
+    const match = exitLoadText.match(/([\d.]+)%.*?(\d+)\s*(day|month|year)/i);
+    if (match) {
+      rules.push({
+        condition: `Within ${match[2]} ${match[3]}${match[2] > 1 ? 's' : ''}`,
+        rate: parseFloat(match[1])
+      });
+    }
+  }
+  return rules;
+}
+
 function extractFees($, builder) {
   const fields = {};
   let contentMd = `## Fees & Charges\n\n`;
@@ -675,7 +868,7 @@ function extractFees($, builder) {
         !text.match(/\d{4}\s*-\s*\d{1,2}\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)/i)) {
 
         const ratio = parseNumber(text);
-        if (ratio && ratio > 0.1 && ratio < 5) { // Reasonable range for expense ratios
+        if (isValidField(SECTION_TYPES.FEES, 'ter_percent', ratio)) { // Within the schema's range for expense ratios
           fields.ter_percent = ratio;
           contentMd += `- **Total Expense Ratio (TER)**: ${ratio}%\n`;
           foundExpenseRatio = true;
@@ -699,7 +892,7 @@ function extractFees($, builder) {
           !text.match(/\d{4}/)) {
 
           const ratio = parseNumber(text);
-          if (ratio && ratio > 0.1 && ratio < 5) {
+          if (isValidField(SECTION_TYPES.FEES, 'ter_percent', ratio)) {
             fields.ter_percent = ratio;
             contentMd += `- **Total Expense Ratio (TER)**: ${ratio}%\n`;
             foundExpenseRatio = true;
@@ -727,20 +920,7 @@ function extractFees($, builder) {
         contentMd += `- **Exit Load**: ${exitLoadText}\n`;
         foundExitLoad = true;
 
-        // Try to parse structured exit load rules
-        const rules = [];
-        if (exitLoadText.toLowerCase().includes('nil') || exitLoadText.toLowerCase().includes('no exit load')) {
-          rules.push({ condition: 'Any time', rate: 0 });
-        } else {
-          // Parse patterns like "1% if redeemed within 1 year"
-          const match = exitLoadText.match(/([\d.]+)%.*?(\d+)\s*(day|month|year)/i);
-          if (match) {
-            rules.push({
-              condition: `Within ${match[2]} ${match[3]}${match[2] > 1 ? 's' : ''}`,
-              rate: parseFloat(match[1])
-            });
-          }
-        }
+        const rules = parseExitLoadRules(exitLoadText);
         if (rules.length > 0) fields.exit_load_rules = rules;
 
         return false;
@@ -896,8 +1076,7 @@ function extractRegulatoryLinks($, builder) {
   return builder.addChunk(SECTION_TYPES.REGULATORY, contentMd, { links });
 }
 
-function parseRegulatoryPage($, url) {
-  const schemeId = 'regulatory-and-other-information';
+function parseRegulatoryPage($, url, schemeId = 'regulatory-and-other-information') {
   const builder = new ChunkBuilder(schemeId, 'Regulatory and Other Information', url);
 
   const links = [];
@@ -925,8 +1104,7 @@ function parseRegulatoryPage($, url) {
   return [builder.addChunk(SECTION_TYPES.REGULATORY, contentMd, { links })];
 }
 
-function parseDownloadsPage($, url) {
-  const schemeId = 'download-forms';
+function parseDownloadsPage($, url, schemeId = 'download-forms') {
   const builder = new ChunkBuilder(schemeId, 'Download Forms', url);
 
   const links = [];
@@ -1018,48 +1196,267 @@ async function saveChunks(allChunks) {
   return { jsonlPath, manifestPath, chunkCount: allChunks.length };
 }
 
-async function main() {
-  console.log('Starting ingestion pipeline...\n');
+// Parser names referenced by data/sources.json
+const PARSERS = {
+  groww_scheme: ($, source) => parseSchemePage($, source.url, source.id),
+  groww_regulatory: ($, source) => parseRegulatoryPage($, source.url, source.id),
+  groww_downloads: ($, source) => parseDownloadsPage($, source.url, source.id)
+};
+
+function parserFor(source) {
+  const parser = PARSERS[source.parser];
+  if (!parser) {
+    throw new Error(`Source ${source.id} uses unknown parser "${source.parser}" (known: ${Object.keys(PARSERS).join(', ')})`);
+  }
+  return parser;
+}
+
+/**
+ * Parse one fetched page into chunks with its source's parser. fetchedAt overrides
+ * the chunk timestamps when replaying saved HTML, so chunks record when the page
+ * was captured.
+ */
+function parsePage(html, source, fetchedAt = null) {
+  const chunks = parserFor(source)(cheerio.load(html), source);
+  if (fetchedAt) {
+    chunks.forEach(chunk => {
+      chunk.fetched_at = fetchedAt;
+    });
+  }
+  return chunks;
+}
+
+/**
+ * parsePage for one source of a run. A page the parser rejects (e.g. fields that
+ * break the schema) is logged and added to failedUrls, so the other sources
+ * still ingest and the run can fail at the end.
+ */
+function parseSourcePage(html, source, fetchedAt, failedUrls) {
+  try {
+    const chunks = parsePage(html, source, fetchedAt);
+    console.log(`Extracted ${chunks.length} chunks from ${source.url}`);
+    return chunks;
+  } catch (error) {
+    console.error(`Failed to parse ${source.url}, skipping...\n  ${error.message}`);
+    failedUrls.push(source.url);
+    return [];
+  }
+}
 
+/**
+ * Parse every page of a saved capture whose URL is still an enabled source
+ * Returns { chunks, failedUrls }
+ */
+function parseCapture(store, captureId, sources) {
+  const byUrl = new Map(sources.enabled().map(source => [source.url, source]));
+  const chunks = [];
+  const failedUrls = [];
+
+  store.loadPages(captureId).forEach(page => {
+    const source = byUrl.get(page.url);
+    if (!source) {
+      console.warn(`⚠️  ${page.url} is not an enabled source, skipping...`);
+      return;
+    }
+    chunks.push(...parseSourcePage(page.html, source, page.fetched_at, failedUrls));
+  });
+  return { chunks, failedUrls };
+}
+
+function parseArgs(argv) {
+  const mode = ['--record', '--replay', '--diff'].find(flag => argv.includes(flag)) || '--live';
+  const operands = argv.filter(arg => !arg.startsWith('--'));
+  return { mode: mode.slice(2), operands };
+}
+
+/**
+ * Fetch every enabled source with Chromium; --record also saves each page's HTML to a new capture
+ * Returns { chunks, failedUrls }
+ */
+async function ingestLive(store, sources, record) {
   const browser = await chromium.launch({ headless: true });
-  const allChunks = [];
+  const captureId = record ? store.createCapture() : null;
+  const chunks = [];
+  const failedUrls = [];
 
   try {
-    for (const url of URLS) {
-      const html = await fetchPage(url, browser);
-      if (!html) {
-        console.error(`Failed to fetch ${url}, skipping...`);
+    for (const source of sources.enabled()) {
+      let html;
+      try {
+        html = await fetchPage(source.url, browser);
+      } catch (error) {
+        console.error(`Failed to fetch ${source.url} (${error.message}), skipping...`);
         continue;
       }
 
-      const $ = cheerio.load(html);
-      const schemeId = extractSchemeId(url);
-      let chunks = [];
-
-      if (url.includes('/mutual-funds/')) {
-        chunks = parseSchemePage($, url, schemeId);
-      } else if (url.includes('regulatory')) {
-        chunks = parseRegulatoryPage($, url);
-      } else if (url.includes('download')) {
-        chunks = parseDownloadsPage($, url);
+      if (captureId) {
+        store.savePage(captureId, source.url, html);
       }
 
-      console.log(`Extracted ${chunks.length} chunks from ${url}`);
-      allChunks.push(...chunks);
+      chunks.push(...parseSourcePage(html, source, null, failedUrls));
     }
-
-    const result = await saveChunks(allChunks);
-    console.log(`\n✓ Ingestion complete!`);
-    console.log(`  Total chunks: ${result.chunkCount}`);
-    console.log(`  JSONL: ${result.jsonlPath}`);
-    console.log(`  Manifest: ${result.manifestPath}`);
-
-  } catch (error) {
-    console.error('Ingestion failed:', error);
-    process.exit(1);
   } finally {
     await browser.close();
   }
+
+  if (captureId) {
+    console.log(`✓ Recorded capture ${captureId} (${store.readManifest(captureId).pages.length} pages)`);
+  }
+  return { chunks, failedUrls };
+}
+
+function formatValue(value) {
+  if (value === undefined) return '(none)';
+  const text = JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
 }
 
-main();
+/**
+ * Print field-level changes between two captures (defaults: the two most recent)
+ */
+function diffCaptures(store, sources, [fromId, toId]) {
+  const captures = store.captures();
+  const to = toId || captures[captures.length - 1];
+  const from = fromId || captures[captures.length - 2];
+  if (!from || !to) {
+    throw new Error('Need two captures to diff. Record one with: npm run ingest -- --record');
+  }
+
+  console.log(`Parsing capture ${from}...`);
+  const beforeChunks = parseCapture(store, from, sources);
+  console.log(`Parsing capture ${to}...`);
+  const afterChunks = parseCapture(store, to, sources);
+  const diff = diffChunks(beforeChunks, afterChunks);
+
+  console.log(`\nCapture diff ${from} → ${to}\n`);
+  console.log(`  Field changes: ${diff.changed.length}, text-only changes: ${diff.contentOnly.length}, ` +
+    `added: ${diff.added.length}, removed: ${diff.removed.length}, unchanged: ${diff.unchanged}`);
+
+  let currentChunk = null;
+  diff.changed.forEach(change => {
+    if (change.chunk_id !== currentChunk) {
+      currentChunk = change.chunk_id;
+      console.log(`\n  ~ ${currentChunk}`);
+    }
+    console.log(`      ${change.field}: ${formatValue(change.before)} → ${formatValue(change.after)}`);
+  });
+  if (diff.contentOnly.length > 0) console.log('');
+  diff.contentOnly.forEach(chunkId => console.log(`  ~ ${chunkId} (text only)`));
+  [['+', diff.added], ['-', diff.removed]].forEach(([marker, chunkIds]) => {
+    chunkIds.forEach(chunkId => console.log(`  ${marker} ${chunkId}`));
+  });
+}
+
+/**
+ * Write data/meta/extraction-report-latest.json: which strategy (__NEXT_DATA__
+ * or DOM heuristics) produced each field of each scheme page. Prints the totals,
+ * or every field with printFields.
+ */
+async function saveExtractionReport(allChunks, printFields = false) {
+  const report = { generated_at: new Date().toISOString(), ...extractionReport(allChunks) };
+  const reportPath = path.join(__dirname, '..', 'data', 'meta', 'extraction-report-latest.json');
+  await fs.mkdir(path.dirname(reportPath), { recursive: true });
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+
+  const { totals } = report;
+  console.log(`\n📋 Fields by strategy: ${totals.next_data} from __NEXT_DATA__, ${totals.dom} from DOM heuristics, ${totals.missing} missing`);
+  if (printFields) {
+    Object.entries(report.schemes).forEach(([schemeId, sections]) => {
+      console.log(`\n${schemeId}`);
+      Object.entries(sections).forEach(([sectionType, fields]) => {
+        console.log(`  ${sectionType}`);
+        Object.entries(fields).forEach(([field, strategy]) => console.log(`    ${field.padEnd(22)} ${strategy}`));
+      });
+    });
+  }
+  return reportPath;
+}
+
+/**
+ * Usage: node scripts/ingest.js [mode]
+ *   (no flag)                Fetch the enabled sources in data/sources.json with Chromium
+ *   --record                 Fetch live pages and save their HTML to data/fixtures/<capture id>/
+ *   --replay [capture]       Parse a saved capture instead of fetching (default: the latest)
+ *   --diff [from] [to]       Show which fields changed between two captures (default: the two latest)
+ *   --report                 Also print which strategy produced every field (always saved to
+ *                            data/meta/extraction-report-latest.json)
+ */
+async function main() {
+  const { mode, operands } = parseArgs(process.argv.slice(2));
+  const dataDir = path.join(__dirname, '..', 'data');
+  const store = new HtmlFixtureStore(path.join(dataDir, 'fixtures'));
+  const sources = SourceRegistry.load(dataDir);
+
+  if (sources.enabled().length === 0) {
+    throw new Error('No enabled sources in data/sources.json');
+  }
+  // Fail on a misconfigured source before launching the browser
+  sources.enabled().forEach(parserFor);
+
+  if (mode === 'diff') {
+    diffCaptures(store, sources, operands);
+    return;
+  }
+
+  console.log('Starting ingestion pipeline...\n');
+
+  let parsed;
+  if (mode === 'replay') {
+    const captureId = operands[0] || store.latest();
+    if (!captureId) {
+      throw new Error('No saved captures. Record one with: npm run ingest -- --record');
+    }
+    console.log(`📋 Replaying capture ${captureId} (no network)\n`);
+    parsed = parseCapture(store, captureId, sources);
+  } else {
+    parsed = await ingestLive(store, sources, mode === 'record');
+  }
+  const allChunks = parsed.chunks;
+
+  const result = await saveChunks(allChunks);
+  const reportPath = await saveExtractionReport(allChunks, process.argv.includes('--report'));
+  console.log(`\n✓ Ingestion complete!`);
+  console.log(`  Total chunks: ${result.chunkCount}`);
+  console.log(`  JSONL: ${result.jsonlPath}`);
+  console.log(`  Manifest: ${result.manifestPath}`);
+  console.log(`  Extraction report: ${reportPath}`);
+
+  if (parsed.failedUrls.length > 0) {
+    console.error(`\n❌ ${parsed.failedUrls.length} page(s) failed to parse and were skipped:`);
+    parsed.failedUrls.forEach(url => console.error(`  - ${url}`));
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Ingestion failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SECTION_TYPES,
+  ChunkBuilder,
+  fetchPage,
+  saveChunks,
+  extractSchemeId,
+  parsePage,
+  parseCapture,
+  parseSchemePage,
+  extractSection,
+  parseRegulatoryPage,
+  parseDownloadsPage,
+  extractObjective,
+  extractFundManager,
+  extractFacts,
+  extractPortfolioHoldings,
+  extractSectorAllocation,
+  extractAdvanceRatios,
+  extractFees,
+  extractRiskometer,
+  extractFAQs,
+  extractTaxRedemption,
+  extractContactDetails,
+  extractRegulatoryLinks
+};
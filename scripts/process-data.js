@@ -3,6 +3,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const { stringify } = require('csv-stringify/sync');
+const { SourceRegistry } = require('../lib/sources');
+const { checkChunkFields } = require('../lib/field-schemas');
 
 // Raw fetched data - UPDATED 14 Nov 2025 with comprehensive information
 const RAW_DATA = {
@@ -228,7 +230,7 @@ function createChunk(schemeId, schemeName, sourceUrl, sectionType, contentMd, fi
     fetched_at: fetchedAt,
     content_md: contentMd.trim(),
     content_csv: csvData || '',
-    fields_json: fieldsJson,
+    fields_json: checkChunkFields(chunkId, sectionType, fieldsJson),
     hash: computeHash(contentMd),
     ...extraFields
   };
@@ -424,11 +426,11 @@ Redemption proceeds are typically credited to your bank account within 3-4 busin
   return chunks;
 }
 
-function processRegulatoryPage() {
+function processRegulatoryPage(source) {
   const chunk = createChunk(
-    'regulatory-and-other-information',
-    'Regulatory and Other Information',
-    'https://groww.in/regulatory-and-other-information',
+    source.id,
+    source.name,
+    source.url,
     SECTION_TYPES.REGULATORY,
     `# Regulatory and Other Information
 
@@ -461,11 +463,11 @@ For support, use the "Help & Support" section on Groww.
   return [chunk];
 }
 
-function processDownloadsPage() {
+function processDownloadsPage(source) {
   const chunk = createChunk(
-    'download-forms',
-    'Download Forms and Statements',
-    'https://groww.in/download-forms',
+    source.id,
+    source.name,
+    source.url,
     SECTION_TYPES.DOWNLOADS,
     `# Download Forms and Statements
 
@@ -527,7 +529,7 @@ For any assistance with forms or downloads, contact Groww customer support throu
   return [chunk];
 }
 
-async function saveChunks(allChunks) {
+async function saveChunks(allChunks, schemesCount) {
   const today = new Date().toISOString().split('T')[0].replace(/-/g, '');
   const dataDir = path.join(__dirname, '..', 'data');
   const jsonlDir = path.join(dataDir, 'jsonl');
@@ -565,7 +567,7 @@ async function saveChunks(allChunks) {
   const manifest = {
     generated_at: new Date().toISOString(),
     total_chunks: allChunks.length,
-    schemes_count: Object.keys(RAW_DATA).length + 2, // +2 for regulatory and downloads
+    schemes_count: schemesCount,
     chunks: allChunks.map(c => ({
       chunk_id: c.chunk_id,
       scheme_id: c.scheme_id,
@@ -588,29 +590,36 @@ async function main() {
 
   const allChunks = [];
 
-  // Process each scheme
-  for (const [schemeId, data] of Object.entries(RAW_DATA)) {
-    console.log(`Processing: ${data.name}`);
-    const chunks = processSchemeData(schemeId, data);
+  // Enabled sources from data/sources.json; scheme pages take their values from RAW_DATA
+  const sources = SourceRegistry.load(path.join(__dirname, '..', 'data'));
+  let processed = 0;
+
+  for (const source of sources.enabled()) {
+    console.log(`Processing: ${source.name}`);
+    let chunks;
+    if (source.type === 'scheme_page') {
+      if (!RAW_DATA[source.id]) {
+        console.warn(`  ⚠️  No hardcoded data for ${source.id}, skipping...`);
+        continue;
+      }
+      chunks = processSchemeData(source.id, { ...RAW_DATA[source.id], url: source.url, name: source.name });
+    } else if (source.type === 'regulatory') {
+      chunks = processRegulatoryPage(source);
+    } else if (source.type === 'downloads') {
+      chunks = processDownloadsPage(source);
+    } else {
+      console.warn(`  ⚠️  ${source.type} sources are only ingested by scripts/ingest.js, skipping...`);
+      continue;
+    }
+
     allChunks.push(...chunks);
-    console.log(`  → Generated ${chunks.length} chunks`);
+    processed++;
+    console.log(`  → Generated ${chunks.length} chunk(s)`);
   }
 
-  // Process regulatory page
-  console.log('Processing: Regulatory and Other Information');
-  const regChunks = processRegulatoryPage();
-  allChunks.push(...regChunks);
-  console.log(`  → Generated ${regChunks.length} chunk(s)`);
-
-  // Process downloads page
-  console.log('Processing: Download Forms');
-  const downloadChunks = processDownloadsPage();
-  allChunks.push(...downloadChunks);
-  console.log(`  → Generated ${downloadChunks.length} chunk(s)`);
-
   // Save all chunks
   console.log('\nSaving chunks...');
-  const result = await saveChunks(allChunks);
+  const result = await saveChunks(allChunks, processed);
 
   console.log(`\n✅ Data extraction complete!`);
   console.log(`   Total chunks: ${result.chunkCount}`);
@@ -622,4 +631,8 @@ async function main() {
   console.log(`3. Create the FAQ answering API`);
 }
 
-main().catch(console.error);
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = { RAW_DATA, processSchemeData, processRegulatoryPage, processDownloadsPage };
@@ -142,7 +142,9 @@ const COMPREHENSIVE_DATA = {
   }
 };
 
-console.log('Comprehensive data with', Object.keys(COMPREHENSIVE_DATA).length, 'schemes ready');
-console.log('Schemes:', Object.values(COMPREHENSIVE_DATA).map(s => s.name).join(', '));
+if (require.main === module) {
+  console.log('Comprehensive data with', Object.keys(COMPREHENSIVE_DATA).length, 'schemes ready');
+  console.log('Schemes:', Object.values(COMPREHENSIVE_DATA).map(s => s.name).join(', '));
+}
 
 module.exports = { COMPREHENSIVE_DATA };
@@ -0,0 +1,68 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { FundFactsStore, factsFromRecords } = require('../lib/fund-facts');
+const { RAW_DATA } = require('./process-data');
+const { COMPREHENSIVE_DATA } = require('./rebuild-data');
+
+// Both hardcoded datasets are labelled as fetched on 14 Nov 2025
+const HARDCODED_FETCHED_AT = '2025-11-14T00:00:00.000Z';
+
+/**
+ * Reconcile fund facts across every source and report conflicts
+ *
+ * Usage: node scripts/reconcile-facts.js [--json]
+ */
+async function main() {
+  const asJson = process.argv.includes('--json');
+
+  const store = FundFactsStore.load({
+    extraSources: [
+      factsFromRecords('process_data', RAW_DATA, { fetchedAt: HARDCODED_FETCHED_AT }),
+      factsFromRecords('rebuild_data', COMPREHENSIVE_DATA, { fetchedAt: HARDCODED_FETCHED_AT })
+    ]
+  });
+
+  const conflicts = store.conflicts();
+  const report = {
+    generated_at: new Date().toISOString(),
+    sources: store.sources.map(source => source.name),
+    schemes: store.schemeIds().length,
+    conflict_count: conflicts.length,
+    conflicts: conflicts
+  };
+
+  const reportPath = path.join(process.cwd(), 'data', 'meta', 'fact-conflicts-latest.json');
+  await fs.mkdir(path.dirname(reportPath), { recursive: true });
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log('Reconciling fund facts...\n');
+  console.log(`Sources (highest priority first): ${report.sources.join(' > ')}`);
+  console.log(`Schemes: ${report.schemes}\n`);
+
+  if (conflicts.length === 0) {
+    console.log('✓ All sources agree');
+  } else {
+    console.log(`⚠️  ${conflicts.length} conflicting field(s):\n`);
+    conflicts.forEach(conflict => {
+      console.log(`${conflict.schemeId} → ${conflict.field}`);
+      conflict.values.forEach(entry => {
+        const marker = entry.source === conflict.canonical.source ? '✓' : ' ';
+        const fetched = entry.fetchedAt ? ` (fetched ${entry.fetchedAt})` : '';
+        console.log(`  ${marker} ${entry.source}: ${entry.value}${fetched}`);
+      });
+    });
+    console.log('\n✓ marks the canonical value served by the API');
+  }
+
+  console.log(`\n📋 Report saved: ${reportPath}`);
+}
+
+main().catch(error => {
+  console.error('❌ Reconciliation failed:', error);
+  process.exit(1);
+});
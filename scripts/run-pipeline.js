@@ -0,0 +1,183 @@
+const { chromium } = require('playwright');
+const path = require('path');
+const { spawn } = require('child_process');
+const { SourceRegistry } = require('../lib/sources');
+const { HtmlFixtureStore } = require('../lib/html-fixtures');
+const { PipelineRunStore, runPipeline, DEFAULT_RETRIES, DEFAULT_MAX_FAILURE_RATIO } = require('../lib/pipeline');
+const { fetchPage, parsePage, saveChunks } = require('./ingest');
+const { loadChunks } = require('./build-index');
+
+/**
+ * Run ingest → process → build-index as one pipeline for the sources that are due
+ * (see "schedule" in data/sources.json). Each source is retried with exponential
+ * backoff; a report is written to data/runs/run-<id>.json.
+ *
+ * Usage: node scripts/run-pipeline.js [options]
+ *   --all                     Fetch every enabled source, due or not
+ *   --source <id,...>         Fetch only these sources
+ *   --replay [capture]        Read pages from a saved capture instead of fetching (default: the latest)
+ *   --retries N               Retries per source after the first attempt (default 2)
+ *   --max-failure-ratio X     Refuse to publish when more than this share of sources failed (default 0.25)
+ *   --watch [minutes]         Keep running, checking for due sources every N minutes (default 15)
+ *
+ * Exits non-zero when the run was refused or failed.
+ */
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DEFAULT_WATCH_MINUTES = 15;
+
+function parseArgs(argv) {
+  const valueOf = flag => {
+    const idx = argv.indexOf(flag);
+    const value = idx >= 0 ? argv[idx + 1] : undefined;
+    return value && !value.startsWith('--') ? value : undefined;
+  };
+
+  const options = {
+    force: argv.includes('--all'),
+    only: valueOf('--source') ? valueOf('--source').split(',') : null,
+    replay: argv.includes('--replay') ? (valueOf('--replay') || 'latest') : null,
+    retries: Number(valueOf('--retries') ?? DEFAULT_RETRIES),
+    maxFailureRatio: Number(valueOf('--max-failure-ratio') ?? DEFAULT_MAX_FAILURE_RATIO),
+    watchMinutes: argv.includes('--watch') ? Number(valueOf('--watch') ?? DEFAULT_WATCH_MINUTES) : null
+  };
+
+  if (!Number.isInteger(options.retries) || options.retries < 0) throw new Error('--retries must be a non-negative integer');
+  if (!(options.maxFailureRatio >= 0 && options.maxFailureRatio <= 1)) throw new Error('--max-failure-ratio must be between 0 and 1');
+  if (options.watchMinutes !== null && !(options.watchMinutes > 0)) throw new Error('--watch interval must be a positive number of minutes');
+  return options;
+}
+
+/**
+ * Page fetcher: live pages through one shared Chromium instance, or a saved capture
+ */
+function createFetcher(replay) {
+  if (replay) {
+    const fixtures = new HtmlFixtureStore(path.join(DATA_DIR, 'fixtures'));
+    const captureId = replay === 'latest' ? fixtures.latest() : replay;
+    if (!captureId) {
+      throw new Error('No saved captures to replay. Record one with: npm run ingest -- --record');
+    }
+    const pages = new Map(fixtures.loadPages(captureId).map(page => [page.url, page.html]));
+    console.log(`📋 Replaying capture ${captureId} (no network)`);
+    return {
+      fetchSource: async source => {
+        if (!pages.has(source.url)) throw new Error(`Capture ${captureId} has no page for ${source.url}`);
+        return pages.get(source.url);
+      },
+      close: async () => {}
+    };
+  }
+
+  let browser = null;
+  return {
+    fetchSource: async source => {
+      if (!browser) {
+        browser = await chromium.launch({ headless: true });
+      }
+      return fetchPage(source.url, browser);
+    },
+    close: async () => {
+      if (browser) await browser.close();
+      browser = null;
+    }
+  };
+}
+
+/**
+ * Build the index in a child process so its exit code decides success
+ */
+function buildIndex() {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, 'build-index.js')], { stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', code => {
+      if (code === 0) resolve();
+      else reject(new Error(`build-index exited with code ${code}`));
+    });
+  });
+}
+
+async function loadPublishedChunks() {
+  try {
+    return (await loadChunks()).chunks;
+  } catch (error) {
+    console.warn(`⚠️  No published chunks to carry forward (${error.message})`);
+    return [];
+  }
+}
+
+function printReport(report, store) {
+  if (report.status === 'nothing_due') {
+    console.log('✓ Nothing due - every enabled source is within its schedule');
+    return;
+  }
+
+  const { summary } = report;
+  console.log(`\nPipeline run ${report.run_id}: ${report.status} in ${(report.duration_ms / 1000).toFixed(1)}s`);
+  report.sources.forEach(source => {
+    const detail = source.status === 'ok'
+      ? `${source.chunks} chunks, ${source.attempts} attempt(s), ${source.duration_ms}ms`
+      : source.status === 'failed' ? `${source.error} after ${source.attempts} attempt(s)` : source.reason;
+    console.log(`  ${source.status.padEnd(7)} ${source.id}  ${detail}`);
+  });
+  console.log(`\n  Sources: ${summary.ok} ok, ${summary.failed} failed, ${summary.skipped} skipped`);
+  if (summary.chunks_published !== undefined) {
+    console.log(`  Chunks: ${summary.chunks_fetched} fetched + ${summary.chunks_carried_forward} carried forward = ${summary.chunks_published}`);
+  }
+  if (report.reason) console.log(`  ${report.reason}`);
+  console.log(`  Report: ${path.relative(process.cwd(), store.reportPath(report.run_id))}`);
+}
+
+async function runOnce(options, trigger) {
+  const sources = SourceRegistry.load(DATA_DIR);
+  const store = new PipelineRunStore(path.join(DATA_DIR, 'runs'));
+  const fetcher = createFetcher(options.replay);
+
+  try {
+    const report = await runPipeline({
+      sources,
+      store,
+      fetchSource: fetcher.fetchSource,
+      parseSource: parsePage,
+      loadPublishedChunks,
+      publish: saveChunks,
+      buildIndex,
+      force: options.force,
+      only: options.only,
+      retries: options.retries,
+      maxFailureRatio: options.maxFailureRatio,
+      trigger
+    });
+    printReport(report, store);
+    return report;
+  } finally {
+    await fetcher.close();
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.watchMinutes === null) {
+    const report = await runOnce(options, 'manual');
+    if (report.status === 'refused' || report.status === 'failed') {
+      process.exit(1);
+    }
+    return;
+  }
+
+  console.log(`Watching for due sources every ${options.watchMinutes} minute(s)...`);
+  for (;;) {
+    const report = await runOnce(options, 'schedule');
+    if (report.status === 'refused' || report.status === 'failed') {
+      console.error(`❌ Run ${report.status} - the published index is unchanged`);
+    }
+    await new Promise(resolve => setTimeout(resolve, options.watchMinutes * 60 * 1000));
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
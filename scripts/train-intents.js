@@ -0,0 +1,62 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { IntentClassifier, loadIntentExamples } = require('../lib/intent-classifier');
+
+/**
+ * Train the section intent classifier from data/intent-training.json
+ * and save it to data/index/intent-model-latest.json. The next build-index
+ * copies it into the new index snapshot, which is what the retriever loads.
+ */
+
+/**
+ * Leave-one-out accuracy: how often the top intent is one of the example's labels
+ */
+function leaveOneOutAccuracy(examples) {
+  let correct = 0;
+  examples.forEach((example, idx) => {
+    const classifier = IntentClassifier.train(examples.filter((_, other) => other !== idx));
+    const [top] = classifier.classify(example.query);
+    if (top && example.intents.includes(top.intent)) correct++;
+  });
+  return examples.length > 0 ? correct / examples.length : 0;
+}
+
+async function main() {
+  console.log('Training intent classifier...\n');
+
+  const dataDir = path.join(__dirname, '..', 'data');
+  const examples = loadIntentExamples(dataDir);
+  if (examples.length === 0) {
+    throw new Error('No training examples found in data/intent-training.json');
+  }
+
+  const classifier = IntentClassifier.train(examples);
+  console.log(`✓ ${examples.length} examples, ${classifier.intents.length} intents, ${classifier.vocabulary.size} features`);
+  classifier.intents.forEach(intent => {
+    console.log(`  ${intent}: ${classifier.docCounts[intent]} examples`);
+  });
+
+  const accuracy = leaveOneOutAccuracy(examples);
+  console.log(`\n📋 Leave-one-out top-1 accuracy: ${(accuracy * 100).toFixed(1)}%`);
+
+  const indexDir = path.join(dataDir, 'index');
+  await fs.mkdir(indexDir, { recursive: true });
+
+  const timestamp = new Date().toISOString().split('T')[0].replace(/-/g, '');
+  const data = JSON.stringify({ trained_at: new Date().toISOString(), ...classifier.toJSON() }, null, 2);
+
+  const modelPath = path.join(indexDir, `intent-model-${timestamp}.json`);
+  await fs.writeFile(modelPath, data, 'utf8');
+
+  // Replaced with a rename, so a retriever starting meanwhile never reads half a model
+  const latestPath = path.join(indexDir, 'intent-model-latest.json');
+  await fs.writeFile(`${latestPath}.tmp`, data, 'utf8');
+  await fs.rename(`${latestPath}.tmp`, latestPath);
+
+  console.log(`\n✅ Intent model saved: ${modelPath}`);
+}
+
+main().catch(error => {
+  console.error('❌ Intent training failed:', error);
+  process.exit(1);
+});
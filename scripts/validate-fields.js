@@ -0,0 +1,84 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { validateChunks, migrateFields } = require('../lib/field-schemas');
+const { loadChunks } = require('./build-index');
+
+/**
+ * Validate every chunk's fields_json against its section_type schema
+ * (lib/field-schemas.js). Exits 1 on any violation, so `npm run build` stops
+ * before indexing bad data.
+ *
+ * Usage: node scripts/validate-fields.js [options]
+ *   --file <path>   JSONL file to check (default: the latest data/jsonl/ingest-*.jsonl)
+ *   --json          Print the report as JSON
+ *   --migrate       Rewrite the file with fields in the schema's units first, dropping
+ *                   values that still break it (for snapshots written before the schemas)
+ */
+
+function valueOf(argv, flag) {
+  const idx = argv.indexOf(flag);
+  const value = idx >= 0 ? argv[idx + 1] : undefined;
+  return value && !value.startsWith('--') ? value : undefined;
+}
+
+async function readChunks(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const asJson = argv.includes('--json');
+  const filePath = valueOf(argv, '--file');
+
+  const { file, chunks } = filePath
+    ? { file: path.basename(filePath), chunks: await readChunks(filePath) }
+    : await loadChunks();
+
+  if (argv.includes('--migrate')) {
+    chunks.forEach(chunk => {
+      const { fields, dropped } = migrateFields(chunk.section_type, chunk.fields_json);
+      chunk.fields_json = fields;
+      dropped.forEach(problem => console.log(`⚠️  ${chunk.chunk_id}: dropped ${problem}`));
+    });
+    const targetPath = filePath || path.join(process.cwd(), 'data', 'jsonl', file);
+    await fs.writeFile(targetPath, chunks.map(chunk => JSON.stringify(chunk)).join('\n'), 'utf8');
+    console.log(`✓ Migrated ${targetPath}`);
+  }
+
+  const report = { generated_at: new Date().toISOString(), file, ...validateChunks(chunks) };
+
+  const reportPath = path.join(process.cwd(), 'data', 'meta', 'field-validation-latest.json');
+  await fs.mkdir(path.dirname(reportPath), { recursive: true });
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`\nValidating fields_json in ${file}...\n`);
+    Object.entries(report.by_section).sort().forEach(([sectionType, counts]) => {
+      const marker = counts.invalid === 0 ? '✓' : '❌';
+      console.log(`${marker} ${sectionType}: ${counts.checked - counts.invalid}/${counts.checked} valid`);
+    });
+
+    if (report.violations.length > 0) {
+      console.log(`\n⚠️  ${report.invalid} chunk(s) break their schema:\n`);
+      report.violations.forEach(violation => {
+        console.log(violation.chunk_id);
+        violation.problems.forEach(problem => console.log(`  - ${problem}`));
+      });
+    }
+    console.log(`\n📋 Report saved: ${reportPath}`);
+  }
+
+  if (report.invalid > 0) {
+    process.exitCode = 1;
+  } else if (!asJson) {
+    console.log(`✅ All ${report.checked} chunks match their schema`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});